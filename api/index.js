@@ -16,6 +16,11 @@ const taskRoutes = require("../routes/taskRoutes");
 const gmailRoutes = require("../routes/gmailRoutes");
 const calendarRoutes = require("../routes/calendarRoutes");
 const tasksRoutes = require("../routes/tasksRoutes");
+const emailTemplateRoutes = require("../routes/emailTemplateRoutes");
+const autoResponderRoutes = require("../routes/autoResponderRoutes");
+const inboxRuleRoutes = require("../routes/inboxRuleRoutes");
+const webhookRoutes = require("../routes/webhookRoutes");
+const jobRoutes = require("../routes/jobRoutes");
 
 // Import middleware
 const errorHandler = require("../middleware/errorHandler");
@@ -84,8 +89,13 @@ app.use("/api/auth", authRoutes);
 app.use("/api/users", userRoutes);
 app.use("/api/tasks", taskRoutes);
 app.use("/api/gtasks", tasksRoutes);
+app.use("/api/gmail/templates", emailTemplateRoutes); // Templates and mail merge
+app.use("/api/gmail/auto-responder", autoResponderRoutes); // Automatic replies
+app.use("/api/gmail/rules", inboxRuleRoutes); // Inbox automation rules
 app.use("/api/gmail", gmailRoutes);
 app.use("/api/calendar", calendarRoutes);
+app.use("/api/webhooks", webhookRoutes); // Push notifications (shared token)
+app.use("/api/jobs", jobRoutes); // Background jobs (cron secret)
 
 app.get("/", async (req, res) => {
   // Ensure DB connection attempt happens on each cold start
@@ -127,15 +137,97 @@ app.get("/api", (req, res) => {
         "GET /api/gmail/profile": "Get Gmail profile",
         "GET /api/gmail/emails": "Get emails",
         "GET /api/gmail/search": "Search emails",
-        "POST /api/gmail/send": "Send email",
+        "GET /api/gmail/threads": "Get email threads",
+        "GET /api/gmail/threads/:threadId": "Get email thread",
+        "POST /api/gmail/send": "Send email (optional followUpAfter reminder)",
+        "POST /api/gmail/messages/:id/reply": "Reply to email",
+        "POST /api/gmail/messages/:id/reply-all": "Reply to all recipients",
+        "POST /api/gmail/messages/:id/forward": "Forward email",
+        "GET /api/gmail/messages/:id/attachments/:attachmentId":
+          "Download attachment",
+        "POST /api/gmail/messages/:id/attachments/:attachmentId/save-to-task":
+          "Save attachment reference on a local task",
+        "GET /api/gmail/drafts": "Get drafts",
+        "POST /api/gmail/drafts": "Create draft",
+        "GET /api/gmail/drafts/:draftId": "Get draft",
+        "PUT /api/gmail/drafts/:draftId": "Update draft",
+        "DELETE /api/gmail/drafts/:draftId": "Delete draft",
+        "POST /api/gmail/drafts/:draftId/send": "Send draft",
+        "POST /api/gmail/sync": "Sync local message index (?full=true)",
+        "GET /api/gmail/sync/status": "Get sync status",
+        "GET /api/gmail/local/messages": "List messages from local index",
+        "GET /api/gmail/local/counts": "Count indexed and unread messages",
+        "POST /api/gmail/watch": "Enable Gmail push notifications",
+        "DELETE /api/gmail/watch": "Disable Gmail push notifications",
+        "GET /api/gmail/scheduled": "List scheduled emails (?status)",
+        "POST /api/gmail/scheduled": "Schedule an email (sendAt, timeZone)",
+        "GET /api/gmail/scheduled/:id": "Get scheduled email",
+        "PATCH /api/gmail/scheduled/:id": "Reschedule email",
+        "DELETE /api/gmail/scheduled/:id": "Cancel scheduled email",
+        "GET /api/gmail/follow-ups": "List follow-up reminders (?status)",
+        "DELETE /api/gmail/follow-ups/:id": "Cancel follow-up reminder",
+        "POST /api/gmail/messages/:id/to-task":
+          "Create a local or Google task from a message",
+        "POST /api/gmail/messages/:id/suggest-events":
+          "Suggest calendar events from dates in a message",
+        "POST /api/gmail/messages/:id/suggest-events/accept":
+          "Create a suggested event, inviting the sender",
+        "POST /api/gmail/messages/:id/snooze": "Snooze message until a time",
+        "DELETE /api/gmail/messages/:id/snooze": "Cancel snooze",
+        "GET /api/gmail/snoozed": "List snoozed messages",
+        "GET /api/gmail/templates": "Get email templates",
+        "POST /api/gmail/templates": "Create email template",
+        "PUT /api/gmail/templates/:id": "Update email template",
+        "DELETE /api/gmail/templates/:id": "Delete email template",
+        "POST /api/gmail/templates/:id/preview": "Preview rendered template",
+        "POST /api/gmail/templates/:id/merge":
+          "Send personalized emails from a template (mail merge)",
+        "GET /api/gmail/auto-responder": "Get auto-responder settings",
+        "PUT /api/gmail/auto-responder": "Update auto-responder settings",
+        "POST /api/gmail/auto-responder/dry-run":
+          "Show who the auto-responder would answer",
+        "GET /api/gmail/auto-responder/replies": "List automatic replies sent",
+        "GET /api/gmail/rules": "Get inbox rules",
+        "POST /api/gmail/rules": "Create inbox rule",
+        "PUT /api/gmail/rules/:id": "Update inbox rule",
+        "DELETE /api/gmail/rules/:id": "Delete inbox rule",
+        "POST /api/gmail/rules/:id/test": "Test rule against the last N emails",
+        "GET /api/gmail/rules/executions": "List rule executions",
+        "GET /api/gmail/labels": "Get labels",
+        "POST /api/gmail/labels": "Create label",
+        "PUT /api/gmail/labels/:labelId": "Update label",
+        "DELETE /api/gmail/labels/:labelId": "Delete label",
+        "POST /api/gmail/messages/bulk":
+          "Archive, mark, star, label or trash many messages",
       },
       calendar: {
-        "GET /api/calendar/events": "Get calendar events",
+        "GET /api/calendar/calendars": "List calendars, including shared ones",
+        "GET /api/calendar/events":
+          "Get calendar events (?calendarId=a,b merges calendars, ?view=series)",
         "POST /api/calendar/events": "Create calendar event",
-        "PUT /api/calendar/events/:id": "Update calendar event",
-        "DELETE /api/calendar/events/:id": "Delete calendar event",
+        "GET /api/calendar/events/:id/instances":
+          "List occurrences of a recurring event",
+        "PUT /api/calendar/events/:id":
+          "Update calendar event (?scope=this|following|all)",
+        "DELETE /api/calendar/events/:id":
+          "Delete calendar event (?scope=this|following|all)",
         "GET /api/calendar/today": "Get today's events",
         "GET /api/calendar/upcoming": "Get upcoming events",
+        "GET /api/calendar/week": "Get this week's events (?date)",
+        "GET /api/calendar/month": "Get this month's events (?date)",
+        "POST /api/calendar/find-slots":
+          "Find free meeting slots for the user and attendees",
+        "PATCH /api/calendar/events/:id/attendees":
+          "Add or remove attendees (?sendUpdates=all|externalOnly|none, default none)",
+        "POST /api/calendar/events/:id/rsvp":
+          "Accept, decline or tentatively accept an invitation",
+        "GET /api/calendar/invitations": "Get invitations awaiting a response",
+      },
+      webhooks: {
+        "POST /api/webhooks/gmail": "Gmail Pub/Sub push receiver",
+      },
+      jobs: {
+        "GET /api/jobs/:name": "Run a background job (cron)",
       },
       gtasks: {
         "GET /api/gtasks/lists": "Get Google task lists",
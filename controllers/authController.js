@@ -2,6 +2,8 @@ const User = require("../models/User");
 const jwt = require("jsonwebtoken");
 const { validationResult } = require("express-validator");
 const googleApiService = require("../services/googleApiService");
+const timeZoneService = require("../services/timeZoneService");
+const { sendGoogleError } = require("../utils/googleError");
 
 // Generate JWT token
 const signToken = (id) => {
@@ -145,6 +147,9 @@ exports.googleSuccess = async (req, res) => {
 
     const token = signToken(req.user._id);
 
+    // Default the user's time zone from their Google Calendar settings
+    await timeZoneService.getUserTimeZone(req.user._id);
+
     // Redirect to frontend with token
     res.redirect(`${process.env.FRONTEND_URL}/auth/callback?token=${token}`);
   } catch (error) {
@@ -189,11 +194,7 @@ exports.getGoogleProfile = async (req, res) => {
       },
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Error fetching Google profile",
-      error: error.message,
-    });
+    sendGoogleError(res, error, "Error fetching Google profile");
   }
 };
 
@@ -214,6 +215,8 @@ exports.disconnectGoogle = async (req, res) => {
       { new: true }
     );
 
+    googleApiService.clearClient(req.user.id);
+
     res.status(200).json({
       success: true,
       message: "Google account disconnected successfully",
@@ -0,0 +1,174 @@
+const User = require("../models/User");
+const AutoReply = require("../models/AutoReply");
+const autoResponderService = require("../services/autoResponderService");
+const { validationResult } = require("express-validator");
+const { sendGoogleError } = require("../utils/googleError");
+
+// Settings that can be changed through the API, besides `enabled`
+const SETTING_FIELDS = [
+  "subject",
+  "message",
+  "isHtml",
+  "startDate",
+  "endDate",
+  "contactsOnly",
+  "domains",
+  "excludeMailingLists",
+  "replyIntervalDays",
+];
+
+// Copy the settings present in a request body
+const pickSettings = (body) =>
+  SETTING_FIELDS.filter((field) => body[field] !== undefined).reduce(
+    (settings, field) => ({ ...settings, [field]: body[field] }),
+    {}
+  );
+
+// @desc    Get auto-responder settings
+// @route   GET /api/gmail/auto-responder
+// @access  Private
+exports.getAutoResponder = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: { autoResponder: autoResponderService.getSettings(user) },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Update auto-responder settings and turn it on or off
+// @route   PUT /api/gmail/auto-responder
+// @access  Private
+exports.updateAutoResponder = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+
+    Object.entries(pickSettings(req.body)).forEach(([field, value]) => {
+      user.set(`automationSettings.autoResponder.${field}`, value);
+    });
+    if (req.body.enabled !== undefined) {
+      user.set("automationSettings.autoRespond", req.body.enabled);
+    }
+
+    const settings = autoResponderService.getSettings(user);
+
+    if (settings.enabled && !settings.message) {
+      return res.status(400).json({
+        success: false,
+        message: "Set a message before turning the auto-responder on",
+      });
+    }
+    if (
+      settings.startDate &&
+      settings.endDate &&
+      settings.startDate >= settings.endDate
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "endDate must be after startDate",
+      });
+    }
+
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Auto-responder ${settings.enabled ? "on" : "off"}`,
+      data: { autoResponder: settings },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Show who the auto-responder would answer among recent mail
+// @route   POST /api/gmail/auto-responder/dry-run
+// @access  Private
+exports.dryRunAutoResponder = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const result = await autoResponderService.dryRun(req.user.id, {
+      maxResults: req.body.maxResults || 25,
+      overrides: pickSettings(req.body),
+    });
+
+    res.status(200).json({
+      success: true,
+      count: result.results.filter((item) => item.wouldReply).length,
+      data: result,
+    });
+  } catch (error) {
+    sendGoogleError(res, error, "Error running auto-responder dry run");
+  }
+};
+
+// @desc    List replies the auto-responder has sent
+// @route   GET /api/gmail/auto-responder/replies
+// @access  Private
+exports.getAutoReplies = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const startIndex = (page - 1) * limit;
+
+    const filter = { user: req.user.id };
+
+    const total = await AutoReply.countDocuments(filter);
+    const replies = await AutoReply.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(startIndex)
+      .limit(limit);
+
+    const pagination = {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalReplies: total,
+      hasNext: page < Math.ceil(total / limit),
+      hasPrev: page > 1,
+    };
+
+    res.status(200).json({
+      success: true,
+      count: replies.length,
+      pagination,
+      data: { replies },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
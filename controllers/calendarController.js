@@ -1,18 +1,113 @@
 const googleApiService = require("../services/googleApiService");
+const timeZoneService = require("../services/timeZoneService");
+const recurringEventService = require("../services/recurringEventService");
+const attendeeService = require("../services/attendeeService");
 const { validationResult } = require("express-validator");
+const { sendGoogleError } = require("../utils/googleError");
+const {
+  isValidTimeZone,
+  resolveDateTime,
+  parseLocalDateTime,
+} = require("../utils/timezone");
+const { getPeriodRange } = require("../utils/calendarPeriods");
+const {
+  DEFAULT_WORKING_HOURS,
+  findSlots: findFreeSlots,
+} = require("../utils/slotFinder");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How far ahead pending invitations are looked for by default
+const DEFAULT_INVITATION_DAYS = 30;
+
+// Slot search window when none is given, and the longest allowed
+const DEFAULT_SEARCH_DAYS = 7;
+const MAX_SEARCH_DAYS = 60;
+
+// Calendars to read from: `?calendarId=` repeated or comma separated,
+// defaulting to the primary calendar
+const calendarIdsFrom = (query) => {
+  const ids = []
+    .concat(query.calendarId || [])
+    .flatMap((value) => value.split(","))
+    .map((value) => value.trim())
+    .filter(Boolean);
+  return ids.length ? [...new Set(ids)] : ["primary"];
+};
+
+// Guests are only emailed about changes when `?sendUpdates=` asks for it;
+// left unset, Google notifies no one
+const sendUpdatesFrom = (req) => req.query.sendUpdates;
+
+// Time zone a friendly `repeat` end date ("until Dec 1") is read in when
+// the event's start has none
+const repeatTimeZone = (req) =>
+  req.body.repeat === undefined
+    ? undefined
+    : timeZoneService.getUserTimeZone(req.user.id);
+
+// Events of a calendar view in the user's time zone (`?timeZone=`
+// overrides it). `?date=YYYY-MM-DD` picks another week or month
+const getPeriodEvents = async (req, period, maxResults) => {
+  const timeZone =
+    req.query.timeZone || (await timeZoneService.getUserTimeZone(req.user.id));
+  const range = getPeriodRange(period, timeZone, {
+    date: req.query.date ? parseLocalDateTime(req.query.date) : undefined,
+  });
+
+  const events = await googleApiService.getMergedCalendarEvents(
+    req.user.id,
+    calendarIdsFrom(req.query),
+    range.start.toISOString(),
+    range.end.toISOString(),
+    maxResults
+  );
+
+  return { timeZone, range, events };
+};
+
+// @desc    Get the user's calendars, including shared ones
+// @route   GET /api/calendar/calendars
+// @access  Private
+exports.getCalendars = async (req, res) => {
+  try {
+    const calendars = await googleApiService.getCalendarList(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      count: calendars.length,
+      data: { calendars },
+    });
+  } catch (error) {
+    sendGoogleError(res, error, "Error fetching calendars");
+  }
+};
 
 // @desc    Get calendar events
 // @route   GET /api/calendar/events
 // @access  Private
 exports.getEvents = async (req, res) => {
   try {
-    const { timeMin, timeMax, maxResults = 20 } = req.query;
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
 
-    const events = await googleApiService.getCalendarEvents(
+    const { timeMin, timeMax, maxResults = 20, view = "instances" } = req.query;
+
+    // "series" lists each recurring event once instead of every occurrence
+    const events = await googleApiService.getMergedCalendarEvents(
       req.user.id,
+      calendarIdsFrom(req.query),
       timeMin,
       timeMax,
-      parseInt(maxResults)
+      parseInt(maxResults),
+      { singleEvents: view !== "series" }
     );
 
     res.status(200).json({
@@ -21,11 +116,7 @@ exports.getEvents = async (req, res) => {
       data: { events },
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Error fetching calendar events",
-      error: error.message,
-    });
+    sendGoogleError(res, error, "Error fetching calendar events");
   }
 };
 
@@ -44,9 +135,14 @@ exports.createEvent = async (req, res) => {
       });
     }
 
-    const event = await googleApiService.createCalendarEvent(
+    const event = await recurringEventService.createEvent(
       req.user.id,
-      req.body
+      req.body,
+      {
+        calendarId: req.query.calendarId,
+        timeZone: await repeatTimeZone(req),
+        sendUpdates: sendUpdatesFrom(req),
+      }
     );
 
     res.status(201).json({
@@ -55,15 +151,44 @@ exports.createEvent = async (req, res) => {
       data: { event },
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Error creating calendar event",
-      error: error.message,
+    sendGoogleError(res, error, "Error creating calendar event");
+  }
+};
+
+// @desc    Get the occurrences of a recurring event
+// @route   GET /api/calendar/events/:eventId/instances
+// @access  Private
+exports.getEventInstances = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const { timeMin, timeMax, maxResults = 50, calendarId } = req.query;
+
+    const events = await googleApiService.getEventInstances(
+      req.user.id,
+      req.params.eventId,
+      { timeMin, timeMax, maxResults: parseInt(maxResults), calendarId }
+    );
+
+    res.status(200).json({
+      success: true,
+      count: events.length,
+      data: { events },
     });
+  } catch (error) {
+    sendGoogleError(res, error, "Error fetching event occurrences");
   }
 };
 
-// @desc    Update calendar event
+// @desc    Update calendar event (?scope=this|following|all for a series)
 // @route   PUT /api/calendar/events/:eventId
 // @access  Private
 exports.updateEvent = async (req, res) => {
@@ -79,35 +204,53 @@ exports.updateEvent = async (req, res) => {
     }
 
     const { eventId } = req.params;
-    const event = await googleApiService.updateCalendarEvent(
+    const { event, previous } = await recurringEventService.updateEvent(
       req.user.id,
       eventId,
-      req.body
+      req.body,
+      {
+        scope: req.query.scope,
+        calendarId: req.query.calendarId,
+        timeZone: await repeatTimeZone(req),
+        sendUpdates: sendUpdatesFrom(req),
+      }
     );
 
     res.status(200).json({
       success: true,
       message: "Event updated successfully",
-      data: { event },
+      // `previous` is the series cut short by a "following" edit
+      data: previous ? { event, previous } : { event },
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Error updating calendar event",
-      error: error.message,
-    });
+    sendGoogleError(res, error, "Error updating calendar event");
   }
 };
 
-// @desc    Delete calendar event
+// @desc    Delete calendar event (?scope=this|following|all for a series)
 // @route   DELETE /api/calendar/events/:eventId
 // @access  Private
 exports.deleteEvent = async (req, res) => {
   try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
     const { eventId } = req.params;
-    const result = await googleApiService.deleteCalendarEvent(
+    const result = await recurringEventService.deleteEvent(
       req.user.id,
-      eventId
+      eventId,
+      {
+        scope: req.query.scope,
+        calendarId: req.query.calendarId,
+        sendUpdates: sendUpdatesFrom(req),
+      }
     );
 
     res.status(200).json({
@@ -115,11 +258,7 @@ exports.deleteEvent = async (req, res) => {
       data: result,
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Error deleting calendar event",
-      error: error.message,
-    });
+    sendGoogleError(res, error, "Error deleting calendar event");
   }
 };
 
@@ -128,32 +267,27 @@ exports.deleteEvent = async (req, res) => {
 // @access  Private
 exports.getTodayEvents = async (req, res) => {
   try {
-    const today = new Date();
-    const startOfDay = new Date(today);
-    startOfDay.setHours(0, 0, 0, 0);
-
-    const endOfDay = new Date(today);
-    endOfDay.setHours(23, 59, 59, 999);
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
 
-    const events = await googleApiService.getCalendarEvents(
-      req.user.id,
-      startOfDay.toISOString(),
-      endOfDay.toISOString(),
-      50
-    );
+    const { timeZone, range, events } = await getPeriodEvents(req, "today", 50);
 
     res.status(200).json({
       success: true,
-      date: today.toDateString(),
+      date: range.from,
+      timeZone,
       count: events.length,
       data: { events },
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Error fetching today's events",
-      error: error.message,
-    });
+    sendGoogleError(res, error, "Error fetching today's events");
   }
 };
 
@@ -162,28 +296,305 @@ exports.getTodayEvents = async (req, res) => {
 // @access  Private
 exports.getUpcomingEvents = async (req, res) => {
   try {
-    const now = new Date();
-    const nextWeek = new Date();
-    nextWeek.setDate(now.getDate() + 7);
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
 
-    const events = await googleApiService.getCalendarEvents(
-      req.user.id,
-      now.toISOString(),
-      nextWeek.toISOString(),
+    const { timeZone, range, events } = await getPeriodEvents(
+      req,
+      "upcoming",
       50
     );
 
     res.status(200).json({
       success: true,
-      period: `${now.toDateString()} to ${nextWeek.toDateString()}`,
+      period: `${range.from} to ${range.to}`,
+      timeZone,
+      count: events.length,
+      data: { events },
+    });
+  } catch (error) {
+    sendGoogleError(res, error, "Error fetching upcoming events");
+  }
+};
+
+// @desc    Get this week's events (Monday to Sunday)
+// @route   GET /api/calendar/week
+// @access  Private
+exports.getWeekEvents = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const { timeZone, range, events } = await getPeriodEvents(req, "week", 250);
+
+    res.status(200).json({
+      success: true,
+      period: `${range.from} to ${range.to}`,
+      timeZone,
+      count: events.length,
+      data: { events },
+    });
+  } catch (error) {
+    sendGoogleError(res, error, "Error fetching week's events");
+  }
+};
+
+// @desc    Get this month's events
+// @route   GET /api/calendar/month
+// @access  Private
+exports.getMonthEvents = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const { timeZone, range, events } = await getPeriodEvents(
+      req,
+      "month",
+      1000
+    );
+
+    res.status(200).json({
+      success: true,
+      period: `${range.from} to ${range.to}`,
+      timeZone,
       count: events.length,
       data: { events },
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Error fetching upcoming events",
-      error: error.message,
+    sendGoogleError(res, error, "Error fetching month's events");
+  }
+};
+
+// @desc    Find free meeting slots for the user and attendees
+// @route   POST /api/calendar/find-slots
+// @access  Private
+exports.findSlots = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const {
+      attendees = [],
+      durationMinutes,
+      bufferMinutes = 0,
+      maxResults = 10,
+    } = req.body;
+    const timeZone =
+      req.body.timeZone || (await timeZoneService.getUserTimeZone(req.user.id));
+
+    if (!isValidTimeZone(timeZone)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown time zone "${timeZone}"`,
+      });
+    }
+
+    const timeMin = req.body.timeMin
+      ? resolveDateTime(req.body.timeMin, timeZone)
+      : new Date();
+    const timeMax = req.body.timeMax
+      ? resolveDateTime(req.body.timeMax, timeZone)
+      : new Date(timeMin.getTime() + DEFAULT_SEARCH_DAYS * DAY_MS);
+
+    if (!(timeMax > timeMin)) {
+      return res.status(400).json({
+        success: false,
+        message: "timeMax must be after timeMin",
+      });
+    }
+    if (timeMax - timeMin > MAX_SEARCH_DAYS * DAY_MS) {
+      return res.status(400).json({
+        success: false,
+        message: `Search window cannot be longer than ${MAX_SEARCH_DAYS} days`,
+      });
+    }
+
+    const workingHours = { ...DEFAULT_WORKING_HOURS, ...req.body.workingHours };
+    const calendarIds = ["primary", ...new Set(attendees)];
+
+    const calendars = await googleApiService.queryFreeBusy(
+      req.user.id,
+      calendarIds,
+      timeMin.toISOString(),
+      timeMax.toISOString()
+    );
+
+    // People whose calendars can't be read are reported, not treated as busy
+    const unavailable = [];
+    const busy = [];
+    Object.entries(calendars).forEach(([id, result]) => {
+      if (result.errors && result.errors.length) {
+        unavailable.push({ id, reason: result.errors[0].reason });
+      } else {
+        busy.push(...(result.busy || []));
+      }
+    });
+
+    const slots = findFreeSlots({
+      busy,
+      timeMin,
+      timeMax,
+      durationMinutes,
+      bufferMinutes,
+      workingHours,
+      timeZone,
+      maxResults,
     });
+
+    res.status(200).json({
+      success: true,
+      count: slots.length,
+      data: {
+        slots,
+        unavailable,
+        timeZone,
+        workingHours,
+        timeMin: timeMin.toISOString(),
+        timeMax: timeMax.toISOString(),
+      },
+    });
+  } catch (error) {
+    sendGoogleError(res, error, "Error finding free slots");
+  }
+};
+
+// @desc    Add or remove event attendees
+// @route   PATCH /api/calendar/events/:eventId/attendees
+// @access  Private
+exports.updateAttendees = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const event = await attendeeService.updateAttendees(
+      req.user.id,
+      req.params.eventId,
+      { add: req.body.add, remove: req.body.remove },
+      {
+        calendarId: req.query.calendarId,
+        sendUpdates: sendUpdatesFrom(req),
+      }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Attendees updated successfully",
+      data: { event },
+    });
+  } catch (error) {
+    sendGoogleError(res, error, "Error updating attendees");
+  }
+};
+
+// @desc    Accept, decline or tentatively accept an invitation
+// @route   POST /api/calendar/events/:eventId/rsvp
+// @access  Private
+exports.respondToEvent = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const { response, comment } = req.body;
+    const event = await attendeeService.respond(
+      req.user.id,
+      req.params.eventId,
+      response,
+      {
+        comment,
+        calendarId: req.query.calendarId,
+        sendUpdates: sendUpdatesFrom(req),
+      }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Invitation ${response}`,
+      data: { event },
+    });
+  } catch (error) {
+    sendGoogleError(res, error, "Error responding to invitation");
+  }
+};
+
+// @desc    Get invitations waiting for a response
+// @route   GET /api/calendar/invitations
+// @access  Private
+exports.getPendingInvitations = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const timeMin = req.query.timeMin || new Date().toISOString();
+    const timeMax =
+      req.query.timeMax ||
+      new Date(
+        new Date(timeMin).getTime() + DEFAULT_INVITATION_DAYS * DAY_MS
+      ).toISOString();
+
+    const { invitations, truncated } =
+      await attendeeService.getPendingInvitations(
+        req.user.id,
+        calendarIdsFrom(req.query),
+        timeMin,
+        timeMax
+      );
+
+    res.status(200).json({
+      success: true,
+      count: invitations.length,
+      truncated,
+      data: { invitations },
+    });
+  } catch (error) {
+    sendGoogleError(res, error, "Error fetching invitations");
   }
 };
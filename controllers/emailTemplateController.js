@@ -0,0 +1,388 @@
+const EmailTemplate = require("../models/EmailTemplate");
+const googleApiService = require("../services/googleApiService");
+const { validationResult } = require("express-validator");
+const { sendGoogleError } = require("../utils/googleError");
+const { renderTemplate } = require("../utils/template");
+
+// Most recipients a single mail merge request may send to
+const MAIL_MERGE_MAX_RECIPIENTS =
+  parseInt(process.env.MAIL_MERGE_MAX_RECIPIENTS, 10) || 100;
+
+// How long a merge may spend sending before it stops and reports the rest
+// as not sent, leaving room inside the 60 second function limit
+const MAIL_MERGE_TIME_BUDGET_MS =
+  parseInt(process.env.MAIL_MERGE_TIME_BUDGET_MS, 10) || 40 * 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Render a template's subject and body for one set of variables
+const renderEmail = (template, variables) => {
+  const subject = renderTemplate(template.subject, variables);
+  const body = renderTemplate(template.body, variables, {
+    html: template.isHtml,
+  });
+
+  return {
+    subject: subject.output,
+    body: body.output,
+    isHtml: template.isHtml,
+    missing: [...new Set([...subject.missing, ...body.missing])],
+  };
+};
+
+// @desc    Get all email templates
+// @route   GET /api/gmail/templates
+// @access  Private
+exports.getTemplates = async (req, res) => {
+  try {
+    const templates = await EmailTemplate.find({ user: req.user.id }).sort({
+      name: 1,
+    });
+
+    res.status(200).json({
+      success: true,
+      count: templates.length,
+      data: { templates },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get single email template
+// @route   GET /api/gmail/templates/:id
+// @access  Private
+exports.getTemplate = async (req, res) => {
+  try {
+    const template = await EmailTemplate.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+    });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: "Template not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { template },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Create email template
+// @route   POST /api/gmail/templates
+// @access  Private
+exports.createTemplate = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const { name, description, subject, body, isHtml } = req.body;
+
+    const template = await EmailTemplate.create({
+      user: req.user.id,
+      name,
+      description,
+      subject,
+      body,
+      isHtml,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { template },
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: "A template with this name already exists",
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Update email template
+// @route   PUT /api/gmail/templates/:id
+// @access  Private
+exports.updateTemplate = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const template = await EmailTemplate.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+    });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: "Template not found",
+      });
+    }
+
+    ["name", "description", "subject", "body", "isHtml"].forEach((field) => {
+      if (req.body[field] !== undefined) {
+        template[field] = req.body[field];
+      }
+    });
+
+    // save() so the placeholder list is recomputed
+    await template.save();
+
+    res.status(200).json({
+      success: true,
+      data: { template },
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: "A template with this name already exists",
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Delete email template
+// @route   DELETE /api/gmail/templates/:id
+// @access  Private
+exports.deleteTemplate = async (req, res) => {
+  try {
+    const template = await EmailTemplate.findOneAndDelete({
+      _id: req.params.id,
+      user: req.user.id,
+    });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: "Template not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        message: "Template deleted successfully",
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Preview a template rendered with sample variables
+// @route   POST /api/gmail/templates/:id/preview
+// @access  Private
+exports.previewTemplate = async (req, res) => {
+  try {
+    const template = await EmailTemplate.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+    });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: "Template not found",
+      });
+    }
+
+    const preview = renderEmail(template, req.body.variables || {});
+
+    res.status(200).json({
+      success: true,
+      data: { preview },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Send a personalized copy of a template to each recipient
+// @route   POST /api/gmail/templates/:id/merge
+// @access  Private
+exports.mailMerge = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const template = await EmailTemplate.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+    });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: "Template not found",
+      });
+    }
+
+    const {
+      csv,
+      dryRun = false,
+      delayMs = 1000,
+      skipMissing = true,
+    } = req.body;
+    // The route validation has already parsed `csv` into recipient rows
+    const recipients = csv || req.body.recipients;
+
+    if (!recipients.length) {
+      return res.status(400).json({
+        success: false,
+        message: "No recipients provided",
+      });
+    }
+
+    if (recipients.length > MAIL_MERGE_MAX_RECIPIENTS) {
+      return res.status(400).json({
+        success: false,
+        message: `Mail merge is limited to ${MAIL_MERGE_MAX_RECIPIENTS} recipients per request`,
+      });
+    }
+
+    const results = [];
+    const deadline = Date.now() + MAIL_MERGE_TIME_BUDGET_MS;
+    // Why the remaining recipients are not being sent to, once we stop
+    let stopReason = null;
+
+    for (const recipient of recipients) {
+      const email = recipient.email;
+
+      if (!stopReason && !dryRun && Date.now() >= deadline) {
+        stopReason =
+          "Mail merge time limit reached, send to the remaining recipients in another request";
+      }
+      if (stopReason) {
+        results.push({ email, status: "not_sent", error: stopReason });
+        continue;
+      }
+
+      if (!email) {
+        results.push({ email, status: "skipped", error: "Missing email" });
+        continue;
+      }
+
+      const rendered = renderEmail(template, recipient);
+
+      if (rendered.missing.length && skipMissing) {
+        results.push({
+          email,
+          status: "skipped",
+          error: "Missing template variables",
+          missing: rendered.missing,
+        });
+        continue;
+      }
+
+      if (dryRun) {
+        results.push({
+          email,
+          status: "preview",
+          subject: rendered.subject,
+          body: rendered.body,
+          missing: rendered.missing,
+        });
+        continue;
+      }
+
+      try {
+        const sent = await googleApiService.sendEmail(req.user.id, {
+          to: email,
+          subject: rendered.subject,
+          body: rendered.body,
+          isHtml: rendered.isHtml,
+        });
+        results.push({ email, status: "sent", messageId: sent.id });
+      } catch (error) {
+        // Stop once Google says we're over quota; the rest would fail too
+        if (error.statusCode === 429) {
+          stopReason = error.message;
+        }
+        results.push({ email, status: "failed", error: error.message });
+      }
+
+      // Throttle so large lists don't trip Gmail's sending limits, without
+      // sleeping past the deadline
+      if (delayMs > 0) {
+        await sleep(Math.min(delayMs, Math.max(deadline - Date.now(), 0)));
+      }
+    }
+
+    const summary = results.reduce(
+      (counts, result) => {
+        counts[result.status] = (counts[result.status] || 0) + 1;
+        return counts;
+      },
+      { total: results.length }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: dryRun
+        ? "Mail merge preview"
+        : summary.not_sent
+        ? "Mail merge stopped early"
+        : "Mail merge complete",
+      data: { summary, results },
+    });
+  } catch (error) {
+    sendGoogleError(res, error, "Error running mail merge");
+  }
+};
@@ -0,0 +1,94 @@
+const FollowUp = require("../models/FollowUp");
+const { validationResult } = require("express-validator");
+
+// @desc    List follow-up reminders
+// @route   GET /api/gmail/follow-ups
+// @access  Private
+exports.getFollowUps = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const startIndex = (page - 1) * limit;
+
+    // Build filter object
+    const filter = { user: req.user.id };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const total = await FollowUp.countDocuments(filter);
+    const followUps = await FollowUp.find(filter)
+      .sort({ dueAt: 1 })
+      .skip(startIndex)
+      .limit(limit);
+
+    const pagination = {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalFollowUps: total,
+      hasNext: page < Math.ceil(total / limit),
+      hasPrev: page > 1,
+    };
+
+    res.status(200).json({
+      success: true,
+      count: followUps.length,
+      pagination,
+      data: { followUps },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Cancel a pending follow-up reminder
+// @route   DELETE /api/gmail/follow-ups/:id
+// @access  Private
+exports.cancelFollowUp = async (req, res) => {
+  try {
+    const followUp = await FollowUp.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id, status: "pending" },
+      { status: "cancelled" },
+      { new: true }
+    );
+
+    if (!followUp) {
+      const existing = await FollowUp.findOne({
+        _id: req.params.id,
+        user: req.user.id,
+      });
+      return res.status(existing ? 409 : 404).json({
+        success: false,
+        message: existing
+          ? `Cannot cancel a follow-up that is ${existing.status}`
+          : "Follow-up not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Follow-up cancelled",
+      data: { followUp },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
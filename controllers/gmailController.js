@@ -1,5 +1,55 @@
 const googleApiService = require("../services/googleApiService");
+const followUpService = require("../services/followUpService");
+const emailTaskService = require("../services/emailTaskService");
+const eventSuggestionService = require("../services/eventSuggestionService");
+const timeZoneService = require("../services/timeZoneService");
+const Task = require("../models/Task");
 const { validationResult } = require("express-validator");
+const { sendGoogleError } = require("../utils/googleError");
+const { normalizeRecipients } = require("../utils/mimeMessage");
+const { parseDuration } = require("../utils/duration");
+const { isValidTimeZone } = require("../utils/timezone");
+
+// Largest attachment we will proxy back to the client. Gmail hands back the
+// whole attachment at once, so it is buffered before sending; the default
+// stays under the 4.5 MB serverless response limit. Raise it with
+// MAX_ATTACHMENT_DOWNLOAD_BYTES when running as a regular server
+const MAX_ATTACHMENT_BYTES =
+  parseInt(process.env.MAX_ATTACHMENT_DOWNLOAD_BYTES, 10) || 4 * 1024 * 1024;
+
+// Build the outgoing message fields from a JSON or multipart/form-data
+// request. Files uploaded as "inline" are referenced from the HTML body by
+// their original filename, e.g. <img src="cid:logo.png">
+const buildMessageFromRequest = (req) => {
+  const { to, cc, bcc, subject, body, text, html, isHtml } = req.body;
+  const files = req.files || {};
+
+  const attachments = [
+    ...(files.attachments || []).map((file) => ({
+      filename: file.originalname,
+      mimeType: file.mimetype,
+      content: file.buffer,
+    })),
+    ...(files.inline || []).map((file) => ({
+      filename: file.originalname,
+      mimeType: file.mimetype,
+      content: file.buffer,
+      contentId: file.originalname,
+    })),
+  ];
+
+  return {
+    to: normalizeRecipients(to),
+    cc: normalizeRecipients(cc),
+    bcc: normalizeRecipients(bcc),
+    subject,
+    body,
+    text,
+    html,
+    isHtml: isHtml === true || isHtml === "true",
+    attachments,
+  };
+};
 
 // @desc    Get Gmail profile
 // @route   GET /api/gmail/profile
@@ -13,11 +63,7 @@ exports.getProfile = async (req, res) => {
       data: { profile },
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Error fetching Gmail profile",
-      error: error.message,
-    });
+    sendGoogleError(res, error, "Error fetching Gmail profile");
   }
 };
 
@@ -26,25 +72,30 @@ exports.getProfile = async (req, res) => {
 // @access  Private
 exports.getEmails = async (req, res) => {
   try {
-    const { query = "", maxResults = 10 } = req.query;
+    const {
+      query = "",
+      maxResults = 10,
+      format,
+      fields,
+      pageToken,
+    } = req.query;
 
-    const emails = await googleApiService.getEmails(
+    const result = await googleApiService.getEmailPage(
       req.user.id,
       query,
-      parseInt(maxResults)
+      parseInt(maxResults),
+      { format, fields, pageToken }
     );
 
     res.status(200).json({
       success: true,
-      count: emails.length,
-      data: { emails },
+      count: result.emails.length,
+      nextPageToken: result.nextPageToken,
+      resultSizeEstimate: result.resultSizeEstimate,
+      data: { emails: result.emails },
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Error fetching emails",
-      error: error.message,
-    });
+    sendGoogleError(res, error, "Error fetching emails");
   }
 };
 
@@ -63,27 +114,43 @@ exports.sendEmail = async (req, res) => {
       });
     }
 
-    const { to, subject, body, isHtml = false } = req.body;
+    const message = buildMessageFromRequest(req);
+    const result = await googleApiService.sendEmail(req.user.id, message);
 
-    const result = await googleApiService.sendEmail(
-      req.user.id,
-      to,
-      subject,
-      body,
-      isHtml
-    );
+    // Optionally remind the user if nobody replies in time. The email is
+    // already sent by now, so a failure here must not look like a failed
+    // send, or the client would send it again
+    let followUp;
+    let warning;
+    if (req.body.followUpAfter) {
+      try {
+        followUp = await followUpService.createFollowUp(
+          req.user.id,
+          result,
+          message,
+          {
+            afterMs: parseDuration(req.body.followUpAfter),
+            taskType: req.body.followUpTaskType,
+            taskListId: req.body.followUpTaskListId,
+            resurface:
+              req.body.followUpResurface === true ||
+              req.body.followUpResurface === "true",
+          }
+        );
+      } catch (error) {
+        console.error("Error creating follow-up:", error);
+        warning = `Email sent, but the follow-up reminder could not be created: ${error.message}`;
+      }
+    }
 
     res.status(201).json({
       success: true,
       message: "Email sent successfully",
-      data: { result },
+      ...(warning && { warning }),
+      data: { result, followUp },
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Error sending email",
-      error: error.message,
-    });
+    sendGoogleError(res, error, "Error sending email");
   }
 };
 
@@ -92,7 +159,7 @@ exports.sendEmail = async (req, res) => {
 // @access  Private
 exports.searchEmails = async (req, res) => {
   try {
-    const { q, maxResults = 20 } = req.query;
+    const { q, maxResults = 20, format, fields, pageToken } = req.query;
 
     if (!q) {
       return res.status(400).json({
@@ -101,23 +168,683 @@ exports.searchEmails = async (req, res) => {
       });
     }
 
-    const emails = await googleApiService.getEmails(
+    const result = await googleApiService.getEmailPage(
       req.user.id,
       q,
-      parseInt(maxResults)
+      parseInt(maxResults),
+      { format, fields, pageToken }
     );
 
     res.status(200).json({
       success: true,
       query: q,
-      count: emails.length,
-      data: { emails },
+      count: result.emails.length,
+      nextPageToken: result.nextPageToken,
+      resultSizeEstimate: result.resultSizeEstimate,
+      data: { emails: result.emails },
+    });
+  } catch (error) {
+    sendGoogleError(res, error, "Error searching emails");
+  }
+};
+
+// @desc    Get email threads
+// @route   GET /api/gmail/threads
+// @access  Private
+exports.getThreads = async (req, res) => {
+  try {
+    const { query = "", maxResults = 10, pageToken } = req.query;
+
+    const result = await googleApiService.getThreads(
+      req.user.id,
+      query,
+      parseInt(maxResults),
+      pageToken
+    );
+
+    res.status(200).json({
+      success: true,
+      count: result.threads.length,
+      nextPageToken: result.nextPageToken,
+      resultSizeEstimate: result.resultSizeEstimate,
+      data: { threads: result.threads },
+    });
+  } catch (error) {
+    sendGoogleError(res, error, "Error fetching threads");
+  }
+};
+
+// @desc    Get a single thread with all its messages
+// @route   GET /api/gmail/threads/:threadId
+// @access  Private
+exports.getThread = async (req, res) => {
+  try {
+    const thread = await googleApiService.getThread(
+      req.user.id,
+      req.params.threadId
+    );
+
+    res.status(200).json({
+      success: true,
+      data: { thread },
+    });
+  } catch (error) {
+    sendGoogleError(res, error, "Error fetching thread");
+  }
+};
+
+// @desc    Reply to a message
+// @route   POST /api/gmail/messages/:id/reply
+// @access  Private
+exports.replyToMessage = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const { body, isHtml = false } = req.body;
+    const result = await googleApiService.replyToMessage(
+      req.user.id,
+      req.params.id,
+      { body, isHtml, replyAll: false }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Reply sent successfully",
+      data: { result },
+    });
+  } catch (error) {
+    sendGoogleError(res, error, "Error sending reply");
+  }
+};
+
+// @desc    Reply to all recipients of a message
+// @route   POST /api/gmail/messages/:id/reply-all
+// @access  Private
+exports.replyAllToMessage = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const { body, isHtml = false } = req.body;
+    const result = await googleApiService.replyToMessage(
+      req.user.id,
+      req.params.id,
+      { body, isHtml, replyAll: true }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Reply sent successfully",
+      data: { result },
+    });
+  } catch (error) {
+    sendGoogleError(res, error, "Error sending reply");
+  }
+};
+
+// @desc    Forward a message with its attachments
+// @route   POST /api/gmail/messages/:id/forward
+// @access  Private
+exports.forwardMessage = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const { to, cc, body = "", isHtml = false } = req.body;
+    const result = await googleApiService.forwardMessage(
+      req.user.id,
+      req.params.id,
+      {
+        to: normalizeRecipients(to),
+        cc: normalizeRecipients(cc),
+        body,
+        isHtml,
+      }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Email forwarded successfully",
+      data: { result },
+    });
+  } catch (error) {
+    sendGoogleError(res, error, "Error forwarding email");
+  }
+};
+
+// @desc    Create a draft
+// @route   POST /api/gmail/drafts
+// @access  Private
+exports.createDraft = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const draft = await googleApiService.createDraft(
+      req.user.id,
+      buildMessageFromRequest(req)
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Draft created successfully",
+      data: { draft },
+    });
+  } catch (error) {
+    sendGoogleError(res, error, "Error creating draft");
+  }
+};
+
+// @desc    Get drafts
+// @route   GET /api/gmail/drafts
+// @access  Private
+exports.getDrafts = async (req, res) => {
+  try {
+    const { maxResults = 10, pageToken } = req.query;
+
+    const result = await googleApiService.getDrafts(
+      req.user.id,
+      parseInt(maxResults),
+      pageToken
+    );
+
+    res.status(200).json({
+      success: true,
+      count: result.drafts.length,
+      nextPageToken: result.nextPageToken,
+      resultSizeEstimate: result.resultSizeEstimate,
+      data: { drafts: result.drafts },
+    });
+  } catch (error) {
+    sendGoogleError(res, error, "Error fetching drafts");
+  }
+};
+
+// @desc    Get a single draft
+// @route   GET /api/gmail/drafts/:draftId
+// @access  Private
+exports.getDraft = async (req, res) => {
+  try {
+    const draft = await googleApiService.getDraft(
+      req.user.id,
+      req.params.draftId
+    );
+
+    res.status(200).json({
+      success: true,
+      data: { draft },
+    });
+  } catch (error) {
+    sendGoogleError(res, error, "Error fetching draft");
+  }
+};
+
+// @desc    Update a draft
+// @route   PUT /api/gmail/drafts/:draftId
+// @access  Private
+exports.updateDraft = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const draft = await googleApiService.updateDraft(
+      req.user.id,
+      req.params.draftId,
+      buildMessageFromRequest(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Draft updated successfully",
+      data: { draft },
+    });
+  } catch (error) {
+    sendGoogleError(res, error, "Error updating draft");
+  }
+};
+
+// @desc    Delete a draft
+// @route   DELETE /api/gmail/drafts/:draftId
+// @access  Private
+exports.deleteDraft = async (req, res) => {
+  try {
+    const result = await googleApiService.deleteDraft(
+      req.user.id,
+      req.params.draftId
+    );
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    sendGoogleError(res, error, "Error deleting draft");
+  }
+};
+
+// @desc    Send a draft
+// @route   POST /api/gmail/drafts/:draftId/send
+// @access  Private
+exports.sendDraft = async (req, res) => {
+  try {
+    const result = await googleApiService.sendDraft(
+      req.user.id,
+      req.params.draftId
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Draft sent successfully",
+      data: { result },
+    });
+  } catch (error) {
+    sendGoogleError(res, error, "Error sending draft");
+  }
+};
+
+// @desc    Get labels
+// @route   GET /api/gmail/labels
+// @access  Private
+exports.getLabels = async (req, res) => {
+  try {
+    const labels = await googleApiService.getLabels(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      count: labels.length,
+      data: { labels },
+    });
+  } catch (error) {
+    sendGoogleError(res, error, "Error fetching labels");
+  }
+};
+
+// @desc    Create a label
+// @route   POST /api/gmail/labels
+// @access  Private
+exports.createLabel = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const { name, labelListVisibility, messageListVisibility, color } =
+      req.body;
+
+    const label = await googleApiService.createLabel(req.user.id, {
+      name,
+      labelListVisibility,
+      messageListVisibility,
+      color,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Label created successfully",
+      data: { label },
+    });
+  } catch (error) {
+    sendGoogleError(res, error, "Error creating label");
+  }
+};
+
+// @desc    Rename or restyle a label
+// @route   PUT /api/gmail/labels/:labelId
+// @access  Private
+exports.updateLabel = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const { name, labelListVisibility, messageListVisibility, color } =
+      req.body;
+
+    const label = await googleApiService.updateLabel(
+      req.user.id,
+      req.params.labelId,
+      { name, labelListVisibility, messageListVisibility, color }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Label updated successfully",
+      data: { label },
+    });
+  } catch (error) {
+    sendGoogleError(res, error, "Error updating label");
+  }
+};
+
+// @desc    Delete a label
+// @route   DELETE /api/gmail/labels/:labelId
+// @access  Private
+exports.deleteLabel = async (req, res) => {
+  try {
+    const result = await googleApiService.deleteLabel(
+      req.user.id,
+      req.params.labelId
+    );
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    sendGoogleError(res, error, "Error deleting label");
+  }
+};
+
+// @desc    Apply an action to many messages by id list or search query
+// @route   POST /api/gmail/messages/bulk
+// @access  Private
+exports.bulkModifyMessages = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const { ids, query, limit, action, addLabelIds, removeLabelIds } = req.body;
+
+    const result = await googleApiService.modifyMessages(
+      req.user.id,
+      { ids, query, limit: limit ? parseInt(limit) : undefined },
+      { action, addLabelIds, removeLabelIds }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `${result.modified} messages updated`,
+      data: result,
+    });
+  } catch (error) {
+    sendGoogleError(res, error, "Error updating messages");
+  }
+};
+
+// @desc    Download a message attachment
+// @route   GET /api/gmail/messages/:id/attachments/:attachmentId
+// @access  Private
+exports.downloadAttachment = async (req, res) => {
+  try {
+    const { id, attachmentId } = req.params;
+
+    const info = await googleApiService.getAttachmentInfo(
+      req.user.id,
+      id,
+      attachmentId,
+      req.query.partId
+    );
+
+    if (info.size > MAX_ATTACHMENT_BYTES) {
+      return res.status(413).json({
+        success: false,
+        message: `Attachment is larger than the ${MAX_ATTACHMENT_BYTES} byte download limit`,
+      });
+    }
+
+    const content = await googleApiService.getAttachment(
+      req.user.id,
+      id,
+      attachmentId
+    );
+
+    res.attachment(info.filename || "attachment");
+    res.set({
+      "Content-Type": info.mimeType || "application/octet-stream",
+      "Content-Length": content.length,
+    });
+    res.status(200).end(content);
+  } catch (error) {
+    sendGoogleError(res, error, "Error downloading attachment");
+  }
+};
+
+// @desc    Save a reference to a message attachment on a local task
+// @route   POST /api/gmail/messages/:id/attachments/:attachmentId/save-to-task
+// @access  Private
+exports.saveAttachmentToTask = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const { id, attachmentId } = req.params;
+    const { taskId, partId } = req.body;
+
+    const task = await Task.findById(taskId);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: "Task not found",
+      });
+    }
+
+    // Check if user has permission to update this task
+    if (
+      req.user.role !== "admin" &&
+      task.createdBy.toString() !== req.user.id &&
+      task.assignedTo.toString() !== req.user.id
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    const info = await googleApiService.getAttachmentInfo(
+      req.user.id,
+      id,
+      attachmentId,
+      partId
+    );
+
+    task.attachments.push({
+      source: "gmail",
+      messageId: id,
+      threadId: info.threadId,
+      attachmentId,
+      partId: info.partId,
+      filename: info.filename,
+      mimeType: info.mimeType,
+      size: info.size,
+    });
+    await task.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Attachment saved to task",
+      data: { task },
+    });
+  } catch (error) {
+    sendGoogleError(res, error, "Error saving attachment to task");
+  }
+};
+
+// @desc    Create a local or Google task from a message
+// @route   POST /api/gmail/messages/:id/to-task
+// @access  Private
+exports.messageToTask = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const message = await googleApiService.getMessage(
+      req.user.id,
+      req.params.id,
+      { fields: "metadata" }
+    );
+
+    const { type, task, email } = await emailTaskService.createTaskFromMessage(
+      req.user.id,
+      message,
+      req.body
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Task created from email",
+      data: { type, task, email },
+    });
+  } catch (error) {
+    sendGoogleError(res, error, "Error creating task from email");
+  }
+};
+
+// @desc    Suggest calendar events from dates and times in an email
+// @route   POST /api/gmail/messages/:id/suggest-events
+// @access  Private
+exports.suggestEvents = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const timeZone =
+      req.body.timeZone || (await timeZoneService.getUserTimeZone(req.user.id));
+    if (!isValidTimeZone(timeZone)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown time zone "${timeZone}"`,
+      });
+    }
+
+    const { message, suggestions } = await eventSuggestionService.suggestEvents(
+      req.user.id,
+      req.params.id,
+      timeZone
+    );
+
+    res.status(200).json({
+      success: true,
+      count: suggestions.length,
+      data: {
+        messageId: message.id,
+        threadId: message.threadId,
+        suggestions,
+      },
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Error searching emails",
-      error: error.message,
+    sendGoogleError(res, error, "Error suggesting events");
+  }
+};
+
+// @desc    Create a calendar event from a suggestion, inviting the sender
+// @route   POST /api/gmail/messages/:id/suggest-events/accept
+// @access  Private
+exports.acceptSuggestedEvent = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const timeZone =
+      req.body.timeZone || (await timeZoneService.getUserTimeZone(req.user.id));
+    if (!isValidTimeZone(timeZone)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown time zone "${timeZone}"`,
+      });
+    }
+
+    const message = await googleApiService.getMessage(
+      req.user.id,
+      req.params.id,
+      { fields: "metadata" }
+    );
+
+    const event = await eventSuggestionService.acceptSuggestion(
+      req.user.id,
+      message,
+      { ...req.body, timeZone }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Event created from email",
+      data: { event },
     });
+  } catch (error) {
+    sendGoogleError(res, error, "Error creating event from email");
   }
 };
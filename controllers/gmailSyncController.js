@@ -0,0 +1,205 @@
+const gmailSyncService = require("../services/gmailSyncService");
+const GmailMessage = require("../models/GmailMessage");
+const { sendGoogleError } = require("../utils/googleError");
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// @desc    Sync the local Gmail index with the mailbox
+// @route   POST /api/gmail/sync
+// @access  Private
+exports.syncMailbox = async (req, res) => {
+  try {
+    const full = req.query.full === "true" || req.body.full === true;
+
+    const result = await gmailSyncService.sync(req.user.id, { full });
+
+    res.status(200).json({
+      success: true,
+      message: `${
+        result.type === "full" ? "Full" : "Incremental"
+      } sync complete`,
+      data: {
+        type: result.type,
+        added: result.added.length,
+        removed: result.removed.length,
+        updated: result.updated.length,
+      },
+    });
+  } catch (error) {
+    sendGoogleError(res, error, "Error syncing mailbox");
+  }
+};
+
+// @desc    Get sync status for the current user
+// @route   GET /api/gmail/sync/status
+// @access  Private
+exports.getSyncStatus = async (req, res) => {
+  try {
+    const status = await gmailSyncService.getStatus(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: { status },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    List messages from the local index
+// @route   GET /api/gmail/local/messages
+// @access  Private
+exports.getLocalMessages = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const startIndex = (page - 1) * limit;
+
+    // Build filter object
+    const filter = { user: req.user.id };
+
+    if (req.query.label) {
+      filter.labelIds = req.query.label;
+    }
+    if (req.query.unread !== undefined) {
+      filter.isUnread = req.query.unread === "true";
+    }
+    if (req.query.from) {
+      filter["from.email"] = req.query.from.toLowerCase();
+    }
+    if (req.query.threadId) {
+      filter.threadId = req.query.threadId;
+    }
+    if (req.query.hasAttachments !== undefined) {
+      filter.hasAttachments = req.query.hasAttachments === "true";
+    }
+    if (req.query.after || req.query.before) {
+      filter.date = {};
+      if (req.query.after) filter.date.$gte = new Date(req.query.after);
+      if (req.query.before) filter.date.$lt = new Date(req.query.before);
+    }
+    if (req.query.q) {
+      const pattern = new RegExp(escapeRegex(req.query.q), "i");
+      filter.$or = [
+        { subject: pattern },
+        { snippet: pattern },
+        { "from.name": pattern },
+        { "from.email": pattern },
+      ];
+    }
+
+    const total = await GmailMessage.countDocuments(filter);
+    const messages = await GmailMessage.find(filter)
+      .sort({ date: -1 })
+      .skip(startIndex)
+      .limit(limit);
+
+    const pagination = {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalMessages: total,
+      hasNext: page < Math.ceil(total / limit),
+      hasPrev: page > 1,
+    };
+
+    res.status(200).json({
+      success: true,
+      count: messages.length,
+      pagination,
+      data: { messages },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Count indexed and unread messages, overall and per label
+// @route   GET /api/gmail/local/counts
+// @access  Private
+exports.getLocalCounts = async (req, res) => {
+  try {
+    const user = req.user._id;
+
+    const [total, unread, byLabel] = await Promise.all([
+      GmailMessage.countDocuments({ user }),
+      GmailMessage.countDocuments({ user, isUnread: true }),
+      GmailMessage.aggregate([
+        { $match: { user } },
+        { $unwind: "$labelIds" },
+        {
+          $group: {
+            _id: "$labelIds",
+            total: { $sum: 1 },
+            unread: { $sum: { $cond: ["$isUnread", 1, 0] } },
+          },
+        },
+        { $sort: { _id: 1 } },
+      ]),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        total,
+        unread,
+        labels: byLabel.map((label) => ({
+          labelId: label._id,
+          total: label.total,
+          unread: label.unread,
+        })),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Register Gmail push notifications for the current user
+// @route   POST /api/gmail/watch
+// @access  Private
+exports.startWatch = async (req, res) => {
+  try {
+    const { labelIds } = req.body;
+
+    const watch = await gmailSyncService.startWatch(
+      req.user.id,
+      Array.isArray(labelIds) && labelIds.length ? labelIds : undefined
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Push notifications enabled",
+      data: { watch },
+    });
+  } catch (error) {
+    sendGoogleError(res, error, "Error enabling push notifications");
+  }
+};
+
+// @desc    Stop Gmail push notifications for the current user
+// @route   DELETE /api/gmail/watch
+// @access  Private
+exports.stopWatch = async (req, res) => {
+  try {
+    await gmailSyncService.stopWatch(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: "Push notifications disabled",
+    });
+  } catch (error) {
+    sendGoogleError(res, error, "Error disabling push notifications");
+  }
+};
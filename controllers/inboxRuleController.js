@@ -0,0 +1,280 @@
+const InboxRule = require("../models/InboxRule");
+const RuleExecution = require("../models/RuleExecution");
+const inboxRuleService = require("../services/inboxRuleService");
+const { validationResult } = require("express-validator");
+const { sendGoogleError } = require("../utils/googleError");
+
+// Fields a client may set on a rule
+const RULE_FIELDS = [
+  "name",
+  "enabled",
+  "match",
+  "conditions",
+  "actions",
+  "order",
+];
+
+// @desc    Get all inbox rules
+// @route   GET /api/gmail/rules
+// @access  Private
+exports.getRules = async (req, res) => {
+  try {
+    const rules = await InboxRule.find({ user: req.user.id }).sort({
+      order: 1,
+      createdAt: 1,
+    });
+
+    res.status(200).json({
+      success: true,
+      count: rules.length,
+      data: { rules },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get single inbox rule
+// @route   GET /api/gmail/rules/:id
+// @access  Private
+exports.getRule = async (req, res) => {
+  try {
+    const rule = await InboxRule.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+    });
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: "Rule not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { rule },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Create inbox rule
+// @route   POST /api/gmail/rules
+// @access  Private
+exports.createRule = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const rule = new InboxRule({ user: req.user.id });
+    RULE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) rule[field] = req.body[field];
+    });
+    await rule.save();
+
+    res.status(201).json({
+      success: true,
+      data: { rule },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Update inbox rule
+// @route   PUT /api/gmail/rules/:id
+// @access  Private
+exports.updateRule = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const rule = await InboxRule.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+    });
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: "Rule not found",
+      });
+    }
+
+    RULE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) rule[field] = req.body[field];
+    });
+    await rule.save();
+
+    res.status(200).json({
+      success: true,
+      data: { rule },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Delete inbox rule
+// @route   DELETE /api/gmail/rules/:id
+// @access  Private
+exports.deleteRule = async (req, res) => {
+  try {
+    const rule = await InboxRule.findOneAndDelete({
+      _id: req.params.id,
+      user: req.user.id,
+    });
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: "Rule not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        message: "Rule deleted successfully",
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Check a rule against the last N emails without running actions
+// @route   POST /api/gmail/rules/:id/test
+// @access  Private
+exports.testRule = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const rule = await InboxRule.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+    });
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: "Rule not found",
+      });
+    }
+
+    const results = await inboxRuleService.testRule(
+      req.user.id,
+      rule,
+      req.body.count || 20
+    );
+
+    res.status(200).json({
+      success: true,
+      count: results.filter((result) => result.matched).length,
+      data: { tested: results.length, results },
+    });
+  } catch (error) {
+    sendGoogleError(res, error, "Error testing rule");
+  }
+};
+
+// @desc    List rule executions
+// @route   GET /api/gmail/rules/executions
+// @access  Private
+exports.getExecutions = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const startIndex = (page - 1) * limit;
+
+    // Build filter object
+    const filter = { user: req.user.id };
+    if (req.query.rule) {
+      filter.rule = req.query.rule;
+    }
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const total = await RuleExecution.countDocuments(filter);
+    const executions = await RuleExecution.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(startIndex)
+      .limit(limit);
+
+    const pagination = {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalExecutions: total,
+      hasNext: page < Math.ceil(total / limit),
+      hasPrev: page > 1,
+    };
+
+    res.status(200).json({
+      success: true,
+      count: executions.length,
+      pagination,
+      data: { executions },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
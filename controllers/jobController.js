@@ -0,0 +1,31 @@
+const jobs = require("../jobs");
+
+// @desc    Run a background job now
+// @route   GET /api/jobs/:name
+// @access  Cron (shared secret)
+exports.runJob = async (req, res) => {
+  const { name } = req.params;
+
+  if (!jobs.hasJob(name)) {
+    return res.status(404).json({
+      success: false,
+      message: `Job ${name} not found`,
+    });
+  }
+
+  try {
+    const result = await jobs.runJob(name);
+
+    res.status(200).json({
+      success: true,
+      job: name,
+      data: result || {},
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: `Job ${name} failed`,
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,274 @@
+const ScheduledEmail = require("../models/ScheduledEmail");
+const timeZoneService = require("../services/timeZoneService");
+const { validationResult } = require("express-validator");
+const { normalizeRecipients } = require("../utils/mimeMessage");
+const { isValidTimeZone, resolveDateTime } = require("../utils/timezone");
+
+// Only emails that have not gone out can be changed
+const EDITABLE_STATUSES = ["pending", "failed"];
+
+// Work out the send time from the request, or return an error message
+const resolveSendAt = (sendAt, timeZone) => {
+  if (!isValidTimeZone(timeZone)) {
+    return { error: `Unknown time zone "${timeZone}"` };
+  }
+
+  const date = resolveDateTime(sendAt, timeZone);
+  if (!date) {
+    return { error: "sendAt must be a valid date/time" };
+  }
+  if (date <= new Date()) {
+    return { error: "sendAt must be in the future" };
+  }
+
+  return { date };
+};
+
+const findScheduledEmail = (req) =>
+  ScheduledEmail.findOne({ _id: req.params.id, user: req.user.id });
+
+// @desc    Schedule an email to be sent later
+// @route   POST /api/gmail/scheduled
+// @access  Private
+exports.createScheduledEmail = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const { to, cc, bcc, subject, body, text, html, isHtml, threadId, sendAt } =
+      req.body;
+    const timeZone =
+      req.body.timeZone || (await timeZoneService.getUserTimeZone(req.user.id));
+
+    const { date, error } = resolveSendAt(sendAt, timeZone);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    // The older body + isHtml pair maps onto text/html
+    const useBody = body !== undefined && text === undefined && !html;
+
+    const scheduledEmail = await ScheduledEmail.create({
+      user: req.user.id,
+      to: normalizeRecipients(to),
+      cc: normalizeRecipients(cc),
+      bcc: normalizeRecipients(bcc),
+      subject,
+      text: useBody && !isHtml ? body : text,
+      html: useBody && isHtml ? body : html,
+      threadId,
+      sendAt: date,
+      timeZone,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Email scheduled",
+      data: { scheduledEmail },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    List scheduled emails
+// @route   GET /api/gmail/scheduled
+// @access  Private
+exports.getScheduledEmails = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const startIndex = (page - 1) * limit;
+
+    // Build filter object
+    const filter = { user: req.user.id };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const total = await ScheduledEmail.countDocuments(filter);
+    const scheduledEmails = await ScheduledEmail.find(filter)
+      .sort({ sendAt: 1 })
+      .skip(startIndex)
+      .limit(limit);
+
+    const pagination = {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalEmails: total,
+      hasNext: page < Math.ceil(total / limit),
+      hasPrev: page > 1,
+    };
+
+    res.status(200).json({
+      success: true,
+      count: scheduledEmails.length,
+      pagination,
+      data: { scheduledEmails },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get a scheduled email
+// @route   GET /api/gmail/scheduled/:id
+// @access  Private
+exports.getScheduledEmail = async (req, res) => {
+  try {
+    const scheduledEmail = await findScheduledEmail(req);
+
+    if (!scheduledEmail) {
+      return res.status(404).json({
+        success: false,
+        message: "Scheduled email not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { scheduledEmail },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Reschedule a pending or failed email
+// @route   PATCH /api/gmail/scheduled/:id
+// @access  Private
+exports.rescheduleEmail = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const scheduledEmail = await findScheduledEmail(req);
+
+    if (!scheduledEmail) {
+      return res.status(404).json({
+        success: false,
+        message: "Scheduled email not found",
+      });
+    }
+
+    if (!EDITABLE_STATUSES.includes(scheduledEmail.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot reschedule an email that is ${scheduledEmail.status}`,
+      });
+    }
+
+    const timeZone = req.body.timeZone || scheduledEmail.timeZone;
+    const { date, error } = resolveSendAt(req.body.sendAt, timeZone);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    // Conditional update so we never race the job that is claiming it
+    const updated = await ScheduledEmail.findOneAndUpdate(
+      { _id: scheduledEmail._id, status: { $in: EDITABLE_STATUSES } },
+      {
+        status: "pending",
+        sendAt: date,
+        timeZone,
+        attempts: 0,
+        $unset: { failureReason: 1, lastError: 1 },
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: "Email is already being sent",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Email rescheduled",
+      data: { scheduledEmail: updated },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Cancel a pending or failed email
+// @route   DELETE /api/gmail/scheduled/:id
+// @access  Private
+exports.cancelScheduledEmail = async (req, res) => {
+  try {
+    const scheduledEmail = await ScheduledEmail.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        user: req.user.id,
+        status: { $in: EDITABLE_STATUSES },
+      },
+      { status: "cancelled" },
+      { new: true }
+    );
+
+    if (!scheduledEmail) {
+      const existing = await findScheduledEmail(req);
+      return res.status(existing ? 409 : 404).json({
+        success: false,
+        message: existing
+          ? `Cannot cancel an email that is ${existing.status}`
+          : "Scheduled email not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Scheduled email cancelled",
+      data: { scheduledEmail },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
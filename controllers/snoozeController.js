@@ -0,0 +1,136 @@
+const SnoozedMessage = require("../models/SnoozedMessage");
+const snoozeService = require("../services/snoozeService");
+const timeZoneService = require("../services/timeZoneService");
+const { validationResult } = require("express-validator");
+const { sendGoogleError } = require("../utils/googleError");
+const { parseDuration } = require("../utils/duration");
+const { isValidTimeZone, resolveDateTime } = require("../utils/timezone");
+
+// @desc    Snooze a message until a chosen time
+// @route   POST /api/gmail/messages/:id/snooze
+// @access  Private
+exports.snoozeMessage = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const { until, duration } = req.body;
+    const timeZone =
+      req.body.timeZone || (await timeZoneService.getUserTimeZone(req.user.id));
+
+    if (!isValidTimeZone(timeZone)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown time zone "${timeZone}"`,
+      });
+    }
+
+    const wakeAt = until
+      ? resolveDateTime(until, timeZone)
+      : new Date(Date.now() + parseDuration(duration));
+
+    if (!wakeAt || wakeAt <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: "Wake-up time must be a valid time in the future",
+      });
+    }
+
+    const snoozed = await snoozeService.snooze(
+      req.user.id,
+      req.params.id,
+      wakeAt,
+      timeZone
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Message snoozed until ${wakeAt.toISOString()}`,
+      data: { snoozed },
+    });
+  } catch (error) {
+    sendGoogleError(res, error, "Error snoozing message");
+  }
+};
+
+// @desc    Cancel a snooze and return the message to the inbox
+// @route   DELETE /api/gmail/messages/:id/snooze
+// @access  Private
+exports.cancelSnooze = async (req, res) => {
+  try {
+    const snoozed = await snoozeService.cancel(req.user.id, req.params.id);
+
+    if (!snoozed) {
+      return res.status(404).json({
+        success: false,
+        message: "Message is not snoozed",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Snooze cancelled",
+      data: { snoozed },
+    });
+  } catch (error) {
+    sendGoogleError(res, error, "Error cancelling snooze");
+  }
+};
+
+// @desc    List snoozed messages
+// @route   GET /api/gmail/snoozed
+// @access  Private
+exports.getSnoozedMessages = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const startIndex = (page - 1) * limit;
+
+    // Currently snoozed messages unless another status is asked for
+    const filter = { user: req.user.id, status: req.query.status || "snoozed" };
+
+    const total = await SnoozedMessage.countDocuments(filter);
+    const snoozed = await SnoozedMessage.find(filter)
+      .sort({ wakeAt: 1 })
+      .skip(startIndex)
+      .limit(limit);
+
+    const pagination = {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalMessages: total,
+      hasNext: page < Math.ceil(total / limit),
+      hasPrev: page > 1,
+    };
+
+    res.status(200).json({
+      success: true,
+      count: snoozed.length,
+      pagination,
+      data: { snoozed },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
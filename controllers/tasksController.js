@@ -1,6 +1,7 @@
 const asyncHandler = require("../utils/asyncHandler");
 const ErrorResponse = require("../utils/errorResponse");
 const googleApiService = require("../services/googleApiService");
+const { googleErrorResponse } = require("../utils/googleError");
 
 // @desc    Test Google Tasks API connection
 // @route   GET /api/gtasks/test
@@ -19,7 +20,9 @@ exports.testConnection = asyncHandler(async (req, res, next) => {
     });
   } catch (error) {
     console.error("Google Tasks API test error:", error);
-    return next(new ErrorResponse("Google Tasks API connection failed", 500));
+    return next(
+      googleErrorResponse(error, "Google Tasks API connection failed")
+    );
   }
 });
 
@@ -39,7 +42,7 @@ exports.getTaskLists = asyncHandler(async (req, res, next) => {
     });
   } catch (error) {
     console.error("Get task lists error:", error);
-    return next(new ErrorResponse("Failed to fetch task lists", 500));
+    return next(googleErrorResponse(error, "Failed to fetch task lists"));
   }
 });
 
@@ -64,7 +67,7 @@ exports.createTaskList = asyncHandler(async (req, res, next) => {
     });
   } catch (error) {
     console.error("Create task list error:", error);
-    return next(new ErrorResponse("Failed to create task list", 500));
+    return next(googleErrorResponse(error, "Failed to create task list"));
   }
 });
 
@@ -116,7 +119,7 @@ exports.getTasks = asyncHandler(async (req, res, next) => {
     });
   } catch (error) {
     console.error("Get tasks error:", error);
-    return next(new ErrorResponse("Failed to fetch tasks", 500));
+    return next(googleErrorResponse(error, "Failed to fetch tasks"));
   }
 });
 
@@ -158,7 +161,7 @@ exports.createTask = asyncHandler(async (req, res, next) => {
     });
   } catch (error) {
     console.error("Create task error:", error);
-    return next(new ErrorResponse("Failed to create task", 500));
+    return next(googleErrorResponse(error, "Failed to create task"));
   }
 });
 
@@ -213,7 +216,7 @@ exports.updateTask = asyncHandler(async (req, res, next) => {
     });
   } catch (error) {
     console.error("Update task error:", error);
-    return next(new ErrorResponse("Failed to update task", 500));
+    return next(googleErrorResponse(error, "Failed to update task"));
   }
 });
 
@@ -240,7 +243,7 @@ exports.deleteTask = asyncHandler(async (req, res, next) => {
     });
   } catch (error) {
     console.error("Delete task error:", error);
-    return next(new ErrorResponse("Failed to delete task", 500));
+    return next(googleErrorResponse(error, "Failed to delete task"));
   }
 });
 
@@ -272,7 +275,7 @@ exports.moveTask = asyncHandler(async (req, res, next) => {
     });
   } catch (error) {
     console.error("Move task error:", error);
-    return next(new ErrorResponse("Failed to move task", 500));
+    return next(googleErrorResponse(error, "Failed to move task"));
   }
 });
 
@@ -298,7 +301,7 @@ exports.clearTaskList = asyncHandler(async (req, res, next) => {
     });
   } catch (error) {
     console.error("Clear task list error:", error);
-    return next(new ErrorResponse("Failed to clear task list", 500));
+    return next(googleErrorResponse(error, "Failed to clear task list"));
   }
 });
 
@@ -367,6 +370,6 @@ exports.toggleTaskCompletion = asyncHandler(async (req, res, next) => {
     });
   } catch (error) {
     console.error("Toggle task completion error:", error);
-    return next(new ErrorResponse("Failed to toggle task completion", 500));
+    return next(googleErrorResponse(error, "Failed to toggle task completion"));
   }
 });
@@ -0,0 +1,25 @@
+const gmailSyncService = require("../services/gmailSyncService");
+const { decodeGmailNotification } = require("../utils/pubsubPayload");
+
+// @desc    Receive Gmail push notifications from Cloud Pub/Sub
+// @route   POST /api/webhooks/gmail
+// @access  Pub/Sub (shared token)
+exports.gmailPush = async (req, res) => {
+  const notification = decodeGmailNotification(req.body);
+
+  // Acknowledge malformed payloads too, otherwise Pub/Sub redelivers them
+  // forever
+  if (!notification) {
+    return res.status(204).end();
+  }
+
+  try {
+    await gmailSyncService.handleNotification(notification);
+  } catch (error) {
+    // The next notification or scheduled sync catches up, so don't make
+    // Pub/Sub retry
+    console.error("Error handling Gmail push notification:", error);
+  }
+
+  res.status(204).end();
+};
@@ -0,0 +1,8 @@
+const followUpService = require("../services/followUpService");
+
+// Create reminders for sent emails that got no reply in time
+module.exports = {
+  name: "check-follow-ups",
+  intervalMs: 15 * 60 * 1000, // 15 minutes
+  run: () => followUpService.checkDueFollowUps(),
+};
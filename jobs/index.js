@@ -0,0 +1,11 @@
+const scheduler = require("./scheduler");
+
+// Register background jobs
+[
+  require("./renewGmailWatches"),
+  require("./sendScheduledEmails"),
+  require("./checkFollowUps"),
+  require("./wakeSnoozedMessages"),
+].forEach((job) => scheduler.registerJob(job.name, job));
+
+module.exports = scheduler;
@@ -0,0 +1,8 @@
+const gmailSyncService = require("../services/gmailSyncService");
+
+// Gmail watches expire after 7 days; renew the ones close to expiring
+module.exports = {
+  name: "renew-gmail-watches",
+  intervalMs: 6 * 60 * 60 * 1000, // 6 hours
+  run: () => gmailSyncService.renewWatches(),
+};
@@ -0,0 +1,58 @@
+// Minimal in-process job scheduler. Jobs also run on demand through
+// /api/jobs/:name so serverless deployments can trigger them from cron
+const jobs = new Map();
+const timers = [];
+
+const registerJob = (name, { intervalMs, run }) => {
+  jobs.set(name, { name, intervalMs, run, running: null });
+};
+
+// Run a job now. Overlapping runs of the same job share one execution
+const runJob = (name) => {
+  const job = jobs.get(name);
+
+  if (!job) {
+    return Promise.reject(new Error(`Unknown job: ${name}`));
+  }
+
+  if (!job.running) {
+    job.running = Promise.resolve()
+      .then(job.run)
+      .finally(() => {
+        job.running = null;
+      });
+  }
+
+  return job.running;
+};
+
+const hasJob = (name) => jobs.has(name);
+
+// Start running every registered job on its interval
+const startScheduler = () => {
+  jobs.forEach((job) => {
+    const timer = setInterval(() => {
+      runJob(job.name).catch((error) =>
+        console.error(`Job ${job.name} failed:`, error)
+      );
+    }, job.intervalMs);
+
+    // Don't keep the process alive just for the scheduler
+    timer.unref();
+    timers.push(timer);
+  });
+
+  console.log(`⏱️  Scheduler started with ${jobs.size} job(s)`);
+};
+
+const stopScheduler = () => {
+  timers.splice(0).forEach(clearInterval);
+};
+
+module.exports = {
+  registerJob,
+  runJob,
+  hasJob,
+  startScheduler,
+  stopScheduler,
+};
@@ -0,0 +1,8 @@
+const scheduledEmailService = require("../services/scheduledEmailService");
+
+// Send queued emails whose scheduled time has passed
+module.exports = {
+  name: "send-scheduled-emails",
+  intervalMs: 60 * 1000, // 1 minute
+  run: () => scheduledEmailService.sendDueEmails(),
+};
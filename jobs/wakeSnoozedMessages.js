@@ -0,0 +1,8 @@
+const snoozeService = require("../services/snoozeService");
+
+// Return snoozed messages to the inbox when their time is up
+module.exports = {
+  name: "wake-snoozed-messages",
+  intervalMs: 60 * 1000, // 1 minute
+  run: () => snoozeService.wakeDueMessages(),
+};
@@ -32,6 +32,14 @@ const errorHandler = (err, req, res, next) => {
     };
   }
 
+  // File upload errors (too large, too many files, unexpected field)
+  if (err.name === "MulterError") {
+    error = {
+      message: err.message,
+      statusCode: 400,
+    };
+  }
+
   // JWT errors
   if (err.name === "JsonWebTokenError") {
     const message = "Invalid token";
@@ -49,9 +57,15 @@ const errorHandler = (err, req, res, next) => {
     };
   }
 
+  // Rate limit and availability errors carry a hint for when to retry
+  if (err.retryAfter) {
+    res.set("Retry-After", String(err.retryAfter));
+  }
+
   res.status(error.statusCode || 500).json({
     success: false,
     message: error.message || "Server Error",
+    ...(err.retryAfter && { retryAfter: err.retryAfter }),
   });
 };
 
@@ -0,0 +1,35 @@
+const crypto = require("crypto");
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// Protect machine-to-machine endpoints (webhooks, cron) with a shared secret
+// read from `envVar`. The secret may be sent as a Bearer token or, for
+// callers that can only configure a URL such as Pub/Sub push, as ?token=
+exports.requireSharedSecret = (envVar) => (req, res, next) => {
+  const expected = process.env[envVar];
+
+  if (!expected) {
+    return res.status(503).json({
+      success: false,
+      message: `${envVar} is not configured`,
+    });
+  }
+
+  const header = req.headers.authorization || "";
+  const provided = header.startsWith("Bearer ")
+    ? header.split(" ")[1]
+    : req.query.token;
+
+  if (!provided || !safeEqual(provided, expected)) {
+    return res.status(401).json({
+      success: false,
+      message: "Not authorized to access this route",
+    });
+  }
+
+  next();
+};
@@ -0,0 +1,65 @@
+const multer = require("multer");
+const ErrorResponse = require("../utils/errorResponse");
+
+// Gmail rejects messages over 25 MB once attachments are base64 encoded
+// (about 4/3 larger), so cap the combined raw upload at 18 MB. Deployed on
+// Vercel (api/index.js) the platform rejects request bodies over 4.5 MB
+// before they reach us, so the practical limit there is much lower.
+const MAX_TOTAL_SIZE = 18 * 1024 * 1024;
+const MAX_FILES = 10;
+
+// Room for the text fields (to, subject, body, ...) sent alongside the files
+const FORM_FIELDS_ALLOWANCE = 1024 * 1024;
+const MAX_REQUEST_SIZE = MAX_TOTAL_SIZE + FORM_FIELDS_ALLOWANCE;
+
+const tooLarge = () =>
+  new ErrorResponse(
+    `Attachments cannot exceed ${MAX_TOTAL_SIZE / (1024 * 1024)} MB in total`,
+    413
+  );
+
+// Keep uploads in memory; they are attached to the outgoing message and
+// never written to disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_TOTAL_SIZE,
+    files: MAX_FILES,
+  },
+});
+
+// Turn away oversized multipart bodies from Content-Length before any of
+// the upload is buffered. Node stops reading at the declared length, so a
+// request cannot slip past this by under-reporting it.
+const checkRequestSize = (req, res, next) => {
+  if (!req.is("multipart/form-data")) {
+    return next();
+  }
+
+  const length = Number(req.headers["content-length"]);
+  if (!length) {
+    return next(
+      new ErrorResponse("Content-Length is required for uploads", 411)
+    );
+  }
+
+  return next(length > MAX_REQUEST_SIZE ? tooLarge() : undefined);
+};
+
+// Enforce the combined cap on what was actually uploaded
+const checkTotalSize = (req, res, next) => {
+  const files = Object.values(req.files || {}).flat();
+  const total = files.reduce((sum, file) => sum + file.size, 0);
+
+  return next(total > MAX_TOTAL_SIZE ? tooLarge() : undefined);
+};
+
+// Accept regular attachments and inline images for composed emails
+exports.emailAttachments = [
+  checkRequestSize,
+  upload.fields([
+    { name: "attachments", maxCount: MAX_FILES },
+    { name: "inline", maxCount: MAX_FILES },
+  ]),
+  checkTotalSize,
+];
@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+
+// A reply sent by the auto-responder, used to answer each sender only once
+// per period
+const autoReplySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Auto reply must belong to a user"],
+    },
+    senderEmail: {
+      type: String,
+      required: [true, "Sender email is required"],
+      lowercase: true,
+      trim: true,
+    },
+    // The message that triggered the reply
+    messageId: {
+      type: String,
+      required: [true, "Gmail message id is required"],
+    },
+    threadId: String,
+    subject: String,
+    sentMessageId: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for better query performance
+autoReplySchema.index({ user: 1, senderEmail: 1, createdAt: -1 });
+autoReplySchema.index({ user: 1, messageId: 1 }, { unique: true });
+
+module.exports = mongoose.model("AutoReply", autoReplySchema);
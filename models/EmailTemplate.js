@@ -0,0 +1,56 @@
+const mongoose = require("mongoose");
+const { extractVariables } = require("../utils/template");
+
+const emailTemplateSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Template must belong to a user"],
+    },
+    name: {
+      type: String,
+      required: [true, "Template name is required"],
+      trim: true,
+      maxlength: [100, "Name cannot be more than 100 characters"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Description cannot be more than 500 characters"],
+    },
+    // Subject and body may contain {{placeholders}}
+    subject: {
+      type: String,
+      required: [true, "Template subject is required"],
+      maxlength: [200, "Subject cannot be more than 200 characters"],
+    },
+    body: {
+      type: String,
+      required: [true, "Template body is required"],
+    },
+    isHtml: {
+      type: Boolean,
+      default: false,
+    },
+    // Placeholder names used in subject and body, kept in sync on save
+    variables: [
+      {
+        type: String,
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Template names are unique per user
+emailTemplateSchema.index({ user: 1, name: 1 }, { unique: true });
+
+emailTemplateSchema.pre("save", function (next) {
+  this.variables = extractVariables(`${this.subject}\n${this.body}`);
+  next();
+});
+
+module.exports = mongoose.model("EmailTemplate", emailTemplateSchema);
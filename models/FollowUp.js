@@ -0,0 +1,88 @@
+const mongoose = require("mongoose");
+
+const addressSchema = new mongoose.Schema(
+  {
+    name: String,
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+  },
+  { _id: false }
+);
+
+// A reminder to chase a sent email if its recipients have not replied by
+// `dueAt`
+const followUpSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Follow-up must belong to a user"],
+    },
+    // The sent message and its thread
+    messageId: {
+      type: String,
+      required: [true, "Gmail message id is required"],
+    },
+    threadId: {
+      type: String,
+      required: [true, "Gmail thread id is required"],
+    },
+    recipients: [addressSchema],
+    subject: {
+      type: String,
+      default: "",
+    },
+    sentAt: {
+      type: Date,
+      default: Date.now,
+    },
+    dueAt: {
+      type: Date,
+      required: [true, "Follow-up time is required"],
+    },
+    // Where the reminder task goes: a local Task or a Google Task
+    taskType: {
+      type: String,
+      enum: ["local", "google"],
+      default: "local",
+    },
+    taskListId: {
+      type: String,
+      default: "@default",
+    },
+    // Also move the thread back to the inbox as unread
+    resurface: {
+      type: Boolean,
+      default: false,
+    },
+    status: {
+      type: String,
+      enum: [
+        "pending",
+        "checking",
+        "replied",
+        "reminded",
+        "cancelled",
+        "failed",
+      ],
+      default: "pending",
+    },
+    repliedAt: Date,
+    remindedAt: Date,
+    // Local Task _id or Google Task id
+    taskId: String,
+    lastError: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for better query performance
+followUpSchema.index({ status: 1, dueAt: 1 });
+followUpSchema.index({ user: 1, status: 1, dueAt: 1 });
+
+module.exports = mongoose.model("FollowUp", followUpSchema);
@@ -0,0 +1,79 @@
+const mongoose = require("mongoose");
+
+const addressSchema = new mongoose.Schema(
+  {
+    name: String,
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+  },
+  { _id: false }
+);
+
+// Local index of Gmail message metadata, kept current by the sync service
+// so listing and filtering don't need a round trip to Google
+const gmailMessageSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Message must belong to a user"],
+    },
+    messageId: {
+      type: String,
+      required: [true, "Gmail message id is required"],
+    },
+    threadId: {
+      type: String,
+    },
+    labelIds: [
+      {
+        type: String,
+      },
+    ],
+    from: addressSchema,
+    to: [addressSchema],
+    subject: {
+      type: String,
+      default: "",
+    },
+    snippet: {
+      type: String,
+      default: "",
+    },
+    date: {
+      type: Date,
+    },
+    isUnread: {
+      type: Boolean,
+      default: false,
+    },
+    hasAttachments: {
+      type: Boolean,
+      default: false,
+    },
+    historyId: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for better query performance
+gmailMessageSchema.index({ user: 1, messageId: 1 }, { unique: true });
+gmailMessageSchema.index({ user: 1, date: -1 });
+gmailMessageSchema.index({ user: 1, labelIds: 1, date: -1 });
+gmailMessageSchema.index({ user: 1, threadId: 1 });
+gmailMessageSchema.index({ user: 1, "from.email": 1 });
+
+// Keep isUnread in step with the UNREAD label
+gmailMessageSchema.pre("save", function (next) {
+  this.isUnread = (this.labelIds || []).includes("UNREAD");
+  next();
+});
+
+module.exports = mongoose.model("GmailMessage", gmailMessageSchema);
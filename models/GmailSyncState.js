@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+
+// Per-user bookkeeping for incremental Gmail sync
+const gmailSyncStateSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Sync state must belong to a user"],
+      unique: true,
+    },
+    // Mailbox history id the local index is current up to
+    historyId: {
+      type: String,
+    },
+    // Gmail address of the mailbox, used to route push notifications
+    emailAddress: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    // Active users.watch registration for push notifications
+    watch: {
+      topicName: String,
+      labelIds: [String],
+      expiration: Date,
+    },
+    status: {
+      type: String,
+      enum: ["idle", "syncing", "error"],
+      default: "idle",
+    },
+    lastSyncedAt: {
+      type: Date,
+    },
+    lastFullSyncAt: {
+      type: Date,
+    },
+    lastError: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+gmailSyncStateSchema.index({ emailAddress: 1 });
+gmailSyncStateSchema.index({ "watch.expiration": 1 });
+
+module.exports = mongoose.model("GmailSyncState", gmailSyncStateSchema);
@@ -0,0 +1,105 @@
+const mongoose = require("mongoose");
+const {
+  CONDITION_FIELDS,
+  CONDITION_OPERATORS,
+  ACTION_TYPES,
+} = require("../utils/inboxRules");
+
+const conditionSchema = new mongoose.Schema(
+  {
+    field: {
+      type: String,
+      enum: CONDITION_FIELDS,
+      required: [true, "Condition field is required"],
+    },
+    // Ignored for hasAttachment, which compares against `value` as a boolean
+    operator: {
+      type: String,
+      enum: CONDITION_OPERATORS,
+      default: "contains",
+    },
+    value: {
+      type: String,
+      default: "",
+    },
+  },
+  { _id: false }
+);
+
+const actionSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ACTION_TYPES,
+      required: [true, "Action type is required"],
+    },
+    // Action settings, e.g. { labelName } for label, { to } for forward,
+    // { type, taskListId } for createTask, { offsetMinutes, durationMinutes }
+    // for createCalendarHold
+    params: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  { _id: false }
+);
+
+// A user-defined inbox rule: when a new message matches the conditions, the
+// actions run in order
+const inboxRuleSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Rule must belong to a user"],
+    },
+    name: {
+      type: String,
+      required: [true, "Rule name is required"],
+      trim: true,
+      maxlength: [100, "Name cannot be more than 100 characters"],
+    },
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+    // "all" requires every condition to match, "any" just one
+    match: {
+      type: String,
+      enum: ["all", "any"],
+      default: "all",
+    },
+    conditions: {
+      type: [conditionSchema],
+      validate: [
+        (value) => value.length > 0,
+        "At least one condition is required",
+      ],
+    },
+    actions: {
+      type: [actionSchema],
+      validate: [
+        (value) => value.length > 0,
+        "At least one action is required",
+      ],
+    },
+    // Rules run in ascending order
+    order: {
+      type: Number,
+      default: 0,
+    },
+    matchCount: {
+      type: Number,
+      default: 0,
+    },
+    lastMatchedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for better query performance
+inboxRuleSchema.index({ user: 1, enabled: 1, order: 1 });
+
+module.exports = mongoose.model("InboxRule", inboxRuleSchema);
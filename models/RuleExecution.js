@@ -0,0 +1,59 @@
+const mongoose = require("mongoose");
+
+// One run of an inbox rule against one message
+const ruleExecutionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Rule execution must belong to a user"],
+    },
+    rule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "InboxRule",
+      required: [true, "Rule is required"],
+    },
+    // Kept so the log stays readable after the rule is deleted
+    ruleName: String,
+    messageId: {
+      type: String,
+      required: [true, "Gmail message id is required"],
+    },
+    threadId: String,
+    subject: String,
+    // How the message was discovered
+    trigger: {
+      type: String,
+      enum: ["sync"],
+      default: "sync",
+    },
+    status: {
+      type: String,
+      enum: ["running", "success", "partial", "failed"],
+      default: "running",
+    },
+    actions: [
+      {
+        _id: false,
+        type: { type: String },
+        status: {
+          type: String,
+          enum: ["success", "failed", "skipped"],
+        },
+        // Ids of what the action created, e.g. a task or event id
+        result: mongoose.Schema.Types.Mixed,
+        error: String,
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for better query performance
+ruleExecutionSchema.index({ user: 1, createdAt: -1 });
+// A rule runs at most once per message
+ruleExecutionSchema.index({ rule: 1, messageId: 1 }, { unique: true });
+
+module.exports = mongoose.model("RuleExecution", ruleExecutionSchema);
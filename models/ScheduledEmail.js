@@ -0,0 +1,79 @@
+const mongoose = require("mongoose");
+
+const addressSchema = new mongoose.Schema(
+  {
+    name: String,
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+  },
+  { _id: false }
+);
+
+// An email queued to be sent later by the scheduled send job
+const scheduledEmailSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Scheduled email must belong to a user"],
+    },
+    to: {
+      type: [addressSchema],
+      validate: [
+        (value) => value.length > 0,
+        "At least one recipient is required",
+      ],
+    },
+    cc: [addressSchema],
+    bcc: [addressSchema],
+    subject: {
+      type: String,
+      required: [true, "Subject is required"],
+      maxlength: [200, "Subject cannot be more than 200 characters"],
+    },
+    text: String,
+    html: String,
+    // Send as a reply inside an existing thread
+    threadId: String,
+    sendAt: {
+      type: Date,
+      required: [true, "Send time is required"],
+    },
+    // Zone the user scheduled in, kept for display and rescheduling
+    timeZone: {
+      type: String,
+      default: "UTC",
+    },
+    status: {
+      type: String,
+      enum: ["pending", "sending", "sent", "failed", "cancelled"],
+      default: "pending",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    // Why the last attempt failed: "auth_revoked" needs the user to
+    // reconnect Google; "error" is anything else
+    failureReason: {
+      type: String,
+      enum: ["auth_revoked", "rate_limited", "error"],
+    },
+    lastError: String,
+    sentAt: Date,
+    sentMessageId: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for better query performance
+scheduledEmailSchema.index({ status: 1, sendAt: 1 });
+scheduledEmailSchema.index({ user: 1, status: 1, sendAt: 1 });
+
+module.exports = mongoose.model("ScheduledEmail", scheduledEmailSchema);
@@ -0,0 +1,54 @@
+const mongoose = require("mongoose");
+
+// A Gmail message taken out of the inbox until `wakeAt`
+const snoozedMessageSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Snoozed message must belong to a user"],
+    },
+    messageId: {
+      type: String,
+      required: [true, "Gmail message id is required"],
+    },
+    threadId: String,
+    // Shown in the snoozed list without a round trip to Gmail
+    subject: String,
+    from: {
+      name: String,
+      email: String,
+    },
+    // The user's "Snoozed" label at the time of snoozing
+    labelId: String,
+    wakeAt: {
+      type: Date,
+      required: [true, "Wake-up time is required"],
+    },
+    timeZone: {
+      type: String,
+      default: "UTC",
+    },
+    status: {
+      type: String,
+      enum: ["snoozed", "waking", "woken", "cancelled", "failed"],
+      default: "snoozed",
+    },
+    wokenAt: Date,
+    lastError: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for better query performance
+snoozedMessageSchema.index({ status: 1, wakeAt: 1 });
+snoozedMessageSchema.index({ user: 1, status: 1, wakeAt: 1 });
+// A message can only be snoozed once at a time
+snoozedMessageSchema.index(
+  { user: 1, messageId: 1 },
+  { unique: true, partialFilterExpression: { status: "snoozed" } }
+);
+
+module.exports = mongoose.model("SnoozedMessage", snoozedMessageSchema);
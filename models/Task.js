@@ -46,6 +46,34 @@ const taskSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // The Gmail conversation this task came from
+    email: {
+      messageId: String,
+      threadId: String,
+      url: String,
+    },
+    // References to files stored elsewhere (e.g. Gmail attachments); the
+    // bytes are fetched from the source on demand
+    attachments: [
+      {
+        source: {
+          type: String,
+          enum: ["gmail"],
+          default: "gmail",
+        },
+        messageId: String,
+        threadId: String,
+        attachmentId: String,
+        partId: String,
+        filename: String,
+        mimeType: String,
+        size: Number,
+        addedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
   },
   {
     timestamps: true,
@@ -1,5 +1,6 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const { isValidTimeZone } = require("../utils/timezone");
 
 const userSchema = new mongoose.Schema(
   {
@@ -68,6 +69,15 @@ const userSchema = new mongoose.Schema(
         },
       ],
     },
+    // IANA time zone calendar views are shown in. Filled from the Google
+    // Calendar settings the first time it is needed
+    timezone: {
+      type: String,
+      validate: {
+        validator: isValidTimeZone,
+        message: (props) => `Unknown time zone "${props.value}"`,
+      },
+    },
     // Preferences for automation
     automationSettings: {
       emailNotifications: {
@@ -82,6 +92,52 @@ const userSchema = new mongoose.Schema(
         type: Boolean,
         default: false,
       },
+      // What the auto-responder sends and to whom, used while autoRespond
+      // is on
+      autoResponder: {
+        // Defaults to "Re: <original subject>" when empty
+        subject: {
+          type: String,
+          trim: true,
+          maxlength: [200, "Subject cannot be more than 200 characters"],
+        },
+        message: {
+          type: String,
+          maxlength: [5000, "Message cannot be more than 5000 characters"],
+        },
+        isHtml: {
+          type: Boolean,
+          default: false,
+        },
+        // Only answer mail received inside this window (either end open)
+        startDate: Date,
+        endDate: Date,
+        // Only answer people the user has emailed before
+        contactsOnly: {
+          type: Boolean,
+          default: false,
+        },
+        // Only answer senders from these domains (empty means everyone)
+        domains: [
+          {
+            type: String,
+            lowercase: true,
+            trim: true,
+          },
+        ],
+        // Skip newsletters and other bulk mail
+        excludeMailingLists: {
+          type: Boolean,
+          default: true,
+        },
+        // Answer each sender at most once per this many days
+        replyIntervalDays: {
+          type: Number,
+          default: 4,
+          min: [1, "Reply interval must be at least 1 day"],
+          max: [365, "Reply interval cannot be more than 365 days"],
+        },
+      },
     },
   },
   {
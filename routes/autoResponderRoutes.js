@@ -0,0 +1,88 @@
+const express = require("express");
+const { body } = require("express-validator");
+const {
+  getAutoResponder,
+  updateAutoResponder,
+  dryRunAutoResponder,
+  getAutoReplies,
+} = require("../controllers/autoResponderController");
+const { protect } = require("../middleware/auth");
+
+const router = express.Router();
+
+// Validation middleware
+const settingsValidation = [
+  body("subject")
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Subject cannot be more than 200 characters")
+    .not()
+    .matches(/[\r\n]/)
+    .withMessage("Subject cannot contain line breaks"),
+  body("message")
+    .optional()
+    .isString()
+    .isLength({ max: 5000 })
+    .withMessage("Message cannot be more than 5000 characters"),
+  body("isHtml")
+    .optional()
+    .isBoolean()
+    .withMessage("isHtml must be a boolean value"),
+  body(["startDate", "endDate"])
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage("Dates must be valid ISO 8601 dates"),
+  body("contactsOnly")
+    .optional()
+    .isBoolean()
+    .withMessage("contactsOnly must be a boolean value"),
+  body("domains")
+    .optional()
+    .isArray()
+    .withMessage("domains must be an array of domain names"),
+  body("domains.*")
+    .isFQDN()
+    .withMessage("Each domain must be a valid domain name")
+    .toLowerCase(),
+  body("excludeMailingLists")
+    .optional()
+    .isBoolean()
+    .withMessage("excludeMailingLists must be a boolean value"),
+  body("replyIntervalDays")
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage("replyIntervalDays must be between 1 and 365")
+    .toInt(),
+];
+
+const updateValidation = [
+  ...settingsValidation,
+  body("enabled")
+    .optional()
+    .isBoolean()
+    .withMessage("enabled must be a boolean value"),
+];
+
+const dryRunValidation = [
+  ...settingsValidation,
+  body("maxResults")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("maxResults must be between 1 and 100")
+    .toInt(),
+];
+
+// All routes are protected
+router.use(protect);
+
+// Routes
+router
+  .route("/")
+  .get(getAutoResponder)
+  .put(updateValidation, updateAutoResponder);
+
+router.post("/dry-run", dryRunValidation, dryRunAutoResponder);
+router.get("/replies", getAutoReplies);
+
+module.exports = router;
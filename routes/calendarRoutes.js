@@ -1,17 +1,79 @@
 const express = require("express");
-const { body } = require("express-validator");
+const { body, query } = require("express-validator");
 const {
+  getCalendars,
   getEvents,
   createEvent,
+  getEventInstances,
   updateEvent,
   deleteEvent,
   getTodayEvents,
   getUpcomingEvents,
+  getWeekEvents,
+  getMonthEvents,
+  findSlots,
+  updateAttendees,
+  respondToEvent,
+  getPendingInvitations,
 } = require("../controllers/calendarController");
+const {
+  DEFAULT_WORKING_HOURS,
+  parseClockTime,
+} = require("../utils/slotFinder");
 const { protect } = require("../middleware/auth");
+const { isValidTimeZone } = require("../utils/timezone");
+const { EDIT_SCOPES } = require("../utils/recurrence");
+const {
+  RSVP_RESPONSES,
+  SEND_UPDATES,
+  normalizeAttendees,
+} = require("../utils/attendees");
 
 const router = express.Router();
 
+const isAttendeeEntry = (value) =>
+  typeof value === "string" ||
+  Boolean(
+    value && typeof value === "object" && typeof value.email === "string"
+  );
+
+// Attendees given as emails or { email, optional, displayName } objects,
+// normalized once every entry has been checked
+const attendeeListValidation = (field) => [
+  body(field)
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage(`${field} must be an array of at most 100 attendees`),
+  body(`${field}.*`)
+    .custom(isAttendeeEntry)
+    .withMessage("Each attendee must be an email or an object with an email"),
+  body(`${field}.*`)
+    .if((value) => typeof value === "string")
+    .isEmail()
+    .withMessage("Each attendee must be a valid email"),
+  body(`${field}.*.email`)
+    .optional()
+    .isEmail()
+    .withMessage("Each attendee must be a valid email"),
+  body(`${field}.*.optional`)
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage("Attendee optional must be true or false"),
+  body(`${field}.*.displayName`)
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage("Attendee displayName must be at most 200 characters"),
+  body(field)
+    .optional()
+    .customSanitizer((value) =>
+      // Malformed lists are left as sent for the error response
+      Array.isArray(value) && value.every(isAttendeeEntry)
+        ? normalizeAttendees(value)
+        : value
+    ),
+];
+
 // Event validation middleware
 const eventValidation = [
   body("summary")
@@ -40,6 +102,43 @@ const eventValidation = [
     .optional()
     .isString()
     .withMessage("End timezone must be a string"),
+  // Either Google's own RRULE/EXDATE lines or a friendly `repeat` such as
+  // "every weekday until Dec 1", checked in full when it is converted
+  body("recurrence")
+    .optional()
+    .isArray()
+    .withMessage("Recurrence must be an array of RRULE, EXDATE or RDATE lines"),
+  body("recurrence.*")
+    .matches(/^(RRULE|EXRULE|RDATE|EXDATE)[:;]/)
+    .withMessage("Recurrence must be an array of RRULE, EXDATE or RDATE lines"),
+  body("repeat")
+    .optional()
+    .custom((value, { req }) => {
+      if (typeof value !== "string" && (!value || typeof value !== "object")) {
+        throw new Error("Repeat must be a phrase or a repeat object");
+      }
+      if (req.body.recurrence) {
+        throw new Error("Send either repeat or recurrence, not both");
+      }
+      return true;
+    }),
+  ...attendeeListValidation("attendees"),
+];
+
+// Who Google emails about a change
+const sendUpdatesValidation = [
+  query("sendUpdates")
+    .optional()
+    .isIn(SEND_UPDATES)
+    .withMessage(`sendUpdates must be one of: ${SEND_UPDATES.join(", ")}`),
+];
+
+// Which events of a series an edit or delete applies to
+const scopeValidation = [
+  query("scope")
+    .optional()
+    .isIn(EDIT_SCOPES)
+    .withMessage(`Scope must be one of: ${EDIT_SCOPES.join(", ")}`),
 ];
 
 const createEventValidation = [
@@ -58,17 +157,233 @@ const createEventValidation = [
   ...eventValidation.slice(2), // Include optional validations
 ];
 
+// Reads take one calendar id or several, repeated or comma separated
+const calendarReadValidation = [
+  query("calendarId")
+    .optional()
+    .custom((value) => {
+      const ids = [].concat(value);
+      if (!ids.every((id) => typeof id === "string" && id.trim())) {
+        throw new Error("calendarId must be one or more calendar ids");
+      }
+      return true;
+    }),
+];
+
+// Event lists show every occurrence, or each series once
+const eventListValidation = [
+  ...calendarReadValidation,
+  query("view")
+    .optional()
+    .isIn(["instances", "series"])
+    .withMessage("view must be either instances or series"),
+];
+
+// Calendar views: an optional time zone overriding the user's preference
+// and a day picking the week or month to show
+const calendarViewValidation = [
+  ...calendarReadValidation,
+  query("timeZone")
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage("timeZone must be an IANA time zone name"),
+  query("date")
+    .optional()
+    .isDate({ format: "YYYY-MM-DD", strictMode: true })
+    .withMessage("date must be a YYYY-MM-DD date"),
+];
+
+// Writes go to a single calendar
+const calendarWriteValidation = [
+  query("calendarId")
+    .optional()
+    .isString()
+    .withMessage("calendarId must be a single calendar id")
+    .not()
+    .contains(",")
+    .withMessage("calendarId must be a single calendar id"),
+];
+
+const instancesValidation = [
+  ...calendarWriteValidation,
+  query("timeMin")
+    .optional()
+    .isISO8601()
+    .withMessage("timeMin must be a valid date"),
+  query("timeMax")
+    .optional()
+    .isISO8601()
+    .withMessage("timeMax must be a valid date"),
+  query("maxResults")
+    .optional()
+    .isInt({ min: 1, max: 2500 })
+    .withMessage("maxResults must be between 1 and 2500"),
+];
+
+const attendeeChangeValidation = [
+  ...attendeeListValidation("add"),
+  body("remove")
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage("remove must be an array of at most 100 emails"),
+  body("remove.*")
+    .isEmail()
+    .withMessage("Each email to remove must be a valid email"),
+  body().custom((value) => {
+    if (!(value.add || []).length && !(value.remove || []).length) {
+      throw new Error("Give attendees to add or remove");
+    }
+    return true;
+  }),
+];
+
+const rsvpValidation = [
+  body("response")
+    .isIn(RSVP_RESPONSES)
+    .withMessage(`Response must be one of: ${RSVP_RESPONSES.join(", ")}`),
+  body("comment")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Comment cannot be more than 500 characters"),
+];
+
+const invitationsValidation = [
+  ...calendarReadValidation,
+  query("timeMin")
+    .optional()
+    .isISO8601()
+    .withMessage("timeMin must be a valid date"),
+  query("timeMax")
+    .optional()
+    .isISO8601()
+    .withMessage("timeMax must be a valid date"),
+];
+
+const findSlotsValidation = [
+  body("attendees")
+    .optional()
+    .isArray({ max: 49 })
+    .withMessage("Attendees must be an array of at most 49 emails"),
+  body("attendees.*")
+    .isEmail()
+    .withMessage("Each attendee must be a valid email"),
+  body("durationMinutes")
+    .isInt({ min: 5, max: 480 })
+    .withMessage("durationMinutes must be between 5 and 480")
+    .toInt(),
+  body("bufferMinutes")
+    .optional()
+    .isInt({ min: 0, max: 120 })
+    .withMessage("bufferMinutes must be between 0 and 120")
+    .toInt(),
+  body("timeMin")
+    .optional()
+    .isISO8601()
+    .withMessage("timeMin must be a valid date"),
+  body("timeMax")
+    .optional()
+    .isISO8601()
+    .withMessage("timeMax must be a valid date"),
+  body("timeZone")
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage("timeZone must be an IANA time zone name"),
+  body("workingHours.start")
+    .optional()
+    .custom((value) => Boolean(parseClockTime(value)))
+    .withMessage("Working hours start must be HH:MM"),
+  body("workingHours.end")
+    .optional()
+    .custom((value) => Boolean(parseClockTime(value)))
+    .withMessage("Working hours end must be HH:MM"),
+  body("workingHours")
+    .optional()
+    .isObject()
+    .withMessage("workingHours must be an object")
+    .bail()
+    .custom((value) => {
+      const start = parseClockTime(value.start || DEFAULT_WORKING_HOURS.start);
+      const end = parseClockTime(value.end || DEFAULT_WORKING_HOURS.end);
+      if (
+        start &&
+        end &&
+        start.hour * 60 + start.minute >= end.hour * 60 + end.minute
+      ) {
+        throw new Error("Working hours must end after they start");
+      }
+      return true;
+    }),
+  body("workingHours.days")
+    .optional()
+    .isArray({ min: 1, max: 7 })
+    .withMessage("Working days must be an array of weekdays"),
+  body("workingHours.days.*")
+    .isInt({ min: 0, max: 6 })
+    .withMessage("Working days are numbered 0 (Sunday) to 6 (Saturday)")
+    .toInt(),
+  body("maxResults")
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage("maxResults must be between 1 and 50")
+    .toInt(),
+];
+
 // All routes are protected
 router.use(protect);
 
 // Routes
-router.get("/events", getEvents);
-router.post("/events", createEventValidation, createEvent);
-router.put("/events/:eventId", eventValidation, updateEvent);
-router.delete("/events/:eventId", deleteEvent);
+router.get("/calendars", getCalendars);
+router.get("/events", eventListValidation, getEvents);
+router.post(
+  "/events",
+  calendarWriteValidation,
+  sendUpdatesValidation,
+  createEventValidation,
+  createEvent
+);
+router.put(
+  "/events/:eventId",
+  calendarWriteValidation,
+  sendUpdatesValidation,
+  scopeValidation,
+  eventValidation,
+  updateEvent
+);
+router.delete(
+  "/events/:eventId",
+  calendarWriteValidation,
+  sendUpdatesValidation,
+  scopeValidation,
+  deleteEvent
+);
+router.get(
+  "/events/:eventId/instances",
+  instancesValidation,
+  getEventInstances
+);
+router.patch(
+  "/events/:eventId/attendees",
+  calendarWriteValidation,
+  sendUpdatesValidation,
+  attendeeChangeValidation,
+  updateAttendees
+);
+router.post(
+  "/events/:eventId/rsvp",
+  calendarWriteValidation,
+  sendUpdatesValidation,
+  rsvpValidation,
+  respondToEvent
+);
 
 // Special routes
-router.get("/today", getTodayEvents);
-router.get("/upcoming", getUpcomingEvents);
+router.get("/today", calendarViewValidation, getTodayEvents);
+router.get("/upcoming", calendarViewValidation, getUpcomingEvents);
+router.get("/week", calendarViewValidation, getWeekEvents);
+router.get("/month", calendarViewValidation, getMonthEvents);
+router.post("/find-slots", findSlotsValidation, findSlots);
+router.get("/invitations", invitationsValidation, getPendingInvitations);
 
 module.exports = router;
@@ -0,0 +1,122 @@
+const express = require("express");
+const { body } = require("express-validator");
+const {
+  getTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  previewTemplate,
+  mailMerge,
+} = require("../controllers/emailTemplateController");
+const { protect } = require("../middleware/auth");
+const { parseCsv } = require("../utils/template");
+
+const router = express.Router();
+
+// Validation middleware
+const descriptionValidation = body("description")
+  .optional()
+  .trim()
+  .isLength({ max: 500 })
+  .withMessage("Description cannot be more than 500 characters");
+
+const isHtmlValidation = body("isHtml")
+  .optional()
+  .isBoolean()
+  .withMessage("isHtml must be a boolean value");
+
+const templateValidation = [
+  body("name")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Name must be between 1 and 100 characters"),
+  descriptionValidation,
+  body("subject")
+    .optional()
+    .isLength({ min: 1, max: 200 })
+    .withMessage("Subject must be between 1 and 200 characters")
+    .not()
+    .matches(/[\r\n]/)
+    .withMessage("Subject cannot contain line breaks"),
+  body("body")
+    .optional()
+    .isLength({ min: 1 })
+    .withMessage("Body cannot be empty"),
+  isHtmlValidation,
+];
+
+const createTemplateValidation = [
+  body("name")
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Name is required and must be between 1 and 100 characters"),
+  body("subject")
+    .isLength({ min: 1, max: 200 })
+    .withMessage("Subject is required and must be less than 200 characters")
+    .not()
+    .matches(/[\r\n]/)
+    .withMessage("Subject cannot contain line breaks"),
+  body("body").isLength({ min: 1 }).withMessage("Body is required"),
+  descriptionValidation,
+  isHtmlValidation,
+];
+
+const mailMergeValidation = [
+  body("recipients")
+    .optional()
+    .isArray()
+    .withMessage("Recipients must be an array of objects"),
+  body("recipients.*.email")
+    .isEmail()
+    .withMessage("Each recipient needs a valid email"),
+  // CSV rows are parsed here so each email is checked like JSON recipients
+  body("csv")
+    .optional()
+    .isString()
+    .withMessage("csv must be a string")
+    .customSanitizer((value) =>
+      typeof value === "string" ? parseCsv(value) : value
+    ),
+  body("csv.*.email").isEmail().withMessage("Each CSV row needs a valid email"),
+  body().custom((value) => {
+    if (!value.recipients === !value.csv) {
+      throw new Error("Provide either recipients or csv, but not both");
+    }
+    return true;
+  }),
+  body("dryRun")
+    .optional()
+    .isBoolean()
+    .withMessage("dryRun must be a boolean value"),
+  body("skipMissing")
+    .optional()
+    .isBoolean()
+    .withMessage("skipMissing must be a boolean value"),
+  body("delayMs")
+    .optional()
+    .isInt({ min: 0, max: 10000 })
+    .withMessage("delayMs must be between 0 and 10000")
+    .toInt(),
+];
+
+// All routes are protected
+router.use(protect);
+
+// Routes
+router
+  .route("/")
+  .get(getTemplates)
+  .post(createTemplateValidation, createTemplate);
+
+router
+  .route("/:id")
+  .get(getTemplate)
+  .put(templateValidation, updateTemplate)
+  .delete(deleteTemplate);
+
+router.post("/:id/preview", previewTemplate);
+router.post("/:id/merge", mailMergeValidation, mailMerge);
+
+module.exports = router;
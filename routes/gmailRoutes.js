@@ -1,32 +1,441 @@
 const express = require("express");
-const { body } = require("express-validator");
+const { body, query } = require("express-validator");
 const {
   getProfile,
   getEmails,
   sendEmail,
   searchEmails,
+  getThreads,
+  getThread,
+  replyToMessage,
+  replyAllToMessage,
+  forwardMessage,
+  createDraft,
+  getDrafts,
+  getDraft,
+  updateDraft,
+  deleteDraft,
+  sendDraft,
+  getLabels,
+  createLabel,
+  updateLabel,
+  deleteLabel,
+  bulkModifyMessages,
+  downloadAttachment,
+  saveAttachmentToTask,
+  messageToTask,
+  suggestEvents,
+  acceptSuggestedEvent,
 } = require("../controllers/gmailController");
+const {
+  syncMailbox,
+  getSyncStatus,
+  getLocalMessages,
+  getLocalCounts,
+  startWatch,
+  stopWatch,
+} = require("../controllers/gmailSyncController");
+const {
+  createScheduledEmail,
+  getScheduledEmails,
+  getScheduledEmail,
+  rescheduleEmail,
+  cancelScheduledEmail,
+} = require("../controllers/scheduledEmailController");
+const {
+  getFollowUps,
+  cancelFollowUp,
+} = require("../controllers/followUpController");
+const {
+  snoozeMessage,
+  cancelSnooze,
+  getSnoozedMessages,
+} = require("../controllers/snoozeController");
 const { protect } = require("../middleware/auth");
+const { emailAttachments } = require("../middleware/upload");
+const { normalizeRecipients } = require("../utils/mimeMessage");
+const { parseDuration } = require("../utils/duration");
 
 const router = express.Router();
 
+// Loose address check applied to each parsed recipient
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+
+// Validate a to/cc/bcc field given as a string, a comma separated list or an
+// array of strings or { name, email } objects
+const recipientList =
+  (field, { required = false } = {}) =>
+  (value) => {
+    const recipients = normalizeRecipients(value);
+
+    if (required && recipients.length === 0) {
+      throw new Error(`Please provide at least one ${field} recipient`);
+    }
+    if (!recipients.every((recipient) => EMAIL_PATTERN.test(recipient.email))) {
+      throw new Error(`Please provide valid ${field} email addresses`);
+    }
+    if (recipients.some((recipient) => /[\r\n]/.test(recipient.name || ""))) {
+      throw new Error(`${field} recipient names cannot contain line breaks`);
+    }
+    return true;
+  };
+
 // Email validation middleware
 const sendEmailValidation = [
-  body("to").isEmail().withMessage("Please provide a valid recipient email"),
+  body("to").custom(recipientList("to", { required: true })),
+  body("cc").optional().custom(recipientList("cc")),
+  body("bcc").optional().custom(recipientList("bcc")),
   body("subject")
     .trim()
     .isLength({ min: 1, max: 200 })
-    .withMessage("Subject is required and must be less than 200 characters"),
+    .withMessage("Subject is required and must be less than 200 characters")
+    .not()
+    .matches(/[\r\n]/)
+    .withMessage("Subject cannot contain line breaks"),
+  body("body").optional().isString().withMessage("Body must be a string"),
+  body("text").optional().isString().withMessage("Text must be a string"),
+  body("html").optional().isString().withMessage("HTML must be a string"),
+  body().custom((value) => {
+    if (
+      ![value.body, value.text, value.html].some((part) => part && part.trim())
+    ) {
+      throw new Error("Email body is required");
+    }
+    return true;
+  }),
+  body("isHtml")
+    .optional()
+    .isBoolean()
+    .withMessage("isHtml must be a boolean value"),
+];
+
+// Longest wait a follow-up reminder may be set for
+const MAX_FOLLOW_UP_MS = 365 * 24 * 60 * 60 * 1000;
+
+// Optional follow-up reminder on /send
+const followUpValidation = [
+  body("followUpAfter")
+    .optional()
+    .custom((value) => {
+      const ms = parseDuration(value);
+      if (!ms || ms > MAX_FOLLOW_UP_MS) {
+        throw new Error(
+          'followUpAfter must be a duration such as "2h", "3d" or "1w", up to a year'
+        );
+      }
+      return true;
+    }),
+  body("followUpTaskType")
+    .optional()
+    .isIn(["local", "google"])
+    .withMessage("followUpTaskType must be either local or google"),
+  body("followUpTaskListId")
+    .optional()
+    .isString()
+    .withMessage("followUpTaskListId must be a string"),
+  body("followUpResurface")
+    .optional()
+    .isBoolean()
+    .withMessage("followUpResurface must be a boolean value"),
+];
+
+const FOLLOW_UP_STATUSES = [
+  "pending",
+  "checking",
+  "replied",
+  "reminded",
+  "cancelled",
+  "failed",
+];
+
+const followUpListValidation = [
+  query("status")
+    .optional()
+    .isIn(FOLLOW_UP_STATUSES)
+    .withMessage(`status must be one of: ${FOLLOW_UP_STATUSES.join(", ")}`),
+];
+
+// Snooze until a time ("until", read in timeZone) or for a duration
+const snoozeValidation = [
+  body("until")
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage("until must be a date/time"),
+  body("duration")
+    .optional()
+    .custom((value) => {
+      if (!parseDuration(value)) {
+        throw new Error('duration must be such as "3h", "2d" or "1w"');
+      }
+      return true;
+    }),
+  body("timeZone")
+    .optional()
+    .isString()
+    .withMessage("timeZone must be an IANA time zone name"),
+  body().custom((value) => {
+    if (!value.until === !value.duration) {
+      throw new Error("Provide either until or duration, but not both");
+    }
+    return true;
+  }),
+];
+
+const SNOOZE_STATUSES = ["snoozed", "waking", "woken", "cancelled", "failed"];
+
+const snoozedListValidation = [
+  query("status")
+    .optional()
+    .isIn(SNOOZE_STATUSES)
+    .withMessage(`status must be one of: ${SNOOZE_STATUSES.join(", ")}`),
+];
+
+// Drafts can be saved incomplete, so every field is optional
+const draftValidation = [
+  body("to").optional().custom(recipientList("to")),
+  body("cc").optional().custom(recipientList("cc")),
+  body("bcc").optional().custom(recipientList("bcc")),
+  body("subject")
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Subject must be less than 200 characters")
+    .not()
+    .matches(/[\r\n]/)
+    .withMessage("Subject cannot contain line breaks"),
+  body("body").optional().isString().withMessage("Body must be a string"),
+  body("text").optional().isString().withMessage("Text must be a string"),
+  body("html").optional().isString().withMessage("HTML must be a string"),
+  body("isHtml")
+    .optional()
+    .isBoolean()
+    .withMessage("isHtml must be a boolean value"),
+];
+
+const LABEL_LIST_VISIBILITY = ["labelShow", "labelShowIfUnread", "labelHide"];
+const MESSAGE_LIST_VISIBILITY = ["show", "hide"];
+
+const labelValidation = [
+  body("name")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 225 })
+    .withMessage("Label name must be between 1 and 225 characters"),
+  body("labelListVisibility")
+    .optional()
+    .isIn(LABEL_LIST_VISIBILITY)
+    .withMessage(
+      `labelListVisibility must be one of: ${LABEL_LIST_VISIBILITY.join(", ")}`
+    ),
+  body("messageListVisibility")
+    .optional()
+    .isIn(MESSAGE_LIST_VISIBILITY)
+    .withMessage(
+      `messageListVisibility must be one of: ${MESSAGE_LIST_VISIBILITY.join(
+        ", "
+      )}`
+    ),
+  body("color").optional().isObject().withMessage("Color must be an object"),
+];
+
+const createLabelValidation = [
+  body("name")
+    .trim()
+    .isLength({ min: 1, max: 225 })
+    .withMessage("Label name is required and must be at most 225 characters"),
+  ...labelValidation.slice(1),
+];
+
+const BULK_ACTIONS = [
+  "archive",
+  "moveToInbox",
+  "markRead",
+  "markUnread",
+  "star",
+  "unstar",
+  "trash",
+  "untrash",
+];
+
+const bulkModifyValidation = [
+  body("ids")
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage("ids must be an array"),
+  body("ids.*").isString().withMessage("Message ids must be strings"),
+  body("query")
+    .optional()
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage("query must be a non-empty Gmail search"),
+  body("limit")
+    .optional()
+    .isInt({ min: 1, max: 5000 })
+    .withMessage("limit must be between 1 and 5000"),
+  body("action")
+    .optional()
+    .isIn(BULK_ACTIONS)
+    .withMessage(`action must be one of: ${BULK_ACTIONS.join(", ")}`),
+  body("addLabelIds")
+    .optional()
+    .isArray()
+    .withMessage("addLabelIds must be an array"),
+  body("removeLabelIds")
+    .optional()
+    .isArray()
+    .withMessage("removeLabelIds must be an array"),
+  body().custom((value) => {
+    if (!value.ids === !value.query) {
+      throw new Error("Provide either ids or query, but not both");
+    }
+    if (!value.action && !value.addLabelIds && !value.removeLabelIds) {
+      throw new Error("Provide an action or label ids to add or remove");
+    }
+    if (
+      ["trash", "untrash"].includes(value.action) &&
+      (value.addLabelIds || value.removeLabelIds)
+    ) {
+      throw new Error(
+        "trash and untrash cannot be combined with label changes"
+      );
+    }
+    return true;
+  }),
+];
+
+const saveAttachmentValidation = [
+  body("taskId").isMongoId().withMessage("Please provide a valid task ID"),
+  body("partId").optional().isString().withMessage("partId must be a string"),
+];
+
+const messageToTaskValidation = [
+  body("type")
+    .optional()
+    .isIn(["local", "google"])
+    .withMessage("type must be either local or google"),
+  body("title")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Title must be between 1 and 100 characters"),
+  body("notes").optional().isString().withMessage("Notes must be a string"),
+  body("dueDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Due date must be a valid date"),
+  body("priority")
+    .optional()
+    .isIn(["low", "medium", "high", "urgent"])
+    .withMessage("Priority must be one of: low, medium, high, urgent"),
+  body("tags").optional().isArray().withMessage("Tags must be an array"),
+  body("taskListId")
+    .optional()
+    .isString()
+    .withMessage("taskListId must be a string"),
+];
+
+const suggestEventsValidation = [
+  body("timeZone")
+    .optional()
+    .isString()
+    .withMessage("timeZone must be an IANA time zone name"),
+];
+
+// start/end are ISO date-times, or YYYY-MM-DD dates for an all-day event
+const acceptSuggestedEventValidation = [
+  body("start").isISO8601().withMessage("start must be a valid date"),
+  body("end").isISO8601().withMessage("end must be a valid date"),
+  body("end").custom((end, { req }) => {
+    const dateOnly = /^\d{4}-\d{2}-\d{2}$/;
+    if (dateOnly.test(req.body.start) !== dateOnly.test(end)) {
+      throw new Error("start and end must both be dates or both date-times");
+    }
+    if (new Date(end) <= new Date(req.body.start)) {
+      throw new Error("end must be after start");
+    }
+    return true;
+  }),
+  body("summary")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 1024 })
+    .withMessage("Summary must be between 1 and 1024 characters"),
+  body("description")
+    .optional()
+    .isString()
+    .withMessage("Description must be a string"),
+  body("location")
+    .optional()
+    .isString()
+    .withMessage("Location must be a string"),
+  body("timeZone")
+    .optional()
+    .isString()
+    .withMessage("timeZone must be an IANA time zone name"),
+];
+
+const replyValidation = [
   body("body")
     .trim()
     .isLength({ min: 1 })
-    .withMessage("Email body is required"),
+    .withMessage("Reply body is required"),
+  body("isHtml")
+    .optional()
+    .isBoolean()
+    .withMessage("isHtml must be a boolean value"),
+];
+
+const forwardValidation = [
+  body("to").custom(recipientList("to", { required: true })),
+  body("cc").optional().custom(recipientList("cc")),
+  body("body").optional().isString().withMessage("Body must be a string"),
   body("isHtml")
     .optional()
     .isBoolean()
     .withMessage("isHtml must be a boolean value"),
 ];
 
+const SCHEDULED_STATUSES = [
+  "pending",
+  "sending",
+  "sent",
+  "failed",
+  "cancelled",
+];
+
+const sendAtValidation = [
+  body("sendAt")
+    .isString()
+    .notEmpty()
+    .withMessage("sendAt is required (ISO date/time)"),
+  body("timeZone")
+    .optional()
+    .isString()
+    .withMessage("timeZone must be an IANA time zone name"),
+];
+
+// Scheduled emails are JSON only, so attachments are not accepted
+const scheduleEmailValidation = [
+  ...sendEmailValidation,
+  body("attachments")
+    .not()
+    .exists()
+    .withMessage("Scheduled emails cannot include attachments"),
+  body("threadId")
+    .optional()
+    .isString()
+    .withMessage("threadId must be a string"),
+  ...sendAtValidation,
+];
+
+const scheduledListValidation = [
+  query("status")
+    .optional()
+    .isIn(SCHEDULED_STATUSES)
+    .withMessage(`status must be one of: ${SCHEDULED_STATUSES.join(", ")}`),
+];
+
 // All routes are protected
 router.use(protect);
 
@@ -34,6 +443,81 @@ router.use(protect);
 router.get("/profile", getProfile);
 router.get("/emails", getEmails);
 router.get("/search", searchEmails);
-router.post("/send", sendEmailValidation, sendEmail);
+router.get("/threads", getThreads);
+router.get("/threads/:threadId", getThread);
+router.post(
+  "/send",
+  emailAttachments,
+  sendEmailValidation,
+  followUpValidation,
+  sendEmail
+);
+router.post("/messages/bulk", bulkModifyValidation, bulkModifyMessages);
+router.post("/messages/:id/reply", replyValidation, replyToMessage);
+router.post("/messages/:id/reply-all", replyValidation, replyAllToMessage);
+router.post("/messages/:id/forward", forwardValidation, forwardMessage);
+router.post("/messages/:id/to-task", messageToTaskValidation, messageToTask);
+router.post(
+  "/messages/:id/suggest-events",
+  suggestEventsValidation,
+  suggestEvents
+);
+router.post(
+  "/messages/:id/suggest-events/accept",
+  acceptSuggestedEventValidation,
+  acceptSuggestedEvent
+);
+router.get("/messages/:id/attachments/:attachmentId", downloadAttachment);
+router.post(
+  "/messages/:id/attachments/:attachmentId/save-to-task",
+  saveAttachmentValidation,
+  saveAttachmentToTask
+);
+router
+  .route("/messages/:id/snooze")
+  .post(snoozeValidation, snoozeMessage)
+  .delete(cancelSnooze);
+router.get("/snoozed", snoozedListValidation, getSnoozedMessages);
+
+// Drafts
+router
+  .route("/drafts")
+  .get(getDrafts)
+  .post(emailAttachments, draftValidation, createDraft);
+router
+  .route("/drafts/:draftId")
+  .get(getDraft)
+  .put(emailAttachments, draftValidation, updateDraft)
+  .delete(deleteDraft);
+router.post("/drafts/:draftId/send", sendDraft);
+
+// Labels
+router.route("/labels").get(getLabels).post(createLabelValidation, createLabel);
+router
+  .route("/labels/:labelId")
+  .put(labelValidation, updateLabel)
+  .delete(deleteLabel);
+
+// Scheduled send
+router
+  .route("/scheduled")
+  .get(scheduledListValidation, getScheduledEmails)
+  .post(scheduleEmailValidation, createScheduledEmail);
+router
+  .route("/scheduled/:id")
+  .get(getScheduledEmail)
+  .patch(sendAtValidation, rescheduleEmail)
+  .delete(cancelScheduledEmail);
+
+// Follow-up reminders
+router.get("/follow-ups", followUpListValidation, getFollowUps);
+router.delete("/follow-ups/:id", cancelFollowUp);
+
+// Incremental sync and the local message index
+router.post("/sync", syncMailbox);
+router.get("/sync/status", getSyncStatus);
+router.get("/local/messages", getLocalMessages);
+router.get("/local/counts", getLocalCounts);
+router.route("/watch").post(startWatch).delete(stopWatch);
 
 module.exports = router;
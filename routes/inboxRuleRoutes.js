@@ -0,0 +1,151 @@
+const express = require("express");
+const { body, query } = require("express-validator");
+const {
+  getRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  testRule,
+  getExecutions,
+} = require("../controllers/inboxRuleController");
+const { protect } = require("../middleware/auth");
+const {
+  CONDITION_FIELDS,
+  CONDITION_OPERATORS,
+  ACTION_TYPES,
+} = require("../utils/inboxRules");
+const { normalizeRecipients } = require("../utils/mimeMessage");
+
+const router = express.Router();
+
+// Check the parameters each action type needs
+const validateAction = (action) => {
+  const params = action.params || {};
+
+  switch (action.type) {
+    case "label":
+      if (!params.labelId && !params.labelName) {
+        throw new Error(
+          "label actions need params.labelId or params.labelName"
+        );
+      }
+      break;
+    case "forward":
+      if (!normalizeRecipients(params.to).length) {
+        throw new Error("forward actions need params.to");
+      }
+      break;
+    case "createTask":
+      if (params.type && !["local", "google"].includes(params.type)) {
+        throw new Error(
+          "createTask params.type must be either local or google"
+        );
+      }
+      break;
+    case "createCalendarHold":
+      ["offsetMinutes", "durationMinutes"].forEach((field) => {
+        if (
+          params[field] !== undefined &&
+          !(Number.isInteger(params[field]) && params[field] > 0)
+        ) {
+          throw new Error(
+            `createCalendarHold params.${field} must be a positive integer`
+          );
+        }
+      });
+      break;
+    default:
+      break;
+  }
+  return true;
+};
+
+// Validation middleware
+const ruleValidation = [
+  body("name")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Name must be between 1 and 100 characters"),
+  body("enabled")
+    .optional()
+    .isBoolean()
+    .withMessage("enabled must be a boolean value"),
+  body("match")
+    .optional()
+    .isIn(["all", "any"])
+    .withMessage("match must be either all or any"),
+  body("order").optional().isInt().withMessage("order must be an integer"),
+  body("conditions")
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage("conditions must be a non-empty array"),
+  body("conditions.*.field")
+    .isIn(CONDITION_FIELDS)
+    .withMessage(
+      `Condition field must be one of: ${CONDITION_FIELDS.join(", ")}`
+    ),
+  body("conditions.*.operator")
+    .optional()
+    .isIn(CONDITION_OPERATORS)
+    .withMessage(
+      `Condition operator must be one of: ${CONDITION_OPERATORS.join(", ")}`
+    ),
+  body("actions")
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage("actions must be a non-empty array"),
+  body("actions.*.type")
+    .isIn(ACTION_TYPES)
+    .withMessage(`Action type must be one of: ${ACTION_TYPES.join(", ")}`),
+  body("actions.*").custom(validateAction),
+];
+
+const createRuleValidation = [
+  body("name")
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Name is required and must be between 1 and 100 characters"),
+  body("conditions")
+    .isArray({ min: 1 })
+    .withMessage("At least one condition is required"),
+  body("actions")
+    .isArray({ min: 1 })
+    .withMessage("At least one action is required"),
+  ...ruleValidation.slice(1),
+];
+
+const testRuleValidation = [
+  body("count")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("count must be between 1 and 100")
+    .toInt(),
+];
+
+const executionListValidation = [
+  query("rule").optional().isMongoId().withMessage("rule must be a rule ID"),
+  query("status")
+    .optional()
+    .isIn(["running", "success", "partial", "failed"])
+    .withMessage("status must be one of: running, success, partial, failed"),
+];
+
+// All routes are protected
+router.use(protect);
+
+// Routes
+router.route("/").get(getRules).post(createRuleValidation, createRule);
+
+router.get("/executions", executionListValidation, getExecutions);
+
+router
+  .route("/:id")
+  .get(getRule)
+  .put(ruleValidation, updateRule)
+  .delete(deleteRule);
+
+router.post("/:id/test", testRuleValidation, testRule);
+
+module.exports = router;
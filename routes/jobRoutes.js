@@ -0,0 +1,14 @@
+const express = require("express");
+const { runJob } = require("../controllers/jobController");
+const { requireSharedSecret } = require("../middleware/sharedSecret");
+
+const router = express.Router();
+
+// Jobs are triggered by cron, authenticated with CRON_SECRET
+router.use(requireSharedSecret("CRON_SECRET"));
+
+// Vercel cron issues GET requests
+router.get("/:name", runJob);
+router.post("/:name", runJob);
+
+module.exports = router;
@@ -8,6 +8,7 @@ const {
   deleteUser,
 } = require("../controllers/userController");
 const { protect, authorize } = require("../middleware/auth");
+const { isValidTimeZone } = require("../utils/timezone");
 
 const router = express.Router();
 
@@ -27,6 +28,10 @@ const userValidation = [
     .optional()
     .isIn(["user", "admin"])
     .withMessage("Role must be either user or admin"),
+  body("timezone")
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage("Timezone must be an IANA time zone name"),
 ];
 
 const createUserValidation = [
@@ -0,0 +1,10 @@
+const express = require("express");
+const { gmailPush } = require("../controllers/webhookController");
+const { requireSharedSecret } = require("../middleware/sharedSecret");
+
+const router = express.Router();
+
+// Pub/Sub push subscriptions are configured with ?token=<GMAIL_WEBHOOK_TOKEN>
+router.post("/gmail", requireSharedSecret("GMAIL_WEBHOOK_TOKEN"), gmailPush);
+
+module.exports = router;
@@ -0,0 +1,38 @@
+// Send a fake Gmail Pub/Sub push notification to a running server.
+//
+// Usage:
+//   node scripts/simulateGmailPush.js <emailAddress> [historyId] [url]
+//
+// The token comes from GMAIL_WEBHOOK_TOKEN in .env. Leave out historyId to
+// force a sync regardless of how far the local index already is.
+require("dotenv").config();
+const axios = require("axios");
+const { buildGmailPushPayload } = require("../utils/pubsubPayload");
+
+const [emailAddress, historyId, url] = process.argv.slice(2);
+
+if (!emailAddress) {
+  console.error(
+    "Usage: node scripts/simulateGmailPush.js <emailAddress> [historyId] [url]"
+  );
+  process.exit(1);
+}
+
+const target =
+  url || `http://localhost:${process.env.PORT || 3001}/api/webhooks/gmail`;
+const payload = buildGmailPushPayload({ emailAddress, historyId });
+
+axios
+  .post(target, payload, {
+    params: { token: process.env.GMAIL_WEBHOOK_TOKEN },
+  })
+  .then((response) => {
+    console.log(`${response.status}`, response.data || "");
+  })
+  .catch((error) => {
+    console.error(
+      "Push failed:",
+      error.response ? error.response.status : error.message
+    );
+    process.exit(1);
+  });
@@ -0,0 +1,90 @@
+const googleApiService = require("./googleApiService");
+const ErrorResponse = require("../utils/errorResponse");
+const {
+  mergeAttendees,
+  findSelf,
+  needsResponse,
+} = require("../utils/attendees");
+
+class AttendeeService {
+  // Invite and uninvite people. `add` entries are emails or { email,
+  // optional, displayName }; `remove` is a list of emails. An occurrence id
+  // changes only that occurrence, a series id the whole series
+  async updateAttendees(userId, eventId, changes, options = {}) {
+    const { calendarId, sendUpdates } = options;
+    const event = await googleApiService.getCalendarEvent(
+      userId,
+      eventId,
+      calendarId
+    );
+
+    // Guests only see part of a large guest list, and writing that part
+    // back would drop everyone else
+    if (event.attendeesOmitted) {
+      throw new ErrorResponse(
+        "Only the organizer can change the guest list of this event",
+        403
+      );
+    }
+
+    return googleApiService.patchCalendarEvent(
+      userId,
+      eventId,
+      { attendees: mergeAttendees(event.attendees, changes) },
+      calendarId,
+      sendUpdates
+    );
+  }
+
+  // Accept, decline or tentatively accept an invitation as the current
+  // user. Only the user's own entry is sent, so the rest of the guest list
+  // is left alone
+  async respond(userId, eventId, response, options = {}) {
+    const { comment, calendarId, sendUpdates } = options;
+    const event = await googleApiService.getCalendarEvent(
+      userId,
+      eventId,
+      calendarId
+    );
+
+    const self = findSelf(event);
+    if (!self) {
+      throw new ErrorResponse("You are not a guest of this event", 400);
+    }
+    if (self.organizer) {
+      throw new ErrorResponse(
+        "You organize this event, so there is nothing to respond to",
+        400
+      );
+    }
+
+    const attendee = { ...self, responseStatus: response };
+    if (comment !== undefined) attendee.comment = comment;
+
+    return googleApiService.patchCalendarEvent(
+      userId,
+      eventId,
+      { attendees: [attendee], attendeesOmitted: true },
+      calendarId,
+      sendUpdates
+    );
+  }
+
+  // Invitations between timeMin and timeMax the user has not answered yet,
+  // soonest first. A recurring invitation is listed once, as its series.
+  // Resolves with { invitations, truncated }; `truncated` means a calendar
+  // had more events than are read in one go, so some may be missing
+  async getPendingInvitations(userId, calendarIds, timeMin, timeMax) {
+    const { events, truncated } = await googleApiService.getAllCalendarEvents(
+      userId,
+      calendarIds,
+      timeMin,
+      timeMax,
+      { singleEvents: false }
+    );
+
+    return { invitations: events.filter(needsResponse), truncated };
+  }
+}
+
+module.exports = new AttendeeService();
@@ -0,0 +1,258 @@
+const User = require("../models/User");
+const AutoReply = require("../models/AutoReply");
+const googleApiService = require("./googleApiService");
+const { prefixSubject, threadingHeaders } = require("../utils/gmailReply");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Labels on mail that should never be answered
+const SKIPPED_LABELS = ["SENT", "DRAFT", "SPAM", "TRASH", "CHAT"];
+
+// Addresses nobody reads replies at
+const AUTOMATED_SENDER =
+  /^(no-?reply|do-?not-?reply|mailer-daemon|postmaster|bounces?)([+.@-]|$)/i;
+
+// Newsletters and list traffic carry List-* headers or a bulk Precedence
+const isMailingList = (headers) =>
+  Boolean(headers["list-unsubscribe"] || headers["list-id"]) ||
+  /^(bulk|list|junk)$/i.test((headers.precedence || "").trim());
+
+// RFC 3834: never answer a message that was itself sent automatically,
+// otherwise two auto-responders reply to each other forever
+const isAutoSubmitted = (headers) =>
+  Boolean(headers["auto-submitted"]) &&
+  headers["auto-submitted"].trim().toLowerCase() !== "no";
+
+// Matches the domain itself and its subdomains
+const matchesDomain = (email, domains) => {
+  const domain = email.split("@")[1] || "";
+  return domains.some(
+    (allowed) => domain === allowed || domain.endsWith(`.${allowed}`)
+  );
+};
+
+const isWithinRange = (date, { startDate, endDate }) =>
+  (!startDate || date >= new Date(startDate)) &&
+  (!endDate || date <= new Date(endDate));
+
+// The first rule a message fails, as a short reason code, or null when it
+// passes. Covers the rules that need no lookups
+const checkMessage = (message, settings, ownEmail) => {
+  const sender = message.from && message.from.email;
+  const labels = message.labelIds || [];
+
+  if (!sender) return "no_sender";
+  if (sender === ownEmail) return "own_message";
+  if (
+    !labels.includes("INBOX") ||
+    labels.some((label) => SKIPPED_LABELS.includes(label))
+  ) {
+    return "not_in_inbox";
+  }
+  if (
+    !isWithinRange(message.date ? new Date(message.date) : new Date(), settings)
+  ) {
+    return "outside_date_range";
+  }
+  if (isAutoSubmitted(message.headers)) return "auto_submitted";
+  if (AUTOMATED_SENDER.test(sender)) return "automated_sender";
+  if (settings.excludeMailingLists && isMailingList(message.headers)) {
+    return "mailing_list";
+  }
+  if (
+    settings.domains &&
+    settings.domains.length &&
+    !matchesDomain(sender, settings.domains)
+  ) {
+    return "domain_not_allowed";
+  }
+
+  return null;
+};
+
+class AutoResponderService {
+  // The user's auto-responder settings as a plain object
+  getSettings(user) {
+    const { automationSettings = {} } = user.toObject();
+    return {
+      enabled: Boolean(automationSettings.autoRespond),
+      ...(automationSettings.autoResponder || {}),
+    };
+  }
+
+  // Whether the sender appears among the people the user has emailed
+  async isContact(userId, email, cache) {
+    if (!cache.has(email)) {
+      const ids = await googleApiService.listMessageIds(
+        userId,
+        `in:sent to:${email}`,
+        1
+      );
+      cache.set(email, ids.length > 0);
+    }
+    return cache.get(email);
+  }
+
+  // Decide for each message whether it gets an automatic reply. Resolves
+  // with { message, reply, reason } per message, oldest first, where
+  // `reason` says why a message is skipped
+  async evaluate(userId, messages, settings, ownEmail, now = new Date()) {
+    const since = new Date(
+      now.getTime() - (settings.replyIntervalDays || 4) * DAY_MS
+    );
+    const answered = new Set();
+    const contacts = new Map();
+
+    // Oldest first so a sender's first message is the one answered
+    const sorted = [...messages].sort(
+      (a, b) => new Date(a.date || 0) - new Date(b.date || 0)
+    );
+
+    const results = [];
+    for (const message of sorted) {
+      const sender = message.from && message.from.email;
+      let reason = checkMessage(message, settings, ownEmail);
+
+      if (!reason && answered.has(sender)) {
+        reason = "already_replied";
+      }
+      if (
+        !reason &&
+        (await AutoReply.exists({
+          user: userId,
+          senderEmail: sender,
+          createdAt: { $gte: since },
+        }))
+      ) {
+        reason = "already_replied";
+      }
+      if (
+        !reason &&
+        settings.contactsOnly &&
+        !(await this.isContact(userId, sender, contacts))
+      ) {
+        reason = "not_a_contact";
+      }
+
+      if (!reason) answered.add(sender);
+      results.push({ message, reply: !reason, reason });
+    }
+
+    return results;
+  }
+
+  // Send the automatic reply to one message. The log entry is written first
+  // so a message can never be answered twice
+  async sendReply(userId, message, settings) {
+    const recipient = message.replyTo.length
+      ? message.replyTo[0]
+      : message.from;
+
+    const log = await AutoReply.create({
+      user: userId,
+      senderEmail: message.from.email,
+      messageId: message.id,
+      threadId: message.threadId,
+      subject: message.subject,
+    });
+
+    try {
+      const sent = await googleApiService.sendEmail(userId, {
+        to: [recipient],
+        subject: settings.subject || prefixSubject("Re:", message.subject),
+        body: settings.message,
+        isHtml: settings.isHtml,
+        headers: {
+          ...threadingHeaders(message),
+          "Auto-Submitted": "auto-replied",
+        },
+        threadId: message.threadId,
+      });
+
+      log.sentMessageId = sent.id;
+      await log.save();
+      return log;
+    } catch (error) {
+      await log.deleteOne();
+      throw error;
+    }
+  }
+
+  // Answer newly arrived mail for a user with the auto-responder on. Called
+  // by the sync service with the messages it just added. Resolves with the
+  // ids of the messages answered
+  async handleNewMessages(userId, messages, now = new Date()) {
+    if (!messages.length) return [];
+
+    const user = await User.findById(userId);
+    if (!user) return [];
+
+    const settings = this.getSettings(user);
+    if (!settings.enabled || !settings.message) return [];
+    if (!isWithinRange(now, settings)) return [];
+
+    const profile = await googleApiService.getGmailProfile(userId);
+    const results = await this.evaluate(
+      userId,
+      messages,
+      settings,
+      profile.emailAddress.toLowerCase(),
+      now
+    );
+
+    const replied = [];
+    for (const { message, reply } of results.filter((result) => result.reply)) {
+      try {
+        await this.sendReply(userId, message, settings);
+        replied.push(message.id);
+      } catch (error) {
+        // Already answered by a concurrent run
+        if (error.code === 11000) continue;
+        // Revoked access or exhausted quota fails every reply, so stop here
+        console.error("Error sending automatic reply:", error);
+        break;
+      }
+    }
+
+    return replied;
+  }
+
+  // Show who the auto-responder would answer among the most recent inbox
+  // messages, without sending anything. `overrides` are unsaved settings to
+  // try out
+  async dryRun(userId, { maxResults = 25, overrides = {} } = {}) {
+    const user = await User.findById(userId);
+    const settings = { ...this.getSettings(user), ...overrides };
+
+    const [profile, messages] = await Promise.all([
+      googleApiService.getGmailProfile(userId),
+      googleApiService.getEmails(userId, "in:inbox", maxResults, {
+        fields: "metadata",
+      }),
+    ]);
+
+    const results = await this.evaluate(
+      userId,
+      messages,
+      settings,
+      profile.emailAddress.toLowerCase()
+    );
+
+    return {
+      enabled: settings.enabled,
+      activeNow: isWithinRange(new Date(), settings),
+      settings,
+      results: results.map(({ message, reply, reason }) => ({
+        messageId: message.id,
+        threadId: message.threadId,
+        from: message.from,
+        subject: message.subject,
+        date: message.date,
+        wouldReply: reply,
+        reason,
+      })),
+    };
+  }
+}
+
+module.exports = new AutoResponderService();
@@ -0,0 +1,74 @@
+const Task = require("../models/Task");
+const googleApiService = require("./googleApiService");
+const { getThreadUrl } = require("../utils/gmailMessage");
+
+// Local task field limits
+const MAX_TITLE_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 500;
+
+const truncate = (text, length) =>
+  text.length > length ? `${text.slice(0, length - 1)}…` : text;
+
+class EmailTaskService {
+  // Create a local Task or a Google Task from a normalized message,
+  // pre-filled from its subject and snippet and linked back to the thread.
+  //
+  // Options: type ("local" or "google"), title, notes, dueDate, priority,
+  // tags and taskListId, all optional. Resolves with { type, task, email }
+  async createTaskFromMessage(userId, message, options = {}) {
+    const {
+      type = "local",
+      title,
+      notes,
+      dueDate,
+      priority,
+      tags,
+      taskListId = "@default",
+    } = options;
+
+    const email = {
+      messageId: message.id,
+      threadId: message.threadId,
+      url: getThreadUrl(message.threadId),
+    };
+
+    // The link always goes last so it survives truncation
+    const taskTitle = truncate(
+      title || message.subject || "(no subject)",
+      MAX_TITLE_LENGTH
+    );
+    const summary = notes !== undefined ? notes : message.snippet || "";
+    const taskNotes = `${truncate(
+      summary,
+      MAX_DESCRIPTION_LENGTH - email.url.length - 2
+    )}\n\n${email.url}`.trim();
+
+    let task;
+    if (type === "google") {
+      task = await googleApiService.createTask(
+        userId,
+        {
+          title: taskTitle,
+          notes: taskNotes,
+          due: dueDate ? new Date(dueDate).toISOString() : undefined,
+        },
+        taskListId
+      );
+    } else {
+      task = await Task.create({
+        title: taskTitle,
+        description: taskNotes,
+        dueDate,
+        priority,
+        tags,
+        assignedTo: userId,
+        createdBy: userId,
+        email,
+      });
+    }
+
+    return { type, task, email };
+  }
+}
+
+module.exports = new EmailTaskService();
@@ -0,0 +1,77 @@
+const googleApiService = require("./googleApiService");
+const { extractEvents } = require("../utils/dateExtractor");
+const { getThreadUrl } = require("../utils/gmailMessage");
+const { htmlToText } = require("../utils/mimeMessage");
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Subject without reply/forward prefixes: "Re: Fwd: Q3 sync" -> "Q3 sync"
+const cleanSubject = (subject) =>
+  (subject || "").replace(/^\s*((re|fw|fwd|aw|wg)\s*:\s*)+/i, "").trim();
+
+// Whoever should be invited back: the Reply-To address, else the sender
+const senderOf = (message) => message.replyTo[0] || message.from;
+
+const eventSummary = (message) => {
+  const subject = cleanSubject(message.subject);
+  if (subject) return subject;
+  const sender = senderOf(message);
+  return sender ? `Meeting with ${sender.name || sender.email}` : "Meeting";
+};
+
+// A Google event time from an ISO instant or an all-day YYYY-MM-DD date
+const eventTime = (value, timeZone) =>
+  DATE_ONLY.test(value)
+    ? { date: value }
+    : { dateTime: new Date(value).toISOString(), timeZone };
+
+class EventSuggestionService {
+  // Find dates and times in a message body and turn them into suggested
+  // events. Relative words ("tomorrow", "Thursday") are read from when the
+  // message was received, in `timeZone`. Resolves with { message,
+  // suggestions }
+  async suggestEvents(userId, messageId, timeZone = "UTC") {
+    const message = await googleApiService.getMessage(userId, messageId);
+    const text =
+      message.body.text ||
+      (message.body.html ? htmlToText(message.body.html) : "");
+
+    const summary = eventSummary(message);
+    const suggestions = extractEvents(text, {
+      referenceDate: message.date ? new Date(message.date) : new Date(),
+      timeZone,
+    }).map((suggestion) => ({ summary, ...suggestion, timeZone }));
+
+    return { message, suggestions };
+  }
+
+  // Create a calendar event from an accepted suggestion, inviting the
+  // sender and linking back to the thread. `start`/`end` are ISO instants,
+  // or YYYY-MM-DD dates (end exclusive) for an all-day event
+  acceptSuggestion(userId, message, suggestion) {
+    const {
+      start,
+      end,
+      summary,
+      description,
+      location,
+      timeZone = "UTC",
+    } = suggestion;
+    const sender = senderOf(message);
+
+    return googleApiService.createCalendarEvent(userId, {
+      summary: summary || eventSummary(message),
+      description: [description, getThreadUrl(message.threadId)]
+        .filter(Boolean)
+        .join("\n\n"),
+      location,
+      start: eventTime(start, timeZone),
+      end: eventTime(end, timeZone),
+      attendees: sender
+        ? [{ email: sender.email, displayName: sender.name || undefined }]
+        : [],
+    });
+  }
+}
+
+module.exports = new EventSuggestionService();
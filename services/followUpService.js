@@ -0,0 +1,205 @@
+const FollowUp = require("../models/FollowUp");
+const Task = require("../models/Task");
+const googleApiService = require("./googleApiService");
+const { isAuthRevoked } = require("../utils/googleError");
+const { getThreadUrl } = require("../utils/gmailMessage");
+
+// Most follow-ups checked per job run
+const BATCH_SIZE = 50;
+
+// A claim older than this means the process died mid-check
+const STALE_CHECKING_MS = 10 * 60 * 1000;
+
+// Local task titles are limited to 100 characters
+const MAX_TITLE_LENGTH = 100;
+
+const describeRecipients = (recipients) => {
+  const names = recipients.map((address) => address.name || address.email);
+  if (names.length <= 2) return names.join(" and ");
+  return `${names[0]} and ${names.length - 1} others`;
+};
+
+const truncate = (text, length) =>
+  text.length > length ? `${text.slice(0, length - 1)}…` : text;
+
+// "Follow up with Alice about Q3 budget"
+const reminderTitle = (followUp) =>
+  truncate(
+    `Follow up with ${describeRecipients(followUp.recipients)} about ${
+      followUp.subject || "(no subject)"
+    }`,
+    MAX_TITLE_LENGTH
+  );
+
+const reminderNotes = (followUp) =>
+  `No reply since ${followUp.sentAt.toUTCString()}.\n${getThreadUrl(
+    followUp.threadId
+  )}`;
+
+// A reply is any message in the thread received after the tracked one and
+// sent by one of the recipients. Earlier messages from them are what the
+// user was answering, not replies.
+const findReply = (thread, followUp) => {
+  const recipients = new Set(
+    followUp.recipients.map((address) => address.email)
+  );
+  const tracked = thread.messages.find(
+    (message) => message.id === followUp.messageId
+  );
+  const sentAt = new Date((tracked && tracked.date) || followUp.sentAt);
+
+  return thread.messages.find(
+    (message) =>
+      message.id !== followUp.messageId &&
+      message.date &&
+      new Date(message.date) > sentAt &&
+      message.from &&
+      recipients.has(message.from.email)
+  );
+};
+
+class FollowUpService {
+  // Record a follow-up for a message just sent. `sent` is the Gmail message
+  // resource returned by sendEmail
+  createFollowUp(userId, sent, message, options) {
+    return FollowUp.create({
+      user: userId,
+      messageId: sent.id,
+      threadId: sent.threadId,
+      recipients: [...message.to, ...message.cc],
+      subject: message.subject,
+      sentAt: new Date(),
+      dueAt: new Date(Date.now() + options.afterMs),
+      taskType: options.taskType,
+      taskListId: options.taskListId,
+      resurface: options.resurface,
+    });
+  }
+
+  // Check every follow-up that has come due. Each one is claimed atomically
+  // (pending -> checking) so parallel runs never create two reminders
+  async checkDueFollowUps(now = new Date()) {
+    const summary = { replied: 0, reminded: 0, failed: 0, retrying: 0 };
+
+    // Checking has no side effects until the task is created, so an
+    // interrupted check is simply retried
+    await FollowUp.updateMany(
+      {
+        status: "checking",
+        updatedAt: { $lt: new Date(now.getTime() - STALE_CHECKING_MS) },
+      },
+      { status: "pending" }
+    );
+
+    for (let i = 0; i < BATCH_SIZE; i++) {
+      const followUp = await FollowUp.findOneAndUpdate(
+        { status: "pending", dueAt: { $lte: now } },
+        { status: "checking" },
+        { sort: { dueAt: 1 }, new: true }
+      );
+
+      if (!followUp) break;
+
+      const outcome = await this.check(followUp);
+      summary[outcome]++;
+    }
+
+    return summary;
+  }
+
+  // Look for a reply in the thread and create the reminder when there is
+  // none
+  async check(followUp) {
+    try {
+      const thread = await googleApiService.getThread(
+        followUp.user,
+        followUp.threadId
+      );
+      const reply = findReply(thread, followUp);
+
+      if (reply) {
+        followUp.status = "replied";
+        followUp.repliedAt = reply.date;
+        await followUp.save();
+        return "replied";
+      }
+
+      followUp.taskId = await this.createReminder(followUp);
+
+      // The reminder exists now, so a failure here must not fail the check
+      if (followUp.resurface) {
+        await this.resurface(followUp.user, thread).catch((error) =>
+          console.error("Error resurfacing thread:", error)
+        );
+      }
+
+      followUp.status = "reminded";
+      followUp.remindedAt = new Date();
+      followUp.lastError = undefined;
+      await followUp.save();
+      return "reminded";
+    } catch (error) {
+      followUp.lastError = error.message;
+
+      if (isAuthRevoked(error)) {
+        followUp.status = "failed";
+        followUp.lastError =
+          "Google access was revoked or has expired. Reconnect your Google account to resume follow-up reminders.";
+      } else if (error.statusCode === 429 || error.statusCode === 503) {
+        // Google is throttling us: try again later
+        followUp.status = "pending";
+        followUp.dueAt = new Date(Date.now() + (error.retryAfter || 60) * 1000);
+        await followUp.save();
+        return "retrying";
+      } else if (error.response && error.response.status === 404) {
+        followUp.status = "failed";
+        followUp.lastError = "The thread no longer exists";
+      } else {
+        followUp.status = "failed";
+      }
+
+      await followUp.save();
+      return "failed";
+    }
+  }
+
+  // Create the reminder task and return its id
+  async createReminder(followUp) {
+    if (followUp.taskType === "google") {
+      const task = await googleApiService.createTask(
+        followUp.user,
+        { title: reminderTitle(followUp), notes: reminderNotes(followUp) },
+        followUp.taskListId
+      );
+      return task.id;
+    }
+
+    const task = await Task.create({
+      title: reminderTitle(followUp),
+      description: reminderNotes(followUp),
+      dueDate: new Date(),
+      assignedTo: followUp.user,
+      createdBy: followUp.user,
+      tags: ["follow-up"],
+      email: {
+        messageId: followUp.messageId,
+        threadId: followUp.threadId,
+        url: getThreadUrl(followUp.threadId),
+      },
+    });
+    return task.id;
+  }
+
+  // Put the thread back in the inbox, unread, so it is seen again
+  resurface(userId, thread) {
+    const last = thread.messages[thread.messages.length - 1];
+
+    return googleApiService.modifyMessages(
+      userId,
+      { ids: [last.id] },
+      { action: "moveToInbox", addLabelIds: ["UNREAD"] }
+    );
+  }
+}
+
+module.exports = new FollowUpService();
@@ -0,0 +1,344 @@
+const googleApiService = require("./googleApiService");
+const autoResponderService = require("./autoResponderService");
+const inboxRuleService = require("./inboxRuleService");
+const GmailMessage = require("../models/GmailMessage");
+const GmailSyncState = require("../models/GmailSyncState");
+const ErrorResponse = require("../utils/errorResponse");
+const { hasAttachments } = require("../utils/gmailMessage");
+
+// How many of the most recent messages a full resync indexes
+const FULL_SYNC_MAX_MESSAGES =
+  parseInt(process.env.GMAIL_FULL_SYNC_MAX_MESSAGES, 10) || 500;
+
+// Renew watches that expire within this window
+const WATCH_RENEWAL_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Fields from a normalized message that go into the local index
+const toIndexDocument = (userId, message) => ({
+  user: userId,
+  messageId: message.id,
+  threadId: message.threadId,
+  labelIds: message.labelIds,
+  from: message.from,
+  to: message.to,
+  subject: message.subject,
+  snippet: message.snippet,
+  date: message.date,
+  isUnread: message.isUnread,
+  hasAttachments: hasAttachments(message),
+  historyId: message.historyId,
+});
+
+const isHistoryExpired = (error) =>
+  Boolean(error.response && error.response.status === 404);
+
+class GmailSyncService {
+  constructor() {
+    // In-flight syncs keyed by user id, so concurrent triggers share one run
+    this.running = new Map();
+  }
+
+  // Bring the user's local index up to date. Uses the history API when a
+  // previous sync left a historyId, and falls back to a full resync when
+  // there is none, when `options.full` is set, or when history has expired.
+  // Resolves with the ids added/removed/updated plus the added messages
+  sync(userId, options = {}) {
+    const key = String(userId);
+
+    if (!this.running.has(key)) {
+      const run = this.runSync(userId, options).finally(() =>
+        this.running.delete(key)
+      );
+      this.running.set(key, run);
+    }
+
+    return this.running.get(key);
+  }
+
+  async runSync(userId, options) {
+    const state =
+      (await GmailSyncState.findOne({ user: userId })) ||
+      new GmailSyncState({ user: userId });
+
+    state.status = "syncing";
+    await state.save();
+
+    try {
+      let result;
+
+      if (options.full || !state.historyId) {
+        result = await this.fullSync(userId, state);
+      } else {
+        try {
+          result = await this.incrementalSync(userId, state);
+        } catch (error) {
+          if (!isHistoryExpired(error)) throw error;
+          result = await this.fullSync(userId, state);
+        }
+      }
+
+      state.status = "idle";
+      state.lastError = undefined;
+      state.lastSyncedAt = new Date();
+      await state.save();
+
+      // A full sync re-indexes old mail, so only incremental additions are
+      // new arrivals
+      if (result.type === "incremental") {
+        await this.runAutomations(userId, result.messages);
+      }
+
+      return result;
+    } catch (error) {
+      state.status = "error";
+      state.lastError = error.message;
+      await state.save();
+      throw error;
+    }
+  }
+
+  // Rebuild the index from the most recent messages in the mailbox
+  async fullSync(userId, state) {
+    // Read the history id first so changes made while we list are replayed
+    // by the next incremental sync rather than lost
+    const profile = await googleApiService.getGmailProfile(userId);
+
+    const ids = await googleApiService.listMessageIds(
+      userId,
+      "",
+      FULL_SYNC_MAX_MESSAGES
+    );
+    const messages = await googleApiService.getMessages(userId, ids, {
+      fields: "metadata",
+    });
+
+    await GmailMessage.deleteMany({ user: userId });
+    await this.upsertMessages(userId, messages);
+
+    state.historyId = profile.historyId;
+    state.lastFullSyncAt = new Date();
+
+    return {
+      type: "full",
+      added: messages.map((message) => message.id),
+      removed: [],
+      updated: [],
+      messages,
+    };
+  }
+
+  // Replay mailbox history since the stored historyId
+  async incrementalSync(userId, state) {
+    const added = new Set();
+    const removed = new Set();
+    const labelChanges = new Map();
+    let pageToken;
+    let historyId = state.historyId;
+
+    do {
+      const page = await googleApiService.getHistory(
+        userId,
+        state.historyId,
+        pageToken
+      );
+
+      page.history.forEach((record) => {
+        (record.messagesAdded || []).forEach(({ message }) => {
+          added.add(message.id);
+          removed.delete(message.id);
+        });
+        (record.messagesDeleted || []).forEach(({ message }) => {
+          removed.add(message.id);
+          added.delete(message.id);
+          labelChanges.delete(message.id);
+        });
+        [...(record.labelsAdded || []), ...(record.labelsRemoved || [])]
+          .filter(({ message }) => !removed.has(message.id))
+          // History records carry the message's full label set afterwards
+          .forEach(({ message }) =>
+            labelChanges.set(message.id, message.labelIds || [])
+          );
+      });
+
+      historyId = page.historyId || historyId;
+      pageToken = page.nextPageToken;
+    } while (pageToken);
+
+    const messages = await googleApiService.getMessages(userId, [...added], {
+      fields: "metadata",
+    });
+    await this.upsertMessages(userId, messages);
+
+    if (removed.size) {
+      await GmailMessage.deleteMany({
+        user: userId,
+        messageId: { $in: [...removed] },
+      });
+    }
+
+    const updated = [...labelChanges.keys()].filter((id) => !added.has(id));
+    if (updated.length) {
+      await GmailMessage.bulkWrite(
+        updated.map((id) => ({
+          updateOne: {
+            filter: { user: userId, messageId: id },
+            update: {
+              labelIds: labelChanges.get(id),
+              isUnread: labelChanges.get(id).includes("UNREAD"),
+            },
+          },
+        }))
+      );
+    }
+
+    state.historyId = historyId;
+
+    return {
+      type: "incremental",
+      added: messages.map((message) => message.id),
+      removed: [...removed],
+      updated,
+      messages,
+    };
+  }
+
+  // Hand newly arrived messages to the mail automations. The sync itself
+  // already succeeded, so failures are logged rather than thrown
+  async runAutomations(userId, messages) {
+    try {
+      await inboxRuleService.processMessages(userId, messages, {
+        trigger: "sync",
+      });
+    } catch (error) {
+      console.error("Error running inbox rules:", error);
+    }
+
+    try {
+      await autoResponderService.handleNewMessages(userId, messages);
+    } catch (error) {
+      console.error("Error running auto-responder:", error);
+    }
+  }
+
+  async upsertMessages(userId, messages) {
+    if (!messages.length) return;
+
+    await GmailMessage.bulkWrite(
+      messages.map((message) => ({
+        updateOne: {
+          filter: { user: userId, messageId: message.id },
+          update: toIndexDocument(userId, message),
+          upsert: true,
+        },
+      }))
+    );
+  }
+
+  // Register (or renew) a users.watch so Gmail pushes mailbox changes to
+  // our Pub/Sub topic
+  async startWatch(userId, labelIds = ["INBOX"]) {
+    const topicName = process.env.GMAIL_PUBSUB_TOPIC;
+
+    if (!topicName) {
+      throw new ErrorResponse("GMAIL_PUBSUB_TOPIC is not configured", 500);
+    }
+
+    const [profile, watch] = await Promise.all([
+      googleApiService.getGmailProfile(userId),
+      googleApiService.watchMailbox(userId, topicName, labelIds),
+    ]);
+
+    const state = await GmailSyncState.findOneAndUpdate(
+      { user: userId },
+      {
+        emailAddress: profile.emailAddress,
+        watch: { topicName, labelIds, expiration: watch.expiration },
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+
+    // Seed the index so the first notification has a history id to start
+    // from
+    if (!state.historyId) {
+      await this.sync(userId);
+    }
+
+    return { emailAddress: profile.emailAddress, ...watch };
+  }
+
+  async stopWatch(userId) {
+    await googleApiService.stopWatch(userId);
+    await GmailSyncState.updateOne({ user: userId }, { $unset: { watch: 1 } });
+  }
+
+  // Handle a decoded Gmail push notification ({ emailAddress, historyId }).
+  // Resolves with the sync result, or null when there is nothing to do
+  async handleNotification({ emailAddress, historyId }) {
+    if (!emailAddress) return null;
+
+    const state = await GmailSyncState.findOne({
+      emailAddress: emailAddress.toLowerCase(),
+    });
+
+    if (!state || !state.watch || !state.watch.expiration) {
+      return null;
+    }
+
+    // Notifications can arrive late or twice; skip ones we already covered
+    if (
+      state.historyId &&
+      historyId &&
+      BigInt(historyId) <= BigInt(state.historyId)
+    ) {
+      return null;
+    }
+
+    return this.sync(state.user);
+  }
+
+  // Renew every watch that expires soon. Failures are collected rather than
+  // thrown so one revoked account does not block the rest
+  async renewWatches() {
+    const expiring = await GmailSyncState.find({
+      "watch.expiration": {
+        $lte: new Date(Date.now() + WATCH_RENEWAL_WINDOW_MS),
+      },
+    });
+
+    const results = await Promise.allSettled(
+      expiring.map((state) => this.startWatch(state.user, state.watch.labelIds))
+    );
+
+    return {
+      checked: expiring.length,
+      renewed: results.filter((result) => result.status === "fulfilled").length,
+      failed: results
+        .map((result, index) => ({ result, state: expiring[index] }))
+        .filter(({ result }) => result.status === "rejected")
+        .map(({ result, state }) => ({
+          user: state.user,
+          error: result.reason.message,
+        })),
+    };
+  }
+
+  async getStatus(userId) {
+    const [state, indexed] = await Promise.all([
+      GmailSyncState.findOne({ user: userId }),
+      GmailMessage.countDocuments({ user: userId }),
+    ]);
+
+    return {
+      status: state ? state.status : "never",
+      historyId: state ? state.historyId : null,
+      lastSyncedAt: state ? state.lastSyncedAt : null,
+      lastFullSyncAt: state ? state.lastFullSyncAt : null,
+      lastError: state ? state.lastError : null,
+      watchExpiration:
+        state && state.watch ? state.watch.expiration || null : null,
+      indexedMessages: indexed,
+    };
+  }
+}
+
+module.exports = new GmailSyncService();
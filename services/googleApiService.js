@@ -1,66 +1,180 @@
 const { google } = require("googleapis");
 const User = require("../models/User");
+const { withRetry } = require("../utils/retry");
+const createLimiter = require("../utils/concurrencyLimiter");
+const { normalizeMessage, normalizeThread } = require("../utils/gmailMessage");
+
+// Upper bound on cached per-user OAuth clients before the oldest are evicted
+const MAX_CACHED_CLIENTS = 500;
+
+// Max Google requests a single user's fan-out calls may have in flight
+const PER_USER_CONCURRENCY = 5;
+
+// Gmail's limit on message ids per batchModify call
+const BATCH_MODIFY_LIMIT = 1000;
+
+// Label changes behind each named bulk action
+const BULK_ACTIONS = {
+  archive: { removeLabelIds: ["INBOX"] },
+  moveToInbox: { addLabelIds: ["INBOX"] },
+  markRead: { removeLabelIds: ["UNREAD"] },
+  markUnread: { addLabelIds: ["UNREAD"] },
+  star: { addLabelIds: ["STARRED"] },
+  unstar: { removeLabelIds: ["STARRED"] },
+};
+
+// Events per page, and most pages per calendar, when reading every event
+// in a range
+const CALENDAR_PAGE_SIZE = 250;
+const CALENDAR_MAX_PAGES = 20;
+
+const eventStart = (event) =>
+  new Date(event.start.dateTime || event.start.date).getTime();
+
+// Merge per-calendar event lists (in `calendarIds` order) into one list
+// ordered by start time, tagging each event with the calendar it came from
+// and that calendar's colours as `sourceCalendar`
+const mergeEventLists = (calendars, calendarIds, eventLists) =>
+  calendarIds
+    .flatMap((calendarId, index) => {
+      const entry = calendars.find((item) =>
+        calendarId === "primary" ? item.primary : item.id === calendarId
+      );
+      const sourceCalendar = {
+        id: entry ? entry.id : calendarId,
+        summary: entry ? entry.summaryOverride || entry.summary : null,
+        backgroundColor: entry ? entry.backgroundColor : null,
+        foregroundColor: entry ? entry.foregroundColor : null,
+      };
+
+      return eventLists[index].map((event) => ({ ...event, sourceCalendar }));
+    })
+    .sort((a, b) => eventStart(a) - eventStart(b));
 
 class GoogleApiService {
   constructor() {
-    this.oauth2Client = new google.auth.OAuth2(
+    // One OAuth2 client per user, keyed by user id. Clients are never shared
+    // between users so concurrent requests cannot cross credentials.
+    this.clients = new Map();
+    // Per-user concurrency limiters for fan-out calls, keyed by user id
+    this.limiters = new Map();
+  }
+
+  // Create a fresh OAuth2 client bound to a single user
+  createClient(userId) {
+    const client = new google.auth.OAuth2(
       process.env.GOOGLE_CLIENT_ID,
       process.env.GOOGLE_CLIENT_SECRET,
       process.env.GOOGLE_REDIRECT_URI
     );
+
+    // googleapis refreshes expired access tokens on its own and emits the
+    // new credentials here, so persist them back to the user's record
+    client.on("tokens", (tokens) => {
+      this.persistTokens(userId, tokens).catch((error) =>
+        console.error("Error persisting refreshed Google tokens:", error)
+      );
+    });
+
+    return client;
+  }
+
+  // Save tokens emitted by an OAuth2 client to the owning user
+  async persistTokens(userId, tokens) {
+    const update = {};
+
+    if (tokens.access_token) {
+      update["googleTokens.accessToken"] = tokens.access_token;
+    }
+    if (tokens.refresh_token) {
+      update["googleTokens.refreshToken"] = tokens.refresh_token;
+    }
+    if (tokens.expiry_date) {
+      update["googleTokens.expiryDate"] = new Date(tokens.expiry_date);
+    }
+
+    if (Object.keys(update).length === 0) {
+      return;
+    }
+
+    await User.findByIdAndUpdate(userId, update);
+
+    const cached = this.clients.get(String(userId));
+    if (cached) {
+      cached.accessToken = tokens.access_token || cached.accessToken;
+      cached.refreshToken = tokens.refresh_token || cached.refreshToken;
+    }
   }
 
-  // Set up OAuth2 client with user tokens
+  // Get an authenticated OAuth2 client scoped to the given user
   async setupClient(userId) {
     try {
       const user = await User.findById(userId).select(
         "+googleTokens.accessToken +googleTokens.refreshToken"
       );
 
-      if (!user || !user.googleTokens.accessToken) {
-        throw new Error("User not found or no Google tokens available");
+      if (!user || !user.googleTokens || !user.googleTokens.accessToken) {
+        const error = new Error("User not found or no Google tokens available");
+        error.code = "GOOGLE_NOT_CONNECTED";
+        throw error;
       }
 
-      this.oauth2Client.setCredentials({
-        access_token: user.googleTokens.accessToken,
-        refresh_token: user.googleTokens.refreshToken,
-      });
+      const key = String(userId);
+      const { accessToken, refreshToken, expiryDate } = user.googleTokens;
+      let cached = this.clients.get(key);
+
+      // Rebuild the client when the stored refresh token changed, e.g. after
+      // the user signed in with Google again
+      if (!cached || cached.refreshToken !== refreshToken) {
+        cached = { client: this.createClient(userId) };
+        this.clients.delete(key);
+        this.clients.set(key, cached);
+        this.evictClients();
+      }
 
-      // Check if token needs refresh
-      if (
-        user.googleTokens.expiryDate &&
-        new Date() > user.googleTokens.expiryDate
-      ) {
-        await this.refreshToken(userId);
+      if (cached.accessToken !== accessToken) {
+        cached.client.setCredentials({
+          access_token: accessToken,
+          refresh_token: refreshToken,
+          expiry_date: expiryDate ? new Date(expiryDate).getTime() : undefined,
+        });
+        cached.accessToken = accessToken;
+        cached.refreshToken = refreshToken;
       }
 
-      return this.oauth2Client;
+      return cached.client;
     } catch (error) {
       console.error("Error setting up Google client:", error);
       throw error;
     }
   }
 
-  // Refresh access token
-  async refreshToken(userId) {
-    try {
-      const user = await User.findById(userId).select(
-        "+googleTokens.refreshToken"
-      );
+  // Drop the oldest cached clients once the cache grows past its limit
+  evictClients() {
+    while (this.clients.size > MAX_CACHED_CLIENTS) {
+      const oldestKey = this.clients.keys().next().value;
+      this.clearClient(oldestKey);
+    }
+  }
 
-      this.oauth2Client.setCredentials({
-        refresh_token: user.googleTokens.refreshToken,
-      });
+  // Forget a user's cached client, e.g. when they disconnect Google
+  clearClient(userId) {
+    const key = String(userId);
+    const cached = this.clients.get(key);
 
-      const { credentials } = await this.oauth2Client.refreshAccessToken();
+    if (cached) {
+      cached.client.removeAllListeners("tokens");
+      this.clients.delete(key);
+    }
+  }
 
-      // Update user's tokens
-      await User.findByIdAndUpdate(userId, {
-        "googleTokens.accessToken": credentials.access_token,
-        "googleTokens.expiryDate": new Date(credentials.expiry_date),
-      });
+  // Force a refresh of the user's access token
+  async refreshToken(userId) {
+    try {
+      const auth = await this.setupClient(userId);
+      const { credentials } = await auth.refreshAccessToken();
 
-      this.oauth2Client.setCredentials(credentials);
+      // The "tokens" listener persists the new credentials
       return credentials;
     } catch (error) {
       console.error("Error refreshing token:", error);
@@ -68,13 +182,38 @@ class GoogleApiService {
     }
   }
 
+  // Run a Google API request through the shared retry policy
+  execute(request, options) {
+    return withRetry(request, options);
+  }
+
+  // Run a request through the user's concurrency limiter and retry policy,
+  // used when one call fans out into many Google requests
+  executeLimited(userId, request, options) {
+    const key = String(userId);
+    let limit = this.limiters.get(key);
+
+    if (!limit) {
+      limit = createLimiter(PER_USER_CONCURRENCY);
+      this.limiters.set(key, limit);
+    }
+
+    return limit(() => this.execute(request, options)).finally(() => {
+      if (limit.pending() === 0) {
+        this.limiters.delete(key);
+      }
+    });
+  }
+
   // Gmail API methods
   async getGmailProfile(userId) {
     try {
-      await this.setupClient(userId);
-      const gmail = google.gmail({ version: "v1", auth: this.oauth2Client });
+      const auth = await this.setupClient(userId);
+      const gmail = google.gmail({ version: "v1", auth });
 
-      const profile = await gmail.users.getProfile({ userId: "me" });
+      const profile = await this.execute(() =>
+        gmail.users.getProfile({ userId: "me" })
+      );
       return profile.data;
     } catch (error) {
       console.error("Error getting Gmail profile:", error);
@@ -82,62 +221,334 @@ class GoogleApiService {
     }
   }
 
-  async getEmails(userId, query = "", maxResults = 10) {
+  // Get one page of messages matching `query`.
+  //
+  // Options:
+  // - format: "raw" returns the untouched Gmail API resources instead of
+  //   normalized messages
+  // - fields: "metadata" fetches headers only (no bodies), which makes list
+  //   pages much cheaper
+  // - pageToken: the nextPageToken of a previous page
+  async getEmailPage(userId, query = "", maxResults = 10, options = {}) {
     try {
-      await this.setupClient(userId);
-      const gmail = google.gmail({ version: "v1", auth: this.oauth2Client });
+      const auth = await this.setupClient(userId);
+      const gmail = google.gmail({ version: "v1", auth });
 
-      const messages = await gmail.users.messages.list({
-        userId: "me",
-        q: query,
-        maxResults,
-      });
+      const messages = await this.execute(() =>
+        gmail.users.messages.list({
+          userId: "me",
+          q: query,
+          maxResults,
+          pageToken: options.pageToken,
+        })
+      );
+
+      const page = {
+        nextPageToken: messages.data.nextPageToken || null,
+        resultSizeEstimate: messages.data.resultSizeEstimate || 0,
+      };
 
       if (!messages.data.messages) {
-        return [];
+        return { emails: [], ...page };
       }
 
       const emailDetails = await Promise.all(
         messages.data.messages.map(async (message) => {
-          const email = await gmail.users.messages.get({
-            userId: "me",
-            id: message.id,
-          });
+          const email = await this.executeLimited(userId, () =>
+            gmail.users.messages.get({
+              userId: "me",
+              id: message.id,
+              format: options.fields === "metadata" ? "metadata" : "full",
+            })
+          );
           return email.data;
         })
       );
 
-      return emailDetails;
+      const emails =
+        options.format === "raw"
+          ? emailDetails
+          : emailDetails.map(normalizeMessage);
+
+      return { emails, ...page };
     } catch (error) {
       console.error("Error getting emails:", error);
       throw error;
     }
   }
 
-  async sendEmail(userId, to, subject, body, isHtml = false) {
+  // Get the first page of messages matching `query` as a plain array. Takes
+  // the same options as getEmailPage
+  async getEmails(userId, query = "", maxResults = 10, options = {}) {
+    const { emails } = await this.getEmailPage(
+      userId,
+      query,
+      maxResults,
+      options
+    );
+    return emails;
+  }
+
+  // List conversations, each summarized from its message metadata
+  async getThreads(userId, query = "", maxResults = 10, pageToken) {
     try {
-      await this.setupClient(userId);
-      const gmail = google.gmail({ version: "v1", auth: this.oauth2Client });
+      const auth = await this.setupClient(userId);
+      const gmail = google.gmail({ version: "v1", auth });
 
-      const email = [
-        `To: ${to}`,
-        `Subject: ${subject}`,
-        `Content-Type: ${isHtml ? "text/html" : "text/plain"}; charset="UTF-8"`,
-        "",
-        body,
-      ].join("\n");
+      const response = await this.execute(() =>
+        gmail.users.threads.list({
+          userId: "me",
+          q: query,
+          maxResults,
+          pageToken,
+        })
+      );
 
-      const encodedEmail = Buffer.from(email)
-        .toString("base64")
-        .replace(/\+/g, "-")
-        .replace(/\//g, "_");
+      const threads = await Promise.all(
+        (response.data.threads || []).map(async (thread) => {
+          const details = await this.executeLimited(userId, () =>
+            gmail.users.threads.get({
+              userId: "me",
+              id: thread.id,
+              format: "metadata",
+              metadataHeaders: ["From", "To", "Cc", "Subject", "Date"],
+            })
+          );
 
-      const result = await gmail.users.messages.send({
-        userId: "me",
-        requestBody: {
-          raw: encodedEmail,
-        },
-      });
+          // The list view only needs the summary, not every message
+          const { messages, ...summary } = normalizeThread(details.data);
+          return summary;
+        })
+      );
+
+      return {
+        threads,
+        nextPageToken: response.data.nextPageToken || null,
+        resultSizeEstimate: response.data.resultSizeEstimate || 0,
+      };
+    } catch (error) {
+      console.error("Error getting threads:", error);
+      throw error;
+    }
+  }
+
+  // Get a full conversation with its messages in chronological order
+  async getThread(userId, threadId) {
+    try {
+      const auth = await this.setupClient(userId);
+      const gmail = google.gmail({ version: "v1", auth });
+
+      const thread = await this.execute(() =>
+        gmail.users.threads.get({
+          userId: "me",
+          id: threadId,
+        })
+      );
+
+      return normalizeThread(thread.data);
+    } catch (error) {
+      console.error("Error getting thread:", error);
+      throw error;
+    }
+  }
+
+  // Get a single message, normalized unless `options.format` is "raw".
+  // `options.fields = "metadata"` skips the bodies
+  async getMessage(userId, messageId, options = {}) {
+    try {
+      const auth = await this.setupClient(userId);
+      const gmail = google.gmail({ version: "v1", auth });
+
+      const message = await this.execute(() =>
+        gmail.users.messages.get({
+          userId: "me",
+          id: messageId,
+          format: options.fields === "metadata" ? "metadata" : "full",
+        })
+      );
+
+      return options.format === "raw"
+        ? message.data
+        : normalizeMessage(message.data);
+    } catch (error) {
+      console.error("Error getting message:", error);
+      throw error;
+    }
+  }
+
+  // Get many messages by id through the user's concurrency limiter. Messages
+  // deleted in the meantime are skipped. Takes the same options as getMessage
+  async getMessages(userId, messageIds, options = {}) {
+    try {
+      const auth = await this.setupClient(userId);
+      const gmail = google.gmail({ version: "v1", auth });
+
+      const messages = await Promise.all(
+        messageIds.map((id) =>
+          this.executeLimited(userId, () =>
+            gmail.users.messages.get({
+              userId: "me",
+              id,
+              format: options.fields === "metadata" ? "metadata" : "full",
+            })
+          ).catch((error) => {
+            if (error.response && error.response.status === 404) {
+              return null;
+            }
+            throw error;
+          })
+        )
+      );
+
+      return messages
+        .filter(Boolean)
+        .map((message) =>
+          options.format === "raw"
+            ? message.data
+            : normalizeMessage(message.data)
+        );
+    } catch (error) {
+      console.error("Error getting messages:", error);
+      throw error;
+    }
+  }
+
+  // Get one page of mailbox changes since `startHistoryId`. Gmail answers
+  // 404 once the start point is too old to be served
+  async getHistory(userId, startHistoryId, pageToken) {
+    try {
+      const auth = await this.setupClient(userId);
+      const gmail = google.gmail({ version: "v1", auth });
+
+      const response = await this.execute(() =>
+        gmail.users.history.list({
+          userId: "me",
+          startHistoryId,
+          pageToken,
+          maxResults: 500,
+          historyTypes: [
+            "messageAdded",
+            "messageDeleted",
+            "labelAdded",
+            "labelRemoved",
+          ],
+        })
+      );
+
+      return {
+        history: response.data.history || [],
+        historyId: response.data.historyId,
+        nextPageToken: response.data.nextPageToken || null,
+      };
+    } catch (error) {
+      console.error("Error getting mailbox history:", error);
+      throw error;
+    }
+  }
+
+  // Ask Gmail to publish mailbox changes to a Cloud Pub/Sub topic. Watches
+  // expire after at most 7 days and must be renewed
+  async watchMailbox(userId, topicName, labelIds = ["INBOX"]) {
+    try {
+      const auth = await this.setupClient(userId);
+      const gmail = google.gmail({ version: "v1", auth });
+
+      const response = await this.execute(() =>
+        gmail.users.watch({
+          userId: "me",
+          requestBody: {
+            topicName,
+            labelIds,
+            labelFilterBehavior: "include",
+          },
+        })
+      );
+
+      return {
+        historyId: response.data.historyId,
+        expiration: new Date(Number(response.data.expiration)),
+      };
+    } catch (error) {
+      console.error("Error watching mailbox:", error);
+      throw error;
+    }
+  }
+
+  async stopWatch(userId) {
+    try {
+      const auth = await this.setupClient(userId);
+      const gmail = google.gmail({ version: "v1", auth });
+
+      await this.execute(() => gmail.users.stop({ userId: "me" }));
+
+      return { success: true, message: "Mailbox watch stopped" };
+    } catch (error) {
+      console.error("Error stopping mailbox watch:", error);
+      throw error;
+    }
+  }
+
+  // Look up an attachment's filename, MIME type and size on its message.
+  // Gmail may hand out a different attachmentId on every fetch, so fall
+  // back to matching on the MIME part id when given
+  async getAttachmentInfo(userId, messageId, attachmentId, partId) {
+    const message = await this.getMessage(userId, messageId);
+
+    const attachment =
+      message.attachments.find((item) => item.id === attachmentId) ||
+      (partId && message.attachments.find((item) => item.partId === partId));
+
+    if (!attachment) {
+      throw new ErrorResponse("Attachment not found on this message", 404);
+    }
+
+    return { ...attachment, id: attachmentId, threadId: message.threadId };
+  }
+
+  // Get the decoded bytes of a message attachment
+  async getAttachment(userId, messageId, attachmentId) {
+    try {
+      const auth = await this.setupClient(userId);
+      const gmail = google.gmail({ version: "v1", auth });
+
+      const attachment = await this.executeLimited(userId, () =>
+        gmail.users.messages.attachments.get({
+          userId: "me",
+          messageId,
+          id: attachmentId,
+        })
+      );
+
+      return decodeBase64Url(attachment.data.data);
+    } catch (error) {
+      console.error("Error getting attachment:", error);
+      throw error;
+    }
+  }
+
+  // Gmail message resource for a message, shared by the send and draft paths
+  toGmailMessage(message) {
+    return {
+      raw: encodeBase64Url(buildMimeMessage(message)),
+      threadId: message.threadId,
+    };
+  }
+
+  // Build and send a MIME message, optionally inside an existing thread.
+  // See buildMimeMessage for the accepted message fields
+  async sendEmail(userId, message) {
+    try {
+      const auth = await this.setupClient(userId);
+      const gmail = google.gmail({ version: "v1", auth });
+
+      const result = await this.execute(
+        () =>
+          gmail.users.messages.send({
+            userId: "me",
+            requestBody: this.toGmailMessage(message),
+          }),
+        { rateLimitsOnly: true }
+      );
 
       return result.data;
     } catch (error) {
@@ -146,44 +557,691 @@ class GoogleApiService {
     }
   }
 
+  // Gmail label methods
+
+  async getLabels(userId) {
+    try {
+      const auth = await this.setupClient(userId);
+      const gmail = google.gmail({ version: "v1", auth });
+
+      const response = await this.execute(() =>
+        gmail.users.labels.list({ userId: "me" })
+      );
+      return response.data.labels || [];
+    } catch (error) {
+      console.error("Error getting labels:", error);
+      throw error;
+    }
+  }
+
+  async createLabel(userId, labelData) {
+    try {
+      const auth = await this.setupClient(userId);
+      const gmail = google.gmail({ version: "v1", auth });
+
+      const response = await this.execute(
+        () =>
+          gmail.users.labels.create({
+            userId: "me",
+            requestBody: {
+              labelListVisibility: "labelShow",
+              messageListVisibility: "show",
+              ...labelData,
+            },
+          }),
+        { rateLimitsOnly: true }
+      );
+      return response.data;
+    } catch (error) {
+      console.error("Error creating label:", error);
+      throw error;
+    }
+  }
+
+  // Id of the user label called `name`, creating the label when missing
+  async getOrCreateLabel(userId, name) {
+    const findLabel = async () =>
+      (await this.getLabels(userId)).find((label) => label.name === name);
+
+    const existing = await findLabel();
+    if (existing) return existing.id;
+
+    try {
+      const label = await this.createLabel(userId, { name });
+      return label.id;
+    } catch (error) {
+      // Created by a concurrent request in the meantime
+      if (error.response && error.response.status === 409) {
+        return (await findLabel()).id;
+      }
+      throw error;
+    }
+  }
+
+  async updateLabel(userId, labelId, labelData) {
+    try {
+      const auth = await this.setupClient(userId);
+      const gmail = google.gmail({ version: "v1", auth });
+
+      const response = await this.execute(() =>
+        gmail.users.labels.patch({
+          userId: "me",
+          id: labelId,
+          requestBody: labelData,
+        })
+      );
+      return response.data;
+    } catch (error) {
+      console.error("Error updating label:", error);
+      throw error;
+    }
+  }
+
+  async deleteLabel(userId, labelId) {
+    try {
+      const auth = await this.setupClient(userId);
+      const gmail = google.gmail({ version: "v1", auth });
+
+      await this.execute(
+        () =>
+          gmail.users.labels.delete({
+            userId: "me",
+            id: labelId,
+          }),
+        { notFoundOnRetry: true }
+      );
+
+      return { success: true, message: "Label deleted successfully" };
+    } catch (error) {
+      console.error("Error deleting label:", error);
+      throw error;
+    }
+  }
+
+  // Collect the ids of every message matching a Gmail search query, up to
+  // `limit`, following nextPageToken across pages
+  async listMessageIds(userId, query, limit = 1000) {
+    try {
+      const auth = await this.setupClient(userId);
+      const gmail = google.gmail({ version: "v1", auth });
+
+      const ids = [];
+      let pageToken;
+
+      do {
+        const response = await this.execute(() =>
+          gmail.users.messages.list({
+            userId: "me",
+            q: query,
+            maxResults: Math.min(500, limit - ids.length),
+            pageToken,
+          })
+        );
+
+        (response.data.messages || []).forEach((message) =>
+          ids.push(message.id)
+        );
+        pageToken = response.data.nextPageToken;
+      } while (pageToken && ids.length < limit);
+
+      return ids;
+    } catch (error) {
+      console.error("Error listing message ids:", error);
+      throw error;
+    }
+  }
+
+  // Apply an action to many messages at once. Messages are picked by
+  // explicit `ids` or by a Gmail search `query`; the change is a named
+  // `action` (see BULK_ACTIONS, plus "trash"/"untrash") and/or explicit
+  // `addLabelIds`/`removeLabelIds`
+  async modifyMessages(userId, selection, changes) {
+    try {
+      const auth = await this.setupClient(userId);
+      const gmail = google.gmail({ version: "v1", auth });
+
+      const ids = selection.ids
+        ? [...new Set(selection.ids)]
+        : await this.listMessageIds(userId, selection.query, selection.limit);
+
+      if (ids.length === 0) {
+        return { matched: 0, modified: 0 };
+      }
+
+      // batchModify cannot move messages to or from the trash
+      if (changes.action === "trash" || changes.action === "untrash") {
+        await Promise.all(
+          ids.map((id) =>
+            this.executeLimited(userId, () =>
+              gmail.users.messages[changes.action]({ userId: "me", id })
+            )
+          )
+        );
+        return { matched: ids.length, modified: ids.length };
+      }
+
+      const preset = BULK_ACTIONS[changes.action] || {};
+      const addLabelIds = [
+        ...(preset.addLabelIds || []),
+        ...(changes.addLabelIds || []),
+      ];
+      const removeLabelIds = [
+        ...(preset.removeLabelIds || []),
+        ...(changes.removeLabelIds || []),
+      ];
+
+      for (let i = 0; i < ids.length; i += BATCH_MODIFY_LIMIT) {
+        const batch = ids.slice(i, i + BATCH_MODIFY_LIMIT);
+        await this.execute(() =>
+          gmail.users.messages.batchModify({
+            userId: "me",
+            requestBody: { ids: batch, addLabelIds, removeLabelIds },
+          })
+        );
+      }
+
+      return { matched: ids.length, modified: ids.length };
+    } catch (error) {
+      console.error("Error modifying messages:", error);
+      throw error;
+    }
+  }
+
+  // Apply a named `action` (see BULK_ACTIONS) and/or explicit label changes
+  // to every message in a thread, including ones that arrive later
+  async modifyThread(userId, threadId, changes) {
+    try {
+      const auth = await this.setupClient(userId);
+      const gmail = google.gmail({ version: "v1", auth });
+
+      const preset = BULK_ACTIONS[changes.action] || {};
+      const response = await this.execute(() =>
+        gmail.users.threads.modify({
+          userId: "me",
+          id: threadId,
+          requestBody: {
+            addLabelIds: [
+              ...(preset.addLabelIds || []),
+              ...(changes.addLabelIds || []),
+            ],
+            removeLabelIds: [
+              ...(preset.removeLabelIds || []),
+              ...(changes.removeLabelIds || []),
+            ],
+          },
+        })
+      );
+
+      return response.data;
+    } catch (error) {
+      console.error("Error modifying thread:", error);
+      throw error;
+    }
+  }
+
+  // Gmail drafts methods
+
+  // Normalize a draft resource into its id plus the normalized message
+  normalizeDraft(draft) {
+    return {
+      id: draft.id,
+      message: draft.message.payload
+        ? normalizeMessage(draft.message)
+        : draft.message,
+    };
+  }
+
+  async createDraft(userId, message) {
+    try {
+      const auth = await this.setupClient(userId);
+      const gmail = google.gmail({ version: "v1", auth });
+
+      const draft = await this.execute(
+        () =>
+          gmail.users.drafts.create({
+            userId: "me",
+            requestBody: { message: this.toGmailMessage(message) },
+          }),
+        { rateLimitsOnly: true }
+      );
+
+      return draft.data;
+    } catch (error) {
+      console.error("Error creating draft:", error);
+      throw error;
+    }
+  }
+
+  async getDrafts(userId, maxResults = 10, pageToken) {
+    try {
+      const auth = await this.setupClient(userId);
+      const gmail = google.gmail({ version: "v1", auth });
+
+      const response = await this.execute(() =>
+        gmail.users.drafts.list({
+          userId: "me",
+          maxResults,
+          pageToken,
+        })
+      );
+
+      const drafts = await Promise.all(
+        (response.data.drafts || []).map(async (draft) => {
+          const details = await this.executeLimited(userId, () =>
+            gmail.users.drafts.get({
+              userId: "me",
+              id: draft.id,
+              format: "metadata",
+            })
+          );
+          return this.normalizeDraft(details.data);
+        })
+      );
+
+      return {
+        drafts,
+        nextPageToken: response.data.nextPageToken || null,
+        resultSizeEstimate: response.data.resultSizeEstimate || 0,
+      };
+    } catch (error) {
+      console.error("Error getting drafts:", error);
+      throw error;
+    }
+  }
+
+  async getDraft(userId, draftId) {
+    try {
+      const auth = await this.setupClient(userId);
+      const gmail = google.gmail({ version: "v1", auth });
+
+      const draft = await this.execute(() =>
+        gmail.users.drafts.get({
+          userId: "me",
+          id: draftId,
+        })
+      );
+
+      return this.normalizeDraft(draft.data);
+    } catch (error) {
+      console.error("Error getting draft:", error);
+      throw error;
+    }
+  }
+
+  // Replace a draft's content with a newly built message
+  async updateDraft(userId, draftId, message) {
+    try {
+      const auth = await this.setupClient(userId);
+      const gmail = google.gmail({ version: "v1", auth });
+
+      const draft = await this.execute(() =>
+        gmail.users.drafts.update({
+          userId: "me",
+          id: draftId,
+          requestBody: {
+            id: draftId,
+            message: this.toGmailMessage(message),
+          },
+        })
+      );
+
+      return draft.data;
+    } catch (error) {
+      console.error("Error updating draft:", error);
+      throw error;
+    }
+  }
+
+  async deleteDraft(userId, draftId) {
+    try {
+      const auth = await this.setupClient(userId);
+      const gmail = google.gmail({ version: "v1", auth });
+
+      await this.execute(
+        () =>
+          gmail.users.drafts.delete({
+            userId: "me",
+            id: draftId,
+          }),
+        { notFoundOnRetry: true }
+      );
+
+      return { success: true, message: "Draft deleted successfully" };
+    } catch (error) {
+      console.error("Error deleting draft:", error);
+      throw error;
+    }
+  }
+
+  async sendDraft(userId, draftId) {
+    try {
+      const auth = await this.setupClient(userId);
+      const gmail = google.gmail({ version: "v1", auth });
+
+      const result = await this.execute(
+        () =>
+          gmail.users.drafts.send({
+            userId: "me",
+            requestBody: { id: draftId },
+          }),
+        { rateLimitsOnly: true }
+      );
+
+      return result.data;
+    } catch (error) {
+      console.error("Error sending draft:", error);
+      throw error;
+    }
+  }
+
+  // Reply (or reply-all) to a message, keeping it in the original thread
+  async replyToMessage(userId, messageId, options) {
+    const [original, profile] = await Promise.all([
+      this.getMessage(userId, messageId),
+      this.getGmailProfile(userId),
+    ]);
+
+    const reply = buildReply(original, options, profile.emailAddress);
+
+    if (!reply.to.length) {
+      throw new ErrorResponse("No recipients left to reply to", 400);
+    }
+
+    return this.sendEmail(userId, reply);
+  }
+
+  // Forward a message along with its attachments
+  async forwardMessage(userId, messageId, options) {
+    const original = await this.getMessage(userId, messageId);
+
+    const attachments = await Promise.all(
+      original.attachments
+        .filter((attachment) => attachment.id)
+        .map(async (attachment) => ({
+          filename: attachment.filename || "attachment",
+          mimeType: attachment.mimeType,
+          content: await this.getAttachment(userId, messageId, attachment.id),
+        }))
+    );
+
+    return this.sendEmail(userId, buildForward(original, options, attachments));
+  }
+
   // Calendar API methods
-  async getCalendarEvents(userId, timeMin, timeMax, maxResults = 20) {
+
+  // Every calendar on the user's calendar list, including shared ones
+  async getCalendarList(userId) {
+    try {
+      const auth = await this.setupClient(userId);
+      const calendar = google.calendar({
+        version: "v3",
+        auth,
+      });
+
+      const response = await this.execute(() => calendar.calendarList.list());
+      return response.data.items || [];
+    } catch (error) {
+      console.error("Error getting calendar list:", error);
+      throw error;
+    }
+  }
+
+  // The time zone set in the user's Google Calendar settings
+  async getCalendarTimeZone(userId) {
     try {
-      await this.setupClient(userId);
+      const auth = await this.setupClient(userId);
       const calendar = google.calendar({
         version: "v3",
-        auth: this.oauth2Client,
+        auth,
       });
 
-      const events = await calendar.events.list({
-        calendarId: "primary",
-        timeMin: timeMin || new Date().toISOString(),
-        timeMax: timeMax,
-        maxResults,
-        singleEvents: true,
-        orderBy: "startTime",
+      const response = await this.execute(() =>
+        calendar.settings.get({ setting: "timezone" })
+      );
+      return response.data.value;
+    } catch (error) {
+      console.error("Error getting calendar time zone:", error);
+      throw error;
+    }
+  }
+
+  // One page of events between timeMin and timeMax, as { events,
+  // nextPageToken }. Recurring events are expanded into their occurrences
+  // unless `singleEvents` is false, in which case each series comes back
+  // once as its master event. `pageToken` is the nextPageToken of a
+  // previous page
+  async getCalendarEventPage(
+    userId,
+    timeMin,
+    timeMax,
+    maxResults = 20,
+    { calendarId = "primary", singleEvents = true, pageToken } = {}
+  ) {
+    try {
+      const auth = await this.setupClient(userId);
+      const calendar = google.calendar({
+        version: "v3",
+        auth,
       });
 
-      return events.data.items || [];
+      const events = await this.execute(() =>
+        calendar.events.list({
+          calendarId,
+          timeMin: timeMin || new Date().toISOString(),
+          timeMax: timeMax,
+          maxResults,
+          singleEvents,
+          pageToken,
+          // Google only orders by start time once series are expanded
+          ...(singleEvents && { orderBy: "startTime" }),
+        })
+      );
+
+      return {
+        events: events.data.items || [],
+        nextPageToken: events.data.nextPageToken || null,
+      };
     } catch (error) {
       console.error("Error getting calendar events:", error);
       throw error;
     }
   }
 
-  async createCalendarEvent(userId, eventData) {
+  // The first page of events as a plain array. Takes the same options as
+  // getCalendarEventPage
+  async getCalendarEvents(userId, timeMin, timeMax, maxResults = 20, options) {
+    const { events } = await this.getCalendarEventPage(
+      userId,
+      timeMin,
+      timeMax,
+      maxResults,
+      options
+    );
+    return events;
+  }
+
+  async getCalendarEvent(userId, eventId, calendarId = "primary") {
+    try {
+      const auth = await this.setupClient(userId);
+      const calendar = google.calendar({
+        version: "v3",
+        auth,
+      });
+
+      const event = await this.execute(() =>
+        calendar.events.get({ calendarId, eventId })
+      );
+
+      return event.data;
+    } catch (error) {
+      console.error("Error getting calendar event:", error);
+      throw error;
+    }
+  }
+
+  // Occurrences of a recurring event, optionally limited to a time range.
+  // `showDeleted` includes cancelled occurrences
+  async getEventInstances(
+    userId,
+    eventId,
+    {
+      timeMin,
+      timeMax,
+      maxResults = 250,
+      showDeleted = false,
+      calendarId = "primary",
+    } = {}
+  ) {
+    try {
+      const auth = await this.setupClient(userId);
+      const calendar = google.calendar({
+        version: "v3",
+        auth,
+      });
+
+      const instances = await this.execute(() =>
+        calendar.events.instances({
+          calendarId,
+          eventId,
+          timeMin,
+          timeMax,
+          maxResults,
+          showDeleted,
+        })
+      );
+
+      return instances.data.items || [];
+    } catch (error) {
+      console.error("Error getting event instances:", error);
+      throw error;
+    }
+  }
+
+  // Events from several calendars merged into one list ordered by start
+  // time. Each event is tagged with the calendar it came from and that
+  // calendar's colours as `sourceCalendar`
+  async getMergedCalendarEvents(
+    userId,
+    calendarIds,
+    timeMin,
+    timeMax,
+    maxResults = 20,
+    { singleEvents = true } = {}
+  ) {
+    const [calendars, ...eventLists] = await Promise.all([
+      this.getCalendarList(userId),
+      ...calendarIds.map((calendarId) =>
+        this.getCalendarEvents(userId, timeMin, timeMax, maxResults, {
+          calendarId,
+          singleEvents,
+        })
+      ),
+    ]);
+
+    return mergeEventLists(calendars, calendarIds, eventLists).slice(
+      0,
+      maxResults
+    );
+  }
+
+  // Like getMergedCalendarEvents, but reads every page of each calendar, up
+  // to `maxPages` pages of CALENDAR_PAGE_SIZE events. Resolves with
+  // { events, truncated }, where `truncated` says some calendar had more
+  async getAllCalendarEvents(
+    userId,
+    calendarIds,
+    timeMin,
+    timeMax,
+    { singleEvents = true, maxPages = CALENDAR_MAX_PAGES } = {}
+  ) {
+    let truncated = false;
+
+    const readCalendar = async (calendarId) => {
+      const events = [];
+      let pageToken;
+      let pages = 0;
+
+      do {
+        const page = await this.getCalendarEventPage(
+          userId,
+          timeMin,
+          timeMax,
+          CALENDAR_PAGE_SIZE,
+          { calendarId, singleEvents, pageToken }
+        );
+        events.push(...page.events);
+        pageToken = page.nextPageToken;
+        pages++;
+      } while (pageToken && pages < maxPages);
+
+      if (pageToken) truncated = true;
+      return events;
+    };
+
+    const [calendars, ...eventLists] = await Promise.all([
+      this.getCalendarList(userId),
+      ...calendarIds.map(readCalendar),
+    ]);
+
+    return {
+      events: mergeEventLists(calendars, calendarIds, eventLists),
+      truncated,
+    };
+  }
+
+  // Busy times of calendars or people (by email) between timeMin and
+  // timeMax. Resolves with freebusy's `calendars` map: id -> { busy, errors }
+  async queryFreeBusy(userId, calendarIds, timeMin, timeMax) {
     try {
-      await this.setupClient(userId);
+      const auth = await this.setupClient(userId);
       const calendar = google.calendar({
         version: "v3",
-        auth: this.oauth2Client,
+        auth,
       });
 
-      const event = await calendar.events.insert({
-        calendarId: "primary",
-        requestBody: eventData,
+      const response = await this.execute(() =>
+        calendar.freebusy.query({
+          requestBody: {
+            timeMin,
+            timeMax,
+            items: calendarIds.map((id) => ({ id })),
+          },
+        })
+      );
+
+      return response.data.calendars || {};
+    } catch (error) {
+      console.error("Error querying free/busy:", error);
+      throw error;
+    }
+  }
+
+  // `sendUpdates` ("all", "externalOnly" or "none") says who Google
+  // emails about the change, no one when unset; the same goes for update,
+  // patch and delete
+  async createCalendarEvent(
+    userId,
+    eventData,
+    calendarId = "primary",
+    sendUpdates
+  ) {
+    try {
+      const auth = await this.setupClient(userId);
+      const calendar = google.calendar({
+        version: "v3",
+        auth,
       });
 
+      const event = await this.execute(
+        () =>
+          calendar.events.insert({
+            calendarId,
+            sendUpdates,
+            requestBody: eventData,
+          }),
+        { rateLimitsOnly: true }
+      );
+
       return event.data;
     } catch (error) {
       console.error("Error creating calendar event:", error);
@@ -191,19 +1249,28 @@ class GoogleApiService {
     }
   }
 
-  async updateCalendarEvent(userId, eventId, eventData) {
+  async updateCalendarEvent(
+    userId,
+    eventId,
+    eventData,
+    calendarId = "primary",
+    sendUpdates
+  ) {
     try {
-      await this.setupClient(userId);
+      const auth = await this.setupClient(userId);
       const calendar = google.calendar({
         version: "v3",
-        auth: this.oauth2Client,
+        auth,
       });
 
-      const event = await calendar.events.update({
-        calendarId: "primary",
-        eventId,
-        requestBody: eventData,
-      });
+      const event = await this.execute(() =>
+        calendar.events.update({
+          calendarId,
+          eventId,
+          sendUpdates,
+          requestBody: eventData,
+        })
+      );
 
       return event.data;
     } catch (error) {
@@ -212,19 +1279,60 @@ class GoogleApiService {
     }
   }
 
-  async deleteCalendarEvent(userId, eventId) {
+  // Change only the fields given in `eventData`
+  async patchCalendarEvent(
+    userId,
+    eventId,
+    eventData,
+    calendarId = "primary",
+    sendUpdates
+  ) {
     try {
-      await this.setupClient(userId);
+      const auth = await this.setupClient(userId);
       const calendar = google.calendar({
         version: "v3",
-        auth: this.oauth2Client,
+        auth,
       });
 
-      await calendar.events.delete({
-        calendarId: "primary",
-        eventId,
+      const event = await this.execute(() =>
+        calendar.events.patch({
+          calendarId,
+          eventId,
+          sendUpdates,
+          requestBody: eventData,
+        })
+      );
+
+      return event.data;
+    } catch (error) {
+      console.error("Error patching calendar event:", error);
+      throw error;
+    }
+  }
+
+  async deleteCalendarEvent(
+    userId,
+    eventId,
+    calendarId = "primary",
+    sendUpdates
+  ) {
+    try {
+      const auth = await this.setupClient(userId);
+      const calendar = google.calendar({
+        version: "v3",
+        auth,
       });
 
+      await this.execute(
+        () =>
+          calendar.events.delete({
+            calendarId,
+            eventId,
+            sendUpdates,
+          }),
+        { notFoundOnRetry: true }
+      );
+
       return { success: true, message: "Event deleted successfully" };
     } catch (error) {
       console.error("Error deleting calendar event:", error);
@@ -238,13 +1346,13 @@ class GoogleApiService {
 
   async getTaskLists(userId) {
     try {
-      await this.setupClient(userId);
+      const auth = await this.setupClient(userId);
       const tasks = google.tasks({
         version: "v1",
-        auth: this.oauth2Client,
+        auth,
       });
 
-      const response = await tasks.tasklists.list();
+      const response = await this.execute(() => tasks.tasklists.list());
       return response.data.items || [];
     } catch (error) {
       console.error("Error fetching task lists:", error);
@@ -254,17 +1362,21 @@ class GoogleApiService {
 
   async createTaskList(userId, title) {
     try {
-      await this.setupClient(userId);
+      const auth = await this.setupClient(userId);
       const tasks = google.tasks({
         version: "v1",
-        auth: this.oauth2Client,
+        auth,
       });
 
-      const response = await tasks.tasklists.insert({
-        requestBody: {
-          title,
-        },
-      });
+      const response = await this.execute(
+        () =>
+          tasks.tasklists.insert({
+            requestBody: {
+              title,
+            },
+          }),
+        { rateLimitsOnly: true }
+      );
 
       return response.data;
     } catch (error) {
@@ -275,10 +1387,10 @@ class GoogleApiService {
 
   async getTasks(userId, tasklistId = "@default", options = {}) {
     try {
-      await this.setupClient(userId);
+      const auth = await this.setupClient(userId);
       const tasks = google.tasks({
         version: "v1",
-        auth: this.oauth2Client,
+        auth,
       });
 
       const queryParams = {
@@ -305,7 +1417,7 @@ class GoogleApiService {
         queryParams.updatedMin = options.updatedMin;
       }
 
-      const response = await tasks.tasks.list(queryParams);
+      const response = await this.execute(() => tasks.tasks.list(queryParams));
       return response.data.items || [];
     } catch (error) {
       console.error("Error fetching tasks:", error);
@@ -315,16 +1427,20 @@ class GoogleApiService {
 
   async createTask(userId, taskData, tasklistId = "@default") {
     try {
-      await this.setupClient(userId);
+      const auth = await this.setupClient(userId);
       const tasks = google.tasks({
         version: "v1",
-        auth: this.oauth2Client,
+        auth,
       });
 
-      const response = await tasks.tasks.insert({
-        tasklist: tasklistId,
-        requestBody: taskData,
-      });
+      const response = await this.execute(
+        () =>
+          tasks.tasks.insert({
+            tasklist: tasklistId,
+            requestBody: taskData,
+          }),
+        { rateLimitsOnly: true }
+      );
 
       return response.data;
     } catch (error) {
@@ -335,10 +1451,10 @@ class GoogleApiService {
 
   async updateTask(userId, taskId, taskData, tasklistId = "@default") {
     try {
-      await this.setupClient(userId);
+      const auth = await this.setupClient(userId);
       const tasks = google.tasks({
         version: "v1",
-        auth: this.oauth2Client,
+        auth,
       });
 
       // Include the task ID in the request body as required by Google Tasks API
@@ -348,11 +1464,13 @@ class GoogleApiService {
       };
 
       // Use requestBody parameter with task ID included in the body
-      const response = await tasks.tasks.update({
-        tasklist: tasklistId,
-        task: taskId,
-        requestBody: taskDataWithId,
-      });
+      const response = await this.execute(() =>
+        tasks.tasks.update({
+          tasklist: tasklistId,
+          task: taskId,
+          requestBody: taskDataWithId,
+        })
+      );
 
       return response.data;
     } catch (error) {
@@ -363,16 +1481,20 @@ class GoogleApiService {
 
   async deleteTask(userId, taskId, tasklistId = "@default") {
     try {
-      await this.setupClient(userId);
+      const auth = await this.setupClient(userId);
       const tasks = google.tasks({
         version: "v1",
-        auth: this.oauth2Client,
+        auth,
       });
 
-      await tasks.tasks.delete({
-        tasklist: tasklistId,
-        task: taskId,
-      });
+      await this.execute(
+        () =>
+          tasks.tasks.delete({
+            tasklist: tasklistId,
+            task: taskId,
+          }),
+        { notFoundOnRetry: true }
+      );
 
       return { success: true, message: "Task deleted successfully" };
     } catch (error) {
@@ -389,10 +1511,10 @@ class GoogleApiService {
     tasklistId = "@default"
   ) {
     try {
-      await this.setupClient(userId);
+      const auth = await this.setupClient(userId);
       const tasks = google.tasks({
         version: "v1",
-        auth: this.oauth2Client,
+        auth,
       });
 
       const moveParams = {
@@ -407,7 +1529,7 @@ class GoogleApiService {
         moveParams.previous = previousId;
       }
 
-      const response = await tasks.tasks.move(moveParams);
+      const response = await this.execute(() => tasks.tasks.move(moveParams));
       return response.data;
     } catch (error) {
       console.error("Error moving task:", error);
@@ -417,15 +1539,17 @@ class GoogleApiService {
 
   async clearTaskList(userId, tasklistId) {
     try {
-      await this.setupClient(userId);
+      const auth = await this.setupClient(userId);
       const tasks = google.tasks({
         version: "v1",
-        auth: this.oauth2Client,
+        auth,
       });
 
-      await tasks.tasks.clear({
-        tasklist: tasklistId,
-      });
+      await this.execute(() =>
+        tasks.tasks.clear({
+          tasklist: tasklistId,
+        })
+      );
 
       return { success: true, message: "Task list cleared successfully" };
     } catch (error) {
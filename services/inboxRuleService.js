@@ -0,0 +1,267 @@
+const InboxRule = require("../models/InboxRule");
+const RuleExecution = require("../models/RuleExecution");
+const User = require("../models/User");
+const googleApiService = require("./googleApiService");
+const emailTaskService = require("./emailTaskService");
+const { getThreadUrl } = require("../utils/gmailMessage");
+const {
+  matchesCondition,
+  matchesRule,
+  needsFullMessage,
+} = require("../utils/inboxRules");
+
+// Labels on mail that rules never run on. Sent mail is skipped so that
+// forwarding or notifying yourself cannot trigger the rule again
+const SKIPPED_LABELS = ["SENT", "DRAFT", "SPAM", "TRASH", "CHAT"];
+
+const HALF_HOUR_MS = 30 * 60 * 1000;
+
+const isIncoming = (message) =>
+  !(message.labelIds || []).some((label) => SKIPPED_LABELS.includes(label));
+
+const receivedAt = (message) =>
+  message.date ? new Date(message.date) : new Date();
+
+class InboxRuleService {
+  // Run the user's enabled rules against newly discovered messages. A rule
+  // only sees mail received after it was created, and runs at most once per
+  // message. `full` says whether the messages already carry their bodies;
+  // when not, they are fetched again if a rule needs them. Resolves with the
+  // executions logged
+  async processMessages(
+    userId,
+    messages,
+    { trigger = "sync", full = false } = {}
+  ) {
+    if (!messages.length) return [];
+
+    const rules = await InboxRule.find({ user: userId, enabled: true }).sort({
+      order: 1,
+      createdAt: 1,
+    });
+    if (!rules.length) return [];
+
+    const done = await RuleExecution.find({
+      user: userId,
+      messageId: { $in: messages.map((message) => message.id) },
+    }).select("rule messageId");
+    const doneKeys = new Set(
+      done.map((execution) => `${execution.rule}:${execution.messageId}`)
+    );
+
+    const pendingRules = (message) =>
+      rules.filter(
+        (rule) =>
+          receivedAt(message) >= rule.createdAt &&
+          !doneKeys.has(`${rule.id}:${message.id}`)
+      );
+
+    let candidates = messages.filter(
+      (message) => isIncoming(message) && pendingRules(message).length
+    );
+    if (!candidates.length) return [];
+
+    if (!full && needsFullMessage(rules)) {
+      candidates = await googleApiService.getMessages(
+        userId,
+        candidates.map((message) => message.id)
+      );
+    }
+
+    const executions = [];
+    for (const message of candidates) {
+      for (const rule of pendingRules(message)) {
+        if (!matchesRule(rule, message)) continue;
+
+        const execution = await this.execute(userId, rule, message, trigger);
+        if (execution) executions.push(execution);
+      }
+    }
+
+    return executions;
+  }
+
+  // Run a rule's actions on one message and log the outcome. The log entry
+  // is written first so a rule can never run twice on a message; resolves
+  // with null when another run got there first
+  async execute(userId, rule, message, trigger) {
+    let execution;
+    try {
+      execution = await RuleExecution.create({
+        user: userId,
+        rule: rule._id,
+        ruleName: rule.name,
+        messageId: message.id,
+        threadId: message.threadId,
+        subject: message.subject,
+        trigger,
+      });
+    } catch (error) {
+      if (error.code === 11000) return null;
+      throw error;
+    }
+
+    for (const action of rule.actions) {
+      try {
+        const outcome = await this.runAction(userId, rule, action, message);
+        execution.actions.push({ type: action.type, ...outcome });
+      } catch (error) {
+        execution.actions.push({
+          type: action.type,
+          status: "failed",
+          error: error.message,
+        });
+      }
+    }
+
+    const failed = execution.actions.filter(
+      (action) => action.status === "failed"
+    ).length;
+    execution.status =
+      failed === 0
+        ? "success"
+        : failed === execution.actions.length
+        ? "failed"
+        : "partial";
+    await execution.save();
+
+    await InboxRule.updateOne(
+      { _id: rule._id },
+      { $inc: { matchCount: 1 }, lastMatchedAt: new Date() }
+    );
+
+    return execution;
+  }
+
+  // Perform one action. Resolves with { status, result }
+  async runAction(userId, rule, action, message) {
+    const params = action.params || {};
+
+    switch (action.type) {
+      case "label": {
+        const labelId =
+          params.labelId ||
+          (await googleApiService.getOrCreateLabel(userId, params.labelName));
+        await googleApiService.modifyMessages(
+          userId,
+          { ids: [message.id] },
+          { addLabelIds: [labelId] }
+        );
+        return { status: "success", result: { labelId } };
+      }
+
+      case "archive":
+        await googleApiService.modifyMessages(
+          userId,
+          { ids: [message.id] },
+          { action: "archive" }
+        );
+        return { status: "success" };
+
+      case "forward": {
+        const sent = await googleApiService.forwardMessage(userId, message.id, {
+          to: params.to,
+          body: params.body,
+        });
+        return { status: "success", result: { messageId: sent.id } };
+      }
+
+      case "createTask": {
+        const { task } = await emailTaskService.createTaskFromMessage(
+          userId,
+          message,
+          params
+        );
+        return { status: "success", result: { taskId: task.id } };
+      }
+
+      case "createCalendarHold": {
+        const event = await googleApiService.createCalendarEvent(
+          userId,
+          this.buildHold(message, params)
+        );
+        return { status: "success", result: { eventId: event.id } };
+      }
+
+      case "notify":
+        return this.notify(userId, rule, message, params);
+
+      default:
+        return { status: "skipped", error: "Unknown action" };
+    }
+  }
+
+  // A tentative event blocking time to deal with the message, starting on
+  // the first half hour at least `offsetMinutes` from now
+  buildHold(message, { offsetMinutes = 60, durationMinutes = 30 }) {
+    const earliest = Date.now() + offsetMinutes * 60 * 1000;
+    const start = new Date(Math.ceil(earliest / HALF_HOUR_MS) * HALF_HOUR_MS);
+    const end = new Date(start.getTime() + durationMinutes * 60 * 1000);
+
+    return {
+      summary: `Hold: ${message.subject || "(no subject)"}`,
+      description: `${message.snippet || ""}\n\n${getThreadUrl(
+        message.threadId
+      )}`.trim(),
+      start: { dateTime: start.toISOString() },
+      end: { dateTime: end.toISOString() },
+      status: "tentative",
+    };
+  }
+
+  // Email the user (or `params.to`) about the match, unless they turned
+  // email notifications off
+  async notify(userId, rule, message, params) {
+    const user = await User.findById(userId);
+    if (user && user.automationSettings.emailNotifications === false) {
+      return { status: "skipped", error: "Email notifications are off" };
+    }
+
+    const to =
+      params.to ||
+      (await googleApiService.getGmailProfile(userId)).emailAddress;
+    const from = message.from
+      ? message.from.name || message.from.email
+      : "Unknown sender";
+
+    const sent = await googleApiService.sendEmail(userId, {
+      to,
+      subject: `[Skyline] ${rule.name}: ${message.subject || "(no subject)"}`,
+      text: [
+        `Your rule "${rule.name}" matched a new message.`,
+        "",
+        `From: ${from}`,
+        `Subject: ${message.subject || "(no subject)"}`,
+        "",
+        message.snippet || "",
+        "",
+        getThreadUrl(message.threadId),
+      ].join("\n"),
+    });
+
+    return { status: "success", result: { messageId: sent.id } };
+  }
+
+  // Check a rule against the user's most recent messages without running
+  // any actions. Resolves with every message and which conditions it met
+  async testRule(userId, rule, count = 20) {
+    const messages = await googleApiService.getEmails(userId, "", count);
+
+    return messages.map((message) => ({
+      messageId: message.id,
+      threadId: message.threadId,
+      from: message.from,
+      subject: message.subject,
+      date: message.date,
+      matched: matchesRule(rule, message),
+      conditions: rule.conditions.map((condition) => ({
+        field: condition.field,
+        operator: condition.operator,
+        value: condition.value,
+        matched: matchesCondition(condition, message),
+      })),
+    }));
+  }
+}
+
+module.exports = new InboxRuleService();
@@ -0,0 +1,362 @@
+const googleApiService = require("./googleApiService");
+const ErrorResponse = require("../utils/errorResponse");
+const { getZonedParts, parseLocalDateTime } = require("../utils/timezone");
+const {
+  buildRecurrence,
+  parseRule,
+  endRecurrenceBefore,
+  continueRecurrence,
+} = require("../utils/recurrence");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields a new series copies from the one it was split from
+const SERIES_FIELDS = [
+  "summary",
+  "description",
+  "location",
+  "colorId",
+  "transparency",
+  "visibility",
+  "attendees",
+  "reminders",
+  "guestsCanInviteOthers",
+  "guestsCanModify",
+  "guestsCanSeeOtherGuests",
+];
+
+const timeOf = (time) => new Date(time.dateTime || time.date).getTime();
+
+// Move an event time by `ms`, whole days for all-day events
+const shiftTime = (time, ms) =>
+  time.dateTime
+    ? { ...time, dateTime: new Date(timeOf(time) + ms).toISOString() }
+    : {
+        ...time,
+        date: new Date(timeOf(time) + Math.round(ms / DAY_MS) * DAY_MS)
+          .toISOString()
+          .slice(0, 10),
+      };
+
+const sameTime = (a, b) => timeOf(a) === timeOf(b);
+
+class RecurringEventService {
+  // Replace a friendly `repeat` payload with Google `recurrence` lines. The
+  // first occurrence is `start` (an event time), read in its own time zone
+  // or `timeZone`
+  withRecurrence(eventData, start, timeZone) {
+    const { repeat, ...rest } = eventData;
+    if (repeat === undefined) return rest;
+
+    const zone = start.timeZone || timeZone;
+    const startDay = start.date
+      ? parseLocalDateTime(start.date)
+      : getZonedParts(new Date(start.dateTime), zone);
+
+    return {
+      ...rest,
+      recurrence: buildRecurrence(repeat, {
+        startDay,
+        allDay: Boolean(start.date),
+        timeZone: zone,
+      }),
+    };
+  }
+
+  createEvent(userId, eventData, { calendarId, timeZone, sendUpdates }) {
+    return googleApiService.createCalendarEvent(
+      userId,
+      this.withRecurrence(eventData, eventData.start, timeZone),
+      calendarId,
+      sendUpdates
+    );
+  }
+
+  // Update an event. Without a scope the event is replaced as before. With
+  // one, only the given fields change, on:
+  // - this: the one occurrence
+  // - following: this occurrence and all later ones, by splitting the
+  //   series in two
+  // - all: the whole series. A new start/end given for an occurrence moves
+  //   every occurrence by the same amount
+  async updateEvent(userId, eventId, eventData, options) {
+    const { scope, calendarId, timeZone, sendUpdates } = options;
+
+    if (!scope) {
+      let start = eventData.start;
+      if (!start && eventData.repeat !== undefined) {
+        ({ start } = await googleApiService.getCalendarEvent(
+          userId,
+          eventId,
+          calendarId
+        ));
+      }
+      return {
+        event: await googleApiService.updateCalendarEvent(
+          userId,
+          eventId,
+          this.withRecurrence(eventData, start, timeZone),
+          calendarId,
+          sendUpdates
+        ),
+      };
+    }
+
+    const event = await googleApiService.getCalendarEvent(
+      userId,
+      eventId,
+      calendarId
+    );
+    const masterId = event.recurringEventId || event.id;
+    const isOccurrence = Boolean(event.recurringEventId);
+
+    // Not part of a series: the scope makes no difference
+    if (!isOccurrence && !event.recurrence) {
+      return {
+        event: await googleApiService.patchCalendarEvent(
+          userId,
+          eventId,
+          this.withRecurrence(
+            eventData,
+            eventData.start || event.start,
+            timeZone
+          ),
+          calendarId,
+          sendUpdates
+        ),
+      };
+    }
+
+    if (scope === "this") {
+      if (!isOccurrence) {
+        throw new ErrorResponse(
+          "Pass the id of an occurrence to change only that occurrence",
+          400
+        );
+      }
+      if (eventData.repeat !== undefined || eventData.recurrence) {
+        throw new ErrorResponse(
+          "A single occurrence cannot have its own repeat rule",
+          400
+        );
+      }
+      return {
+        event: await googleApiService.patchCalendarEvent(
+          userId,
+          eventId,
+          eventData,
+          calendarId,
+          sendUpdates
+        ),
+      };
+    }
+
+    const master = isOccurrence
+      ? await googleApiService.getCalendarEvent(userId, masterId, calendarId)
+      : event;
+    const isFirst =
+      !isOccurrence || sameTime(event.originalStartTime, master.start);
+
+    if (scope === "all" || isFirst) {
+      return {
+        event: await googleApiService.patchCalendarEvent(
+          userId,
+          masterId,
+          this.toSeriesChanges(eventData, event, master, timeZone),
+          calendarId,
+          sendUpdates
+        ),
+      };
+    }
+
+    return this.splitSeries(userId, master, event, eventData, options);
+  }
+
+  // Changes for a whole series from changes made to `event`, one of its
+  // occurrences or the master itself
+  toSeriesChanges(eventData, event, master, timeZone) {
+    const changes = { ...eventData };
+
+    if (event.id !== master.id) {
+      if (eventData.start) {
+        changes.start = shiftTime(
+          master.start,
+          timeOf(eventData.start) - timeOf(event.start)
+        );
+      }
+      if (eventData.end) {
+        changes.end = shiftTime(
+          master.end,
+          timeOf(eventData.end) - timeOf(event.end)
+        );
+      }
+    }
+
+    return this.withRecurrence(
+      changes,
+      changes.start || master.start,
+      timeZone
+    );
+  }
+
+  // "This and following": end the series before `occurrence` and start a
+  // new one from it carrying the changes. The new series is created first
+  // and removed again if the old one can't be cut short, so a failure never
+  // leaves occurrences missing
+  async splitSeries(userId, master, occurrence, eventData, options) {
+    const { calendarId, timeZone, sendUpdates } = options;
+    const originalStart = occurrence.originalStartTime;
+    const duration = timeOf(master.end) - timeOf(master.start);
+
+    // A COUNT rule carries on with the occurrences not yet used up
+    let recurrence = master.recurrence;
+    const counted = (master.recurrence || []).some(
+      (line) => line.startsWith("RRULE:") && parseRule(line).COUNT
+    );
+    if (counted) {
+      const before = await googleApiService.getEventInstances(
+        userId,
+        master.id,
+        {
+          timeMin: new Date(timeOf(master.start)).toISOString(),
+          timeMax: new Date(timeOf(originalStart)).toISOString(),
+          maxResults: 2500,
+          showDeleted: true,
+          calendarId,
+        }
+      );
+      recurrence = continueRecurrence(master.recurrence, before.length);
+    }
+
+    const base = {};
+    SERIES_FIELDS.forEach((field) => {
+      if (master[field] !== undefined) base[field] = master[field];
+    });
+    // The new series starts where the occurrence was originally scheduled
+    const start =
+      eventData.start ||
+      (originalStart.dateTime
+        ? {
+            dateTime: originalStart.dateTime,
+            timeZone: originalStart.timeZone || master.start.timeZone,
+          }
+        : { date: originalStart.date });
+
+    const newSeries = this.withRecurrence(
+      {
+        ...base,
+        recurrence,
+        ...eventData,
+        start,
+        end: eventData.end || shiftTime(start, duration),
+      },
+      start,
+      timeZone
+    );
+
+    const created = await googleApiService.createCalendarEvent(
+      userId,
+      newSeries,
+      calendarId,
+      sendUpdates
+    );
+
+    try {
+      const previous = await googleApiService.patchCalendarEvent(
+        userId,
+        master.id,
+        { recurrence: endRecurrenceBefore(master.recurrence, originalStart) },
+        calendarId,
+        sendUpdates
+      );
+      return { event: created, previous };
+    } catch (error) {
+      await googleApiService
+        .deleteCalendarEvent(userId, created.id, calendarId, sendUpdates)
+        .catch((rollbackError) =>
+          console.error("Error removing split series:", rollbackError)
+        );
+      throw error;
+    }
+  }
+
+  // Delete an event. Without a scope the given id is deleted as before
+  // (an occurrence id cancels that occurrence, a series id the series)
+  async deleteEvent(userId, eventId, { scope, calendarId, sendUpdates }) {
+    if (!scope) {
+      return googleApiService.deleteCalendarEvent(
+        userId,
+        eventId,
+        calendarId,
+        sendUpdates
+      );
+    }
+
+    const event = await googleApiService.getCalendarEvent(
+      userId,
+      eventId,
+      calendarId
+    );
+    const isOccurrence = Boolean(event.recurringEventId);
+    const masterId = event.recurringEventId || event.id;
+
+    if (scope === "this") {
+      if (!isOccurrence && event.recurrence) {
+        throw new ErrorResponse(
+          "Pass the id of an occurrence to delete only that occurrence",
+          400
+        );
+      }
+      await googleApiService.deleteCalendarEvent(
+        userId,
+        eventId,
+        calendarId,
+        sendUpdates
+      );
+      return { success: true, message: "Event deleted successfully" };
+    }
+
+    if (scope === "following" && isOccurrence) {
+      const master = await googleApiService.getCalendarEvent(
+        userId,
+        masterId,
+        calendarId
+      );
+
+      if (!sameTime(event.originalStartTime, master.start)) {
+        await googleApiService.patchCalendarEvent(
+          userId,
+          masterId,
+          {
+            recurrence: endRecurrenceBefore(
+              master.recurrence,
+              event.originalStartTime
+            ),
+          },
+          calendarId,
+          sendUpdates
+        );
+        return {
+          success: true,
+          message: "This and following events deleted successfully",
+        };
+      }
+    }
+
+    await googleApiService.deleteCalendarEvent(
+      userId,
+      masterId,
+      calendarId,
+      sendUpdates
+    );
+    return {
+      success: true,
+      message:
+        isOccurrence || event.recurrence
+          ? "All events in the series deleted successfully"
+          : "Event deleted successfully",
+    };
+  }
+}
+
+module.exports = new RecurringEventService();
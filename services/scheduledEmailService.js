@@ -0,0 +1,101 @@
+const ScheduledEmail = require("../models/ScheduledEmail");
+const googleApiService = require("./googleApiService");
+const { isAuthRevoked } = require("../utils/googleError");
+
+// Give up on an email after this many rate-limited attempts
+const MAX_ATTEMPTS = 5;
+
+// Most emails sent per job run, to stay inside serverless time limits
+const BATCH_SIZE = 50;
+
+// A claim older than this means the process died mid-send
+const STALE_SENDING_MS = 10 * 60 * 1000;
+
+const AUTH_REVOKED_MESSAGE =
+  "Google access was revoked or has expired. Reconnect your Google account and reschedule this email.";
+
+class ScheduledEmailService {
+  // Send every pending email whose time has come. Each email is claimed
+  // atomically (pending -> sending) so parallel runs never double-send
+  async sendDueEmails(now = new Date()) {
+    const summary = { sent: 0, failed: 0, retrying: 0, interrupted: 0 };
+
+    // We can't tell whether an interrupted send went out, so flag it for
+    // the user instead of risking a duplicate
+    const stale = await ScheduledEmail.updateMany(
+      {
+        status: "sending",
+        updatedAt: { $lt: new Date(now.getTime() - STALE_SENDING_MS) },
+      },
+      {
+        status: "failed",
+        failureReason: "error",
+        lastError:
+          "Sending was interrupted. Check your Sent folder before rescheduling.",
+      }
+    );
+    summary.interrupted = stale.modifiedCount || 0;
+
+    for (let i = 0; i < BATCH_SIZE; i++) {
+      const email = await ScheduledEmail.findOneAndUpdate(
+        { status: "pending", sendAt: { $lte: now } },
+        { status: "sending", $inc: { attempts: 1 } },
+        { sort: { sendAt: 1 }, new: true }
+      );
+
+      if (!email) break;
+
+      const outcome = await this.deliver(email);
+      summary[outcome]++;
+    }
+
+    return summary;
+  }
+
+  // Send one claimed email and record the outcome
+  async deliver(email) {
+    try {
+      const result = await googleApiService.sendEmail(email.user, {
+        to: email.to,
+        cc: email.cc,
+        bcc: email.bcc,
+        subject: email.subject,
+        text: email.text,
+        html: email.html,
+        threadId: email.threadId,
+      });
+
+      email.status = "sent";
+      email.sentAt = new Date();
+      email.sentMessageId = result.id;
+      email.failureReason = undefined;
+      email.lastError = undefined;
+      await email.save();
+      return "sent";
+    } catch (error) {
+      email.lastError = error.message;
+
+      if (isAuthRevoked(error)) {
+        email.status = "failed";
+        email.failureReason = "auth_revoked";
+        email.lastError = AUTH_REVOKED_MESSAGE;
+      } else if (error.statusCode === 429 && email.attempts < MAX_ATTEMPTS) {
+        // Over quota: try again once Google says we may
+        email.status = "pending";
+        email.failureReason = "rate_limited";
+        email.sendAt = new Date(Date.now() + (error.retryAfter || 60) * 1000);
+        await email.save();
+        return "retrying";
+      } else {
+        email.status = "failed";
+        email.failureReason =
+          error.statusCode === 429 ? "rate_limited" : "error";
+      }
+
+      await email.save();
+      return "failed";
+    }
+  }
+}
+
+module.exports = new ScheduledEmailService();
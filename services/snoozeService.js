@@ -0,0 +1,149 @@
+const SnoozedMessage = require("../models/SnoozedMessage");
+const googleApiService = require("./googleApiService");
+const { isAuthRevoked } = require("../utils/googleError");
+
+const SNOOZED_LABEL_NAME = "Snoozed";
+
+// Most messages woken per job run
+const BATCH_SIZE = 100;
+
+// A claim older than this means the process died mid-wake
+const STALE_WAKING_MS = 10 * 60 * 1000;
+
+const isNotFound = (error) =>
+  Boolean(error.response && error.response.status === 404);
+
+class SnoozeService {
+  // Take a message's thread out of the inbox until `wakeAt`. Snoozing a
+  // message that is already snoozed moves its wake-up time
+  async snooze(userId, messageId, wakeAt, timeZone = "UTC") {
+    const [message, labelId] = await Promise.all([
+      googleApiService.getMessage(userId, messageId, { fields: "metadata" }),
+      googleApiService.getOrCreateLabel(userId, SNOOZED_LABEL_NAME),
+    ]);
+
+    // Archive the whole conversation, as Gmail does; archiving only this
+    // message would leave the rest of the thread in the inbox
+    await googleApiService.modifyThread(userId, message.threadId, {
+      action: "archive",
+      addLabelIds: [labelId],
+    });
+
+    return SnoozedMessage.findOneAndUpdate(
+      { user: userId, messageId, status: "snoozed" },
+      {
+        threadId: message.threadId,
+        subject: message.subject,
+        from: message.from,
+        labelId,
+        wakeAt,
+        timeZone,
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  // Return a message's thread to the inbox, marked unread when it woke on
+  // schedule
+  async restore(snoozed, { markUnread }) {
+    await googleApiService.modifyThread(snoozed.user, snoozed.threadId, {
+      action: "moveToInbox",
+      addLabelIds: markUnread ? ["UNREAD"] : [],
+      removeLabelIds: snoozed.labelId ? [snoozed.labelId] : [],
+    });
+  }
+
+  // Cancel a snooze and put the message straight back in the inbox.
+  // Resolves with null when the message is not snoozed
+  async cancel(userId, messageId) {
+    const snoozed = await SnoozedMessage.findOneAndUpdate(
+      { user: userId, messageId, status: "snoozed" },
+      { status: "waking" },
+      { new: true }
+    );
+
+    if (!snoozed) return null;
+
+    try {
+      await this.restore(snoozed, { markUnread: false });
+    } catch (error) {
+      // Gone from the mailbox: nothing left to restore
+      if (!isNotFound(error)) {
+        snoozed.status = "snoozed";
+        await snoozed.save();
+        throw error;
+      }
+    }
+
+    snoozed.status = "cancelled";
+    await snoozed.save();
+    return snoozed;
+  }
+
+  // Wake every message whose snooze has run out. Each one is claimed
+  // atomically (snoozed -> waking) so parallel runs don't clash
+  async wakeDueMessages(now = new Date()) {
+    const summary = { woken: 0, failed: 0, retrying: 0 };
+
+    // Waking is idempotent, so an interrupted wake is simply retried
+    await SnoozedMessage.updateMany(
+      {
+        status: "waking",
+        updatedAt: { $lt: new Date(now.getTime() - STALE_WAKING_MS) },
+      },
+      { status: "snoozed" }
+    );
+
+    for (let i = 0; i < BATCH_SIZE; i++) {
+      const snoozed = await SnoozedMessage.findOneAndUpdate(
+        { status: "snoozed", wakeAt: { $lte: now } },
+        { status: "waking" },
+        { sort: { wakeAt: 1 }, new: true }
+      );
+
+      if (!snoozed) break;
+
+      const outcome = await this.wake(snoozed);
+      summary[outcome]++;
+    }
+
+    return summary;
+  }
+
+  // Return one claimed message to the inbox and record the outcome
+  async wake(snoozed) {
+    try {
+      await this.restore(snoozed, { markUnread: true });
+
+      snoozed.status = "woken";
+      snoozed.wokenAt = new Date();
+      snoozed.lastError = undefined;
+      await snoozed.save();
+      return "woken";
+    } catch (error) {
+      snoozed.lastError = error.message;
+
+      if (isAuthRevoked(error)) {
+        snoozed.status = "failed";
+        snoozed.lastError =
+          "Google access was revoked or has expired. Reconnect your Google account; the message is still under the Snoozed label.";
+      } else if (error.statusCode === 429 || error.statusCode === 503) {
+        // Google is throttling us: try again later
+        snoozed.status = "snoozed";
+        snoozed.wakeAt = new Date(Date.now() + (error.retryAfter || 60) * 1000);
+        await snoozed.save();
+        return "retrying";
+      } else if (isNotFound(error)) {
+        snoozed.status = "failed";
+        snoozed.lastError = "The message no longer exists";
+      } else {
+        snoozed.status = "failed";
+      }
+
+      await snoozed.save();
+      return "failed";
+    }
+  }
+}
+
+module.exports = new SnoozeService();
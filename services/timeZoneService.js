@@ -0,0 +1,33 @@
+const User = require("../models/User");
+const googleApiService = require("./googleApiService");
+const { isValidTimeZone } = require("../utils/timezone");
+
+const FALLBACK_TIME_ZONE = "UTC";
+
+class TimeZoneService {
+  // The user's preferred time zone. When they have not set one it is read
+  // from their Google Calendar settings and saved; UTC when that fails
+  async getUserTimeZone(userId) {
+    const user = await User.findById(userId).select("timezone googleId");
+    if (!user) return FALLBACK_TIME_ZONE;
+    if (user.timezone) return user.timezone;
+    if (!user.googleId) return FALLBACK_TIME_ZONE;
+
+    try {
+      const timeZone = await googleApiService.getCalendarTimeZone(userId);
+      if (!isValidTimeZone(timeZone)) return FALLBACK_TIME_ZONE;
+
+      // Don't overwrite a preference set in the meantime
+      await User.updateOne(
+        { _id: userId, timezone: { $exists: false } },
+        { timezone: timeZone }
+      );
+      return timeZone;
+    } catch (error) {
+      console.error("Error reading Google Calendar time zone:", error);
+      return FALLBACK_TIME_ZONE;
+    }
+  }
+}
+
+module.exports = new TimeZoneService();
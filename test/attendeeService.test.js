@@ -0,0 +1,159 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const googleApiService = require("../services/googleApiService");
+const attendeeService = require("../services/attendeeService");
+
+// Stub the Google calls the service makes, recording each patch
+const stubbed = [
+  "getCalendarEvent",
+  "patchCalendarEvent",
+  "getAllCalendarEvents",
+];
+const originals = {};
+let event;
+let patches;
+
+test.before(() => {
+  stubbed.forEach((name) => {
+    originals[name] = googleApiService[name];
+  });
+  googleApiService.getCalendarEvent = async () => event;
+  googleApiService.patchCalendarEvent = async (...args) => {
+    patches.push(args);
+    return { id: args[1], ...args[2] };
+  };
+});
+
+test.after(() => {
+  Object.assign(googleApiService, originals);
+});
+
+test.beforeEach(() => {
+  patches = [];
+  event = {
+    id: "event-1",
+    attendees: [
+      { email: "org@example.com", organizer: true, responseStatus: "accepted" },
+      { email: "Guest@Example.com", responseStatus: "tentative" },
+      {
+        email: "me@example.com",
+        self: true,
+        responseStatus: "needsAction",
+      },
+    ],
+  };
+});
+
+test("merges attendee changes into the guest list", async () => {
+  await attendeeService.updateAttendees(
+    "user-1",
+    "event-1",
+    {
+      add: ["guest@example.com", "new@example.com"],
+      remove: ["ORG@example.com"],
+    },
+    { calendarId: "team", sendUpdates: "all" }
+  );
+
+  assert.strictEqual(patches.length, 1);
+  const [userId, eventId, changes, calendarId, sendUpdates] = patches[0];
+  assert.deepStrictEqual(
+    [userId, eventId, calendarId, sendUpdates],
+    ["user-1", "event-1", "team", "all"]
+  );
+  assert.deepStrictEqual(changes.attendees, [
+    { email: "guest@example.com", responseStatus: "tentative" },
+    { email: "me@example.com", self: true, responseStatus: "needsAction" },
+    { email: "new@example.com" },
+  ]);
+});
+
+test("leaves guests alone when the list is only partly visible", async () => {
+  event.attendeesOmitted = true;
+
+  await assert.rejects(
+    attendeeService.updateAttendees("user-1", "event-1", {
+      add: ["new@example.com"],
+    }),
+    { statusCode: 403 }
+  );
+  assert.strictEqual(patches.length, 0);
+});
+
+test("a response sends only the user's own entry", async () => {
+  await attendeeService.respond("user-1", "event-1", "declined", {
+    comment: "Away that week",
+  });
+
+  const [, , changes, , sendUpdates] = patches[0];
+  assert.strictEqual(sendUpdates, undefined);
+  assert.deepStrictEqual(changes, {
+    attendees: [
+      {
+        email: "me@example.com",
+        self: true,
+        responseStatus: "declined",
+        comment: "Away that week",
+      },
+    ],
+    attendeesOmitted: true,
+  });
+});
+
+test("only guests can respond", async () => {
+  event.attendees = event.attendees.filter((attendee) => !attendee.self);
+  await assert.rejects(
+    attendeeService.respond("user-1", "event-1", "accepted"),
+    { statusCode: 400, message: /not a guest/ }
+  );
+
+  event.attendees.push({
+    email: "me@example.com",
+    self: true,
+    organizer: true,
+  });
+  await assert.rejects(
+    attendeeService.respond("user-1", "event-1", "accepted"),
+    { statusCode: 400, message: /You organize this event/ }
+  );
+  assert.strictEqual(patches.length, 0);
+});
+
+test("pending invitations skip answered, organized and cancelled events", async () => {
+  const self = (overrides) => ({
+    attendees: [{ email: "me@example.com", self: true, ...overrides }],
+  });
+  const events = [
+    { id: "pending", ...self({ responseStatus: "needsAction" }) },
+    { id: "answered", ...self({ responseStatus: "accepted" }) },
+    {
+      id: "organized",
+      ...self({ responseStatus: "needsAction", organizer: true }),
+    },
+    {
+      id: "cancelled",
+      status: "cancelled",
+      ...self({ responseStatus: "needsAction" }),
+    },
+    { id: "no-guests" },
+  ];
+  let request;
+  googleApiService.getAllCalendarEvents = async (...args) => {
+    request = args;
+    return { events, truncated: true };
+  };
+
+  const result = await attendeeService.getPendingInvitations(
+    "user-1",
+    ["primary"],
+    "2026-10-28T00:00:00Z",
+    "2026-11-28T00:00:00Z"
+  );
+
+  assert.deepStrictEqual(
+    result.invitations.map((invitation) => invitation.id),
+    ["pending"]
+  );
+  assert.strictEqual(result.truncated, true);
+  assert.deepStrictEqual(request[4], { singleEvents: false });
+});
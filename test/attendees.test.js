@@ -0,0 +1,98 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  normalizeAttendees,
+  mergeAttendees,
+  findSelf,
+  needsResponse,
+} = require("../utils/attendees");
+
+const existing = [
+  { email: "Ann@Example.com", responseStatus: "accepted", organizer: true },
+  { email: "bob@example.com", responseStatus: "declined", optional: true },
+];
+
+test("normalizes emails and keeps the last entry for each", () => {
+  assert.deepStrictEqual(
+    normalizeAttendees([
+      " Cat@Example.com ",
+      { email: "cat@example.com", optional: 1, displayName: "Cat" },
+      "dan@example.com",
+    ]),
+    [
+      { email: "cat@example.com", optional: true, displayName: "Cat" },
+      { email: "dan@example.com" },
+    ]
+  );
+});
+
+test("adds new guests without duplicating existing ones", () => {
+  const merged = mergeAttendees(existing, {
+    add: ["ANN@example.com", "cat@example.com"],
+  });
+
+  assert.deepStrictEqual(
+    merged.map((attendee) => attendee.email),
+    ["ann@example.com", "bob@example.com", "cat@example.com"]
+  );
+});
+
+test("guests added again keep their response", () => {
+  const [, bob] = mergeAttendees(existing, {
+    add: [{ email: "Bob@Example.com", optional: false }],
+  });
+
+  assert.deepStrictEqual(bob, {
+    email: "bob@example.com",
+    responseStatus: "declined",
+    optional: false,
+  });
+});
+
+test("removes guests whatever the case of their email", () => {
+  const merged = mergeAttendees(existing, { remove: [" ann@EXAMPLE.com"] });
+  assert.deepStrictEqual(
+    merged.map((attendee) => attendee.email),
+    ["bob@example.com"]
+  );
+  assert.deepStrictEqual(mergeAttendees(undefined, { add: ["a@b.co"] }), [
+    { email: "a@b.co" },
+  ]);
+});
+
+const invitation = (self, overrides = {}) => ({
+  status: "confirmed",
+  attendees: [{ email: "org@example.com", organizer: true }, self],
+  ...overrides,
+});
+
+test("finds the user's own entry", () => {
+  const self = { email: "me@example.com", self: true };
+  assert.strictEqual(findSelf(invitation(self)), self);
+  assert.strictEqual(findSelf({}), null);
+});
+
+test("only unanswered invitations from someone else need a response", () => {
+  const pending = { email: "me@example.com", self: true };
+
+  assert.ok(
+    needsResponse(invitation({ ...pending, responseStatus: "needsAction" }))
+  );
+  assert.ok(
+    !needsResponse(invitation({ ...pending, responseStatus: "accepted" }))
+  );
+  assert.ok(
+    !needsResponse(
+      invitation({ ...pending, responseStatus: "needsAction", organizer: true })
+    )
+  );
+  assert.ok(
+    !needsResponse(
+      invitation(
+        { ...pending, responseStatus: "needsAction" },
+        { status: "cancelled" }
+      )
+    )
+  );
+  assert.ok(!needsResponse({ status: "confirmed" }));
+});
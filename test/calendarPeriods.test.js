@@ -0,0 +1,144 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { getPeriodRange } = require("../utils/calendarPeriods");
+
+const range = (period, timeZone, options) => {
+  const { start, end, from, to } = getPeriodRange(period, timeZone, options);
+  return { start: start.toISOString(), end: end.toISOString(), from, to };
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const hours = ({ start, end }) => (new Date(end) - new Date(start)) / HOUR_MS;
+
+test("today starts at local midnight", () => {
+  const now = new Date("2026-03-02T20:00:00Z");
+
+  assert.deepStrictEqual(range("today", "UTC", { now }), {
+    start: "2026-03-02T00:00:00.000Z",
+    end: "2026-03-03T00:00:00.000Z",
+    from: "2026-03-02",
+    to: "2026-03-02",
+  });
+  // Already the next day in Kolkata (UTC+05:30)
+  assert.deepStrictEqual(range("today", "Asia/Kolkata", { now }), {
+    start: "2026-03-02T18:30:00.000Z",
+    end: "2026-03-03T18:30:00.000Z",
+    from: "2026-03-03",
+    to: "2026-03-03",
+  });
+  // Still the previous evening in Los Angeles
+  assert.deepStrictEqual(range("today", "America/Los_Angeles", { now }), {
+    start: "2026-03-02T08:00:00.000Z",
+    end: "2026-03-03T08:00:00.000Z",
+    from: "2026-03-02",
+    to: "2026-03-02",
+  });
+});
+
+test("days are 23 or 25 hours long across DST changes", () => {
+  const springForward = range("today", "America/New_York", {
+    now: new Date("2026-03-08T12:00:00Z"),
+  });
+  assert.strictEqual(springForward.start, "2026-03-08T05:00:00.000Z");
+  assert.strictEqual(springForward.end, "2026-03-09T04:00:00.000Z");
+  assert.strictEqual(hours(springForward), 23);
+
+  const fallBack = range("today", "America/New_York", {
+    now: new Date("2026-11-01T12:00:00Z"),
+  });
+  assert.strictEqual(fallBack.start, "2026-11-01T04:00:00.000Z");
+  assert.strictEqual(fallBack.end, "2026-11-02T05:00:00.000Z");
+  assert.strictEqual(hours(fallBack), 25);
+
+  // Sydney leaves daylight time on 2026-04-05
+  const sydney = range("today", "Australia/Sydney", {
+    now: new Date("2026-04-05T00:00:00Z"),
+  });
+  assert.strictEqual(sydney.start, "2026-04-04T13:00:00.000Z");
+  assert.strictEqual(sydney.end, "2026-04-05T14:00:00.000Z");
+  assert.strictEqual(hours(sydney), 25);
+});
+
+test("upcoming keeps the wall-clock time a week later", () => {
+  // 10:00 in New York, with the DST change inside the week
+  assert.deepStrictEqual(
+    range("upcoming", "America/New_York", {
+      now: new Date("2026-03-05T15:00:00Z"),
+    }),
+    {
+      start: "2026-03-05T15:00:00.000Z",
+      end: "2026-03-12T14:00:00.000Z",
+      from: "2026-03-05",
+      to: "2026-03-12",
+    }
+  );
+});
+
+test("weeks run Monday to Sunday", () => {
+  // Sunday 2026-03-08 belongs to the week starting Monday 2026-03-02
+  const week = range("week", "America/New_York", {
+    now: new Date("2026-03-08T12:00:00Z"),
+  });
+  assert.deepStrictEqual(week, {
+    start: "2026-03-02T05:00:00.000Z",
+    end: "2026-03-09T04:00:00.000Z",
+    from: "2026-03-02",
+    to: "2026-03-08",
+  });
+  assert.strictEqual(hours(week), 7 * 24 - 1);
+
+  assert.deepStrictEqual(
+    range("week", "Europe/London", {
+      date: { year: 2026, month: 3, day: 30 },
+    }),
+    {
+      start: "2026-03-29T23:00:00.000Z",
+      end: "2026-04-05T23:00:00.000Z",
+      from: "2026-03-30",
+      to: "2026-04-05",
+    }
+  );
+});
+
+test("months cover whole calendar months", () => {
+  // London moves to BST on 2026-03-29
+  assert.deepStrictEqual(
+    range("month", "Europe/London", {
+      date: { year: 2026, month: 3, day: 15 },
+    }),
+    {
+      start: "2026-03-01T00:00:00.000Z",
+      end: "2026-03-31T23:00:00.000Z",
+      from: "2026-03-01",
+      to: "2026-03-31",
+    }
+  );
+  assert.deepStrictEqual(
+    range("month", "Asia/Kolkata", {
+      date: { year: 2026, month: 12, day: 31 },
+    }),
+    {
+      start: "2026-11-30T18:30:00.000Z",
+      end: "2026-12-31T18:30:00.000Z",
+      from: "2026-12-01",
+      to: "2026-12-31",
+    }
+  );
+  assert.deepStrictEqual(
+    range("month", "UTC", { date: { year: 2028, month: 2, day: 10 } }).to,
+    "2028-02-29"
+  );
+});
+
+test("the month defaults to the local month of now", () => {
+  // 1 April in Sydney while still 31 March in UTC
+  const month = range("month", "Australia/Sydney", {
+    now: new Date("2026-03-31T14:00:00Z"),
+  });
+  assert.strictEqual(month.from, "2026-04-01");
+  assert.strictEqual(month.to, "2026-04-30");
+});
+
+test("rejects unknown periods", () => {
+  assert.throws(() => getPeriodRange("fortnight", "UTC"), /Unknown/);
+});
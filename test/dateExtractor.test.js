@@ -0,0 +1,130 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { extractEvents } = require("../utils/dateExtractor");
+
+// Wednesday 28 October 2026, 9am in New York. The clocks there go back an
+// hour early on Sunday 1 November
+const referenceDate = new Date("2026-10-28T13:00:00Z");
+const timeZone = "America/New_York";
+
+const extract = (text, options = {}) =>
+  extractEvents(text, { referenceDate, timeZone, ...options });
+
+// Start and end of the only suggestion found in `text`
+const span = (text, options) => {
+  const events = extract(text, options);
+  assert.strictEqual(events.length, 1, `one event in "${text}"`);
+  return [events[0].start, events[0].end];
+};
+
+test("reads a time range with one am/pm", () => {
+  assert.deepStrictEqual(span("Can we meet Friday 2-3pm?"), [
+    "2026-10-30T18:00:00.000Z",
+    "2026-10-30T19:00:00.000Z",
+  ]);
+  assert.deepStrictEqual(span("Free Friday from 10am to 12:30pm"), [
+    "2026-10-30T14:00:00.000Z",
+    "2026-10-30T16:30:00.000Z",
+  ]);
+});
+
+test("a range like 11-1pm starts in the morning", () => {
+  assert.deepStrictEqual(span("Workshop Friday 11-1pm"), [
+    "2026-10-30T15:00:00.000Z",
+    "2026-10-30T17:00:00.000Z",
+  ]);
+});
+
+test("reads noon and midnight", () => {
+  assert.deepStrictEqual(span("Lunch tomorrow at noon?"), [
+    "2026-10-29T16:00:00.000Z",
+    "2026-10-29T16:30:00.000Z",
+  ]);
+  assert.deepStrictEqual(span("Deploy Friday at midnight"), [
+    "2026-10-30T04:00:00.000Z",
+    "2026-10-30T04:30:00.000Z",
+  ]);
+});
+
+test("guesses business hours for a time after at", () => {
+  assert.strictEqual(
+    span("Can we meet Thursday at 1:30?")[0],
+    "2026-10-29T17:30:00.000Z"
+  );
+  assert.strictEqual(
+    span("Call Thursday at 3.")[0],
+    "2026-10-29T19:00:00.000Z"
+  );
+  assert.strictEqual(
+    span("Call Thursday at 9:15")[0],
+    "2026-10-29T13:15:00.000Z"
+  );
+  // A 24 hour reading is taken as written
+  assert.strictEqual(
+    span("Call Thursday at 15:45")[0],
+    "2026-10-29T19:45:00.000Z"
+  );
+});
+
+test("resolves weekdays against the reference day", () => {
+  assert.strictEqual(
+    span("Call Thursday at 3pm")[0],
+    "2026-10-29T19:00:00.000Z"
+  );
+  assert.strictEqual(
+    span("Call this Wednesday at 3pm")[0],
+    "2026-10-28T19:00:00.000Z"
+  );
+  // Already Wednesday, so a plain "Wednesday" is next week's
+  assert.strictEqual(
+    span("Call Wednesday at 3pm")[0],
+    "2026-11-04T20:00:00.000Z"
+  );
+  assert.deepStrictEqual(span("Are you free on Friday?"), [
+    "2026-10-30",
+    "2026-10-31",
+  ]);
+});
+
+test("next Thursday skips the rest of this week", () => {
+  assert.strictEqual(
+    span("Call next Thursday at 3pm")[0],
+    "2026-11-05T20:00:00.000Z"
+  );
+  assert.strictEqual(
+    span("Call next Thursday at 3pm", {
+      referenceDate: new Date("2026-11-02T14:00:00Z"),
+    })[0],
+    "2026-11-12T20:00:00.000Z"
+  );
+});
+
+test("times keep their wall-clock hour across a DST change", () => {
+  assert.strictEqual(
+    span("Call Friday at 10am")[0],
+    "2026-10-30T14:00:00.000Z"
+  );
+  assert.strictEqual(
+    span("Call Monday at 10am")[0],
+    "2026-11-02T15:00:00.000Z"
+  );
+});
+
+test("an overnight range ends at the wall-clock time after a DST change", () => {
+  assert.deepStrictEqual(span("Maintenance Saturday 11pm-2am"), [
+    "2026-11-01T03:00:00.000Z",
+    "2026-11-01T07:00:00.000Z",
+  ]);
+});
+
+test("ignores quoted replies and times already passed", () => {
+  const text = [
+    "Sounds good.",
+    "",
+    "On Tue, Oct 27, 2026 at 4:00 PM Ann <ann@example.com> wrote:",
+    "> Can we meet Friday at 2pm?",
+  ].join("\n");
+
+  assert.deepStrictEqual(extract(text), []);
+  assert.deepStrictEqual(extract("Can we meet today at 8am?"), []);
+});
@@ -0,0 +1,122 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  decodeHeaderValue,
+  parseAddressList,
+  normalizeMessage,
+  hasAttachments,
+} = require("../utils/gmailMessage");
+
+const message = (headers) => ({
+  id: "m1",
+  threadId: "t1",
+  labelIds: ["INBOX", "UNREAD"],
+  payload: {
+    mimeType: "text/plain",
+    headers: Object.entries(headers).map(([name, value]) => ({ name, value })),
+    body: { data: Buffer.from("Hello").toString("base64url") },
+  },
+});
+
+test("decodes RFC 2047 encoded-words", () => {
+  assert.strictEqual(decodeHeaderValue("=?UTF-8?B?SMOpbGxv?="), "Héllo");
+  assert.strictEqual(
+    decodeHeaderValue("=?UTF-8?Q?Caf=C3=A9?= =?UTF-8?Q?_au_lait?="),
+    "Café au lait"
+  );
+});
+
+test("splits address lists on commas outside quotes", () => {
+  assert.deepStrictEqual(
+    parseAddressList('"Doe, Jane" <jane@x.com>, bob@x.com'),
+    [
+      { name: "Doe, Jane", email: "jane@x.com" },
+      { name: null, email: "bob@x.com" },
+    ]
+  );
+});
+
+test("an encoded comma in a display name does not split the address", () => {
+  const normalized = normalizeMessage(
+    message({
+      From: "=?UTF-8?Q?Doe=2C_Jane?= <Jane@X.com>",
+      To: "=?UTF-8?B?RG9lLCBKb2hu?= <john@x.com>, Ann <ann@x.com>",
+      "Reply-To": '"=?UTF-8?Q?Smith=2C_Al?=" <al@x.com>',
+      Subject: "=?UTF-8?Q?Caf=C3=A9?=",
+    })
+  );
+
+  assert.deepStrictEqual(normalized.from, {
+    name: "Doe, Jane",
+    email: "jane@x.com",
+  });
+  assert.deepStrictEqual(normalized.to, [
+    { name: "Doe, John", email: "john@x.com" },
+    { name: "Ann", email: "ann@x.com" },
+  ]);
+  assert.deepStrictEqual(normalized.replyTo, [
+    { name: "Smith, Al", email: "al@x.com" },
+  ]);
+  assert.strictEqual(normalized.subject, "Café");
+  assert.strictEqual(normalized.headers.from, "Doe, Jane <Jane@X.com>");
+});
+
+test("normalizes bodies and flags", () => {
+  const normalized = normalizeMessage(message({ From: "a@x.com" }));
+
+  assert.strictEqual(normalized.body.text, "Hello");
+  assert.strictEqual(normalized.body.html, null);
+  assert.strictEqual(normalized.isUnread, true);
+  assert.strictEqual(normalized.isStarred, false);
+});
+
+test("reads attachments from metadata-only messages", () => {
+  const metadata = (contentType) =>
+    normalizeMessage({
+      id: "m2",
+      payload: {
+        mimeType: contentType.split(";")[0],
+        headers: [{ name: "Content-Type", value: contentType }],
+      },
+    });
+
+  assert.strictEqual(
+    hasAttachments(metadata('multipart/mixed; boundary="b"')),
+    true
+  );
+  assert.strictEqual(
+    hasAttachments(metadata('multipart/alternative; boundary="b"')),
+    false
+  );
+});
+
+test("reads attachments from full messages", () => {
+  const full = (parts) =>
+    normalizeMessage({
+      id: "m3",
+      payload: {
+        mimeType: "multipart/mixed",
+        headers: [{ name: "Content-Type", value: "multipart/mixed" }],
+        parts,
+      },
+    });
+  const text = {
+    mimeType: "text/plain",
+    body: { data: Buffer.from("Hi").toString("base64url") },
+  };
+
+  assert.strictEqual(hasAttachments(full([text])), false);
+  assert.strictEqual(
+    hasAttachments(
+      full([
+        text,
+        {
+          mimeType: "application/pdf",
+          filename: "a.pdf",
+          body: { attachmentId: "att1", size: 10 },
+        },
+      ])
+    ),
+    true
+  );
+});
@@ -0,0 +1,139 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  prefixSubject,
+  replyRecipients,
+  buildReply,
+  buildForward,
+} = require("../utils/gmailReply");
+
+const address = (email, name = null) => ({ name, email });
+
+// A normalized message, as utils/gmailMessage produces it
+const original = (overrides = {}) => ({
+  id: "m1",
+  threadId: "t1",
+  messageId: "<m1@mail.example.com>",
+  references: ["<m0@mail.example.com>"],
+  subject: "Quarterly plan",
+  from: address("alice@example.com", "Alice"),
+  replyTo: [],
+  to: [address("me@example.com"), address("bob@example.com")],
+  cc: [address("carol@example.com")],
+  date: "2024-03-04T10:00:00.000Z",
+  snippet: "",
+  body: { text: "First line\nSecond line", html: "" },
+  ...overrides,
+});
+
+const emails = (addresses) => addresses.map((item) => item.email);
+
+test("adds a prefix only when the subject lacks one", () => {
+  assert.strictEqual(prefixSubject("Re:", "Hello"), "Re: Hello");
+  assert.strictEqual(prefixSubject("Re:", "Re: Hello"), "Re: Hello");
+  assert.strictEqual(prefixSubject("Re:", "RE:Hello"), "RE:Hello");
+  assert.strictEqual(prefixSubject("Fwd:", "Fw: Hello"), "Fw: Hello");
+  assert.strictEqual(prefixSubject("Fwd:", "fwd:Hello"), "fwd:Hello");
+  assert.strictEqual(prefixSubject("Re:", "Fwd: Hello"), "Re: Fwd: Hello");
+  assert.strictEqual(prefixSubject("Re:", ""), "Re:");
+});
+
+test("reply goes to the sender only", () => {
+  const { to, cc } = replyRecipients(original(), "me@example.com", false);
+  assert.deepStrictEqual(emails(to), ["alice@example.com"]);
+  assert.deepStrictEqual(cc, []);
+});
+
+test("reply prefers Reply-To over From", () => {
+  const message = original({ replyTo: [address("list@example.com")] });
+  const { to } = replyRecipients(message, "me@example.com", false);
+  assert.deepStrictEqual(emails(to), ["list@example.com"]);
+});
+
+test("reply-all drops the user's own address", () => {
+  const { to, cc } = replyRecipients(original(), "Me@Example.com", true);
+  assert.deepStrictEqual(emails(to), ["alice@example.com", "bob@example.com"]);
+  assert.deepStrictEqual(emails(cc), ["carol@example.com"]);
+});
+
+test("reply-all lists each address once across To and Cc", () => {
+  const message = original({
+    to: [address("bob@example.com"), address("alice@example.com")],
+    cc: [
+      address("bob@example.com"),
+      address("carol@example.com"),
+      address("me@example.com"),
+      address("carol@example.com"),
+    ],
+  });
+  const { to, cc } = replyRecipients(message, "me@example.com", true);
+  assert.deepStrictEqual(emails(to), ["alice@example.com", "bob@example.com"]);
+  assert.deepStrictEqual(emails(cc), ["carol@example.com"]);
+});
+
+test("replying to your own message goes back to its recipients", () => {
+  const message = original({ from: address("me@example.com") });
+  const { to, cc } = replyRecipients(message, "me@example.com", true);
+  assert.deepStrictEqual(emails(to), ["bob@example.com"]);
+  assert.deepStrictEqual(emails(cc), ["carol@example.com"]);
+});
+
+test("builds a threaded plain text reply that quotes the original", () => {
+  const reply = buildReply(
+    original(),
+    { body: "Sounds good" },
+    "me@example.com"
+  );
+
+  assert.strictEqual(reply.subject, "Re: Quarterly plan");
+  assert.strictEqual(reply.threadId, "t1");
+  assert.deepStrictEqual(reply.headers, {
+    "In-Reply-To": "<m1@mail.example.com>",
+    References: "<m0@mail.example.com> <m1@mail.example.com>",
+  });
+  assert.match(
+    reply.body,
+    /^Sounds good\n\nOn .+, Alice <alice@example.com> wrote:\n/
+  );
+  assert.match(reply.body, /> First line\n> Second line$/);
+});
+
+test("HTML replies escape the attribution", () => {
+  const message = original({ from: address("alice@example.com", "A <b>") });
+  const reply = buildReply(message, { body: "<p>Hi</p>", isHtml: true }, "");
+
+  assert.ok(reply.body.startsWith("<p>Hi</p>"));
+  assert.match(reply.body, /A &lt;b&gt; &lt;alice@example.com&gt; wrote:/);
+  assert.match(
+    reply.body,
+    /<blockquote[^>]*>First line<br>Second line<\/blockquote>/
+  );
+});
+
+test("a message without a Message-ID gets no threading headers", () => {
+  const reply = buildReply(original({ messageId: null }), { body: "" }, "");
+  assert.deepStrictEqual(reply.headers, {});
+});
+
+test("builds a forward with the original headers and attachments", () => {
+  const attachments = [{ filename: "plan.pdf" }];
+  const forward = buildForward(
+    original(),
+    { to: ["dave@example.com"], body: "FYI" },
+    attachments
+  );
+
+  assert.strictEqual(forward.subject, "Fwd: Quarterly plan");
+  assert.deepStrictEqual(forward.to, ["dave@example.com"]);
+  assert.strictEqual(forward.attachments, attachments);
+  assert.strictEqual(forward.threadId, "t1");
+  assert.match(
+    forward.body,
+    /^FYI\n\n---------- Forwarded message ---------\nFrom: Alice <alice@example.com>\n/
+  );
+  assert.match(
+    forward.body,
+    /\nTo: me@example.com, bob@example.com\nCc: carol@example.com\n/
+  );
+  assert.match(forward.body, /First line\nSecond line$/);
+});
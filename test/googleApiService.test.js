@@ -0,0 +1,95 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const User = require("../models/User");
+const googleApiService = require("../services/googleApiService");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Stored tokens per user, read through a stubbed User.findById that answers
+// after a random delay so lookups finish out of order
+const users = {};
+const findById = User.findById;
+
+test.before(() => {
+  User.findById = (id) => ({
+    select: async () => {
+      await sleep(Math.random() * 10);
+      return users[id] || null;
+    },
+  });
+});
+
+test.after(() => {
+  User.findById = findById;
+});
+
+test.beforeEach(() => {
+  [...googleApiService.clients.keys()].forEach((key) =>
+    googleApiService.clearClient(key)
+  );
+});
+
+const connect = (id, accessToken, refreshToken = `refresh-${id}`) => {
+  users[id] = { googleTokens: { accessToken, refreshToken } };
+};
+
+test("interleaved requests never get another user's credentials", async () => {
+  const ids = ["user-a", "user-b", "user-c", "user-d"];
+  ids.forEach((id) => connect(id, `access-${id}`));
+
+  const calls = [];
+  for (let round = 0; round < 25; round++) {
+    ids.forEach((id) => {
+      calls.push(
+        googleApiService
+          .setupClient(id)
+          .then((client) => ({ id, credentials: client.credentials }))
+      );
+    });
+  }
+
+  const results = await Promise.all(calls);
+  results.forEach(({ id, credentials }) => {
+    assert.strictEqual(credentials.access_token, `access-${id}`);
+    assert.strictEqual(credentials.refresh_token, `refresh-${id}`);
+  });
+});
+
+test("each user gets their own client", async () => {
+  connect("user-a", "access-a");
+  connect("user-b", "access-b");
+
+  const [a1, b, a2] = await Promise.all([
+    googleApiService.setupClient("user-a"),
+    googleApiService.setupClient("user-b"),
+    googleApiService.setupClient("user-a"),
+  ]);
+
+  assert.notStrictEqual(a1, b);
+  assert.strictEqual(a1, a2);
+});
+
+test("a new access token for one user leaves others alone", async () => {
+  connect("user-a", "access-a-1");
+  connect("user-b", "access-b-1");
+  await Promise.all([
+    googleApiService.setupClient("user-a"),
+    googleApiService.setupClient("user-b"),
+  ]);
+
+  connect("user-a", "access-a-2");
+  const [a, b] = await Promise.all([
+    googleApiService.setupClient("user-a"),
+    googleApiService.setupClient("user-b"),
+  ]);
+
+  assert.strictEqual(a.credentials.access_token, "access-a-2");
+  assert.strictEqual(b.credentials.access_token, "access-b-1");
+});
+
+test("a user without tokens is rejected", async () => {
+  delete users["user-x"];
+  await assert.rejects(googleApiService.setupClient("user-x"), {
+    code: "GOOGLE_NOT_CONNECTED",
+  });
+});
@@ -0,0 +1,56 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { matchesCondition, matchesRule } = require("../utils/inboxRules");
+
+const message = {
+  from: { name: "Jane Doe", email: "jane@example.com" },
+  to: [{ name: null, email: "me@example.com" }],
+  cc: [],
+  subject: "Invoice #42 for March",
+  snippet: "",
+  body: { text: "Please find the invoice attached.", html: null },
+  labelIds: ["INBOX", "UNREAD"],
+  attachments: [{ filename: "invoice.pdf", inline: false }],
+};
+
+const condition = (field, operator, value) => ({ field, operator, value });
+
+test("compares text case-insensitively", () => {
+  assert.ok(
+    matchesCondition(condition("subject", "contains", "INVOICE"), message)
+  );
+  assert.ok(
+    matchesCondition(condition("subject", "startsWith", "invoice #"), message)
+  );
+  assert.ok(
+    matchesCondition(condition("subject", "endsWith", "march"), message)
+  );
+  assert.ok(
+    matchesCondition(condition("from", "equals", "JANE@example.com"), message)
+  );
+  assert.ok(
+    !matchesCondition(condition("body", "notContains", "invoice"), message)
+  );
+});
+
+test("conditions without an operator use contains", () => {
+  assert.ok(matchesCondition({ field: "from", value: "jane" }, message));
+});
+
+test("matches attachments and labels", () => {
+  assert.ok(matchesCondition(condition("hasAttachment", "", "true"), message));
+  assert.ok(
+    !matchesCondition(condition("hasAttachment", "", "false"), message)
+  );
+  assert.ok(matchesCondition(condition("labels", "equals", "unread"), message));
+});
+
+test("combines conditions with all or any", () => {
+  const conditions = [
+    condition("from", "contains", "jane"),
+    condition("subject", "contains", "receipt"),
+  ];
+
+  assert.ok(!matchesRule({ match: "all", conditions }, message));
+  assert.ok(matchesRule({ match: "any", conditions }, message));
+});
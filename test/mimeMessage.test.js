@@ -0,0 +1,159 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  encodeBase64Url,
+  encodeHeaderValue,
+  formatAddress,
+  buildMimeMessage,
+} = require("../utils/mimeMessage");
+const { decodeHeaderValue } = require("../utils/gmailMessage");
+
+// Header lines of a raw message, up to the first blank line
+const headerLines = (raw) => raw.split("\r\n\r\n")[0].split("\r\n");
+
+const boundaryOf = (raw) => /boundary="([^"]+)"/.exec(raw)[1];
+
+test("builds a plain text message", () => {
+  const raw = buildMimeMessage({
+    to: "jane@x.com",
+    subject: "Hello",
+    text: "Hi Jane",
+  });
+
+  assert.deepStrictEqual(headerLines(raw), [
+    "To: jane@x.com",
+    "Subject: Hello",
+    "MIME-Version: 1.0",
+    'Content-Type: text/plain; charset="UTF-8"',
+    "Content-Transfer-Encoding: base64",
+  ]);
+  assert.strictEqual(
+    Buffer.from(raw.split("\r\n\r\n")[1], "base64").toString(),
+    "Hi Jane"
+  );
+});
+
+test("formats named and multiple recipients", () => {
+  const raw = buildMimeMessage({
+    to: [{ name: "Doe, Jane", email: "jane@x.com" }, "bob@x.com"],
+    cc: "Ann <ann@x.com>",
+    bcc: [{ name: "Zoë", email: "zoe@x.com" }],
+    subject: "Hi",
+    text: "",
+  });
+  const lines = headerLines(raw);
+
+  assert.ok(lines.includes('To: "Doe, Jane" <jane@x.com>, bob@x.com'));
+  assert.ok(lines.includes("Cc: Ann <ann@x.com>"));
+  assert.ok(lines.includes("Bcc: =?UTF-8?B?Wm/Dqw==?= <zoe@x.com>"));
+});
+
+test("encodes non-ASCII subjects as folded encoded-words", () => {
+  const subject = "Réunion — ".repeat(10);
+  const encoded = encodeHeaderValue(subject);
+
+  encoded.split("\r\n ").forEach((word) => {
+    assert.match(word, /^=\?UTF-8\?B\?[A-Za-z0-9+/=]+\?=$/);
+    assert.ok(word.length <= 75);
+  });
+  assert.strictEqual(
+    decodeHeaderValue(encoded.replace(/\r\n /g, " ")),
+    subject
+  );
+});
+
+test("line breaks in header values cannot add headers", () => {
+  const raw = buildMimeMessage({
+    to: [{ name: "Jane\r\nBcc: spy@x.com", email: "jane@x.com" }],
+    cc: "ann@x.com\r\nBcc: spy@x.com",
+    subject: "Hi\r\nBcc: spy@x.com",
+    headers: {
+      "In-Reply-To": "<id@x.com>\nBcc: spy@x.com",
+      "X-Bad\r\nBcc": "spy@x.com",
+    },
+    text: "Hello",
+  });
+  const lines = headerLines(raw);
+
+  assert.ok(lines.every((line) => !/^Bcc:/i.test(line)));
+  assert.ok(lines.includes("Subject: Hi Bcc: spy@x.com"));
+  assert.ok(lines.includes('To: "Jane Bcc: spy@x.com" <jane@x.com>'));
+  assert.ok(lines.includes("In-Reply-To: <id@x.com> Bcc: spy@x.com"));
+});
+
+test("line breaks are removed from non-ASCII values too", () => {
+  const encoded = encodeHeaderValue("Café\r\nBcc: spy@x.com");
+  assert.strictEqual(decodeHeaderValue(encoded), "Café Bcc: spy@x.com");
+  assert.strictEqual(
+    formatAddress({ name: "A\nB", email: "a@x.com\r\n" }),
+    "A B <a@x.com>"
+  );
+});
+
+test("sends HTML with a plain text alternative", () => {
+  const raw = buildMimeMessage({
+    to: "jane@x.com",
+    subject: "Hi",
+    html: "<p>Hello&nbsp;<b>Jane</b></p>",
+  });
+  const boundary = boundaryOf(raw);
+  const parts = raw.split(`--${boundary}`).slice(1, -1);
+
+  assert.ok(
+    headerLines(raw).includes(
+      `Content-Type: multipart/alternative; boundary="${boundary}"`
+    )
+  );
+  assert.strictEqual(parts.length, 2);
+  assert.match(parts[0], /Content-Type: text\/plain/);
+  assert.match(parts[1], /Content-Type: text\/html/);
+
+  const decode = (part) =>
+    Buffer.from(part.split("\r\n\r\n")[1], "base64").toString();
+  assert.strictEqual(decode(parts[0]), "Hello Jane");
+  assert.strictEqual(decode(parts[1]), "<p>Hello&nbsp;<b>Jane</b></p>");
+  assert.ok(raw.trimEnd().endsWith(`--${boundary}--`));
+});
+
+test("attaches files and inline images", () => {
+  const raw = buildMimeMessage({
+    to: "jane@x.com",
+    subject: "Files",
+    html: '<img src="cid:logo">',
+    attachments: [
+      {
+        filename: "report.pdf",
+        mimeType: "application/pdf",
+        content: Buffer.from("%PDF"),
+      },
+      {
+        filename: "logo.png",
+        mimeType: "image/png",
+        contentId: "logo",
+        content: Buffer.from("png"),
+      },
+    ],
+  });
+
+  assert.match(headerLines(raw).join("\n"), /multipart\/mixed/);
+  assert.match(raw, /multipart\/related/);
+  assert.match(raw, /Content-Disposition: attachment; filename="report\.pdf"/);
+  assert.match(raw, /Content-Disposition: inline; filename="logo\.png"/);
+  assert.match(raw, /Content-ID: <logo>/);
+  assert.match(raw, new RegExp(Buffer.from("%PDF").toString("base64")));
+});
+
+test("accepts the older body and isHtml fields", () => {
+  const raw = buildMimeMessage({
+    to: "jane@x.com",
+    subject: "Hi",
+    body: "<b>Hi</b>",
+    isHtml: true,
+  });
+  assert.match(raw, /multipart\/alternative/);
+});
+
+test("encodes raw messages as unpadded base64url", () => {
+  assert.strictEqual(encodeBase64Url("??>"), "Pz8-");
+  assert.strictEqual(encodeBase64Url(Buffer.from([0xfb, 0xff])), "-_8");
+});
@@ -0,0 +1,215 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  buildRecurrence,
+  parseRule,
+  endRecurrenceBefore,
+  continueRecurrence,
+} = require("../utils/recurrence");
+const recurringEventService = require("../services/recurringEventService");
+
+// Series starting Wednesday 28 October 2026 in New York
+const options = {
+  startDay: { year: 2026, month: 10, day: 28 },
+  timeZone: "America/New_York",
+};
+
+const rule = (repeat, overrides = {}) =>
+  buildRecurrence(repeat, { ...options, ...overrides });
+
+const rejects = (repeat, message) =>
+  assert.throws(() => rule(repeat), { statusCode: 400, message });
+
+test("reads repeat phrases", () => {
+  assert.deepStrictEqual(rule("daily"), ["RRULE:FREQ=DAILY"]);
+  assert.deepStrictEqual(rule("every weekday"), [
+    "RRULE:FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR",
+  ]);
+  assert.deepStrictEqual(rule("every 2 weeks on Monday and Thursday"), [
+    "RRULE:FREQ=WEEKLY;BYDAY=MO,TH;INTERVAL=2",
+  ]);
+  assert.deepStrictEqual(rule("Fortnightly on fri"), [
+    "RRULE:FREQ=WEEKLY;BYDAY=FR;INTERVAL=2",
+  ]);
+  assert.deepStrictEqual(rule("every Tuesday, Thursday & Saturday"), [
+    "RRULE:FREQ=WEEKLY;BYDAY=TU,TH,SA",
+  ]);
+  assert.deepStrictEqual(rule("every other month for 6 times"), [
+    "RRULE:FREQ=MONTHLY;INTERVAL=2;COUNT=6",
+  ]);
+  assert.deepStrictEqual(rule("repeats annually"), ["RRULE:FREQ=YEARLY"]);
+});
+
+test("monthly repeats take days of the month", () => {
+  assert.deepStrictEqual(rule("monthly on the 15th"), [
+    "RRULE:FREQ=MONTHLY;BYMONTHDAY=15",
+  ]);
+  assert.deepStrictEqual(rule("every month on the 15th and the 1st"), [
+    "RRULE:FREQ=MONTHLY;BYMONTHDAY=1,15",
+  ]);
+  assert.deepStrictEqual(rule({ frequency: "monthly", monthDays: [31] }), [
+    "RRULE:FREQ=MONTHLY;BYMONTHDAY=31",
+  ]);
+  rejects("monthly on the 32nd", /Could not understand/);
+  rejects("monthly on Monday", /only be used with a weekly repeat/);
+  rejects(
+    { frequency: "weekly", monthDays: [1] },
+    /only be used with a monthly repeat/
+  );
+});
+
+test("reads the object form", () => {
+  assert.deepStrictEqual(
+    rule({ frequency: "weekly", interval: 3, days: ["MO", "wednesday"] }),
+    ["RRULE:FREQ=WEEKLY;BYDAY=MO,WE;INTERVAL=3"]
+  );
+  assert.deepStrictEqual(rule({ frequency: "daily", count: 5 }), [
+    "RRULE:FREQ=DAILY;COUNT=5",
+  ]);
+});
+
+test("rejects repeats that make no sense", () => {
+  rejects("every blue moon", /Could not understand/);
+  rejects({ frequency: "hourly" }, /frequency must be one of/);
+  rejects({ frequency: "daily", interval: 0 }, /interval must be between/);
+  rejects({ frequency: "daily", count: 0 }, /count must be between/);
+  rejects({ frequency: "daily", until: "Dec 1", count: 3 }, /not both/);
+  rejects("daily until 2026-10-01", /before the first occurrence/);
+  rejects("daily until whenever", /Could not understand repeat end date/);
+});
+
+test("ends timed series at the end of the until day in their zone", () => {
+  assert.deepStrictEqual(rule("every weekday until Dec 1"), [
+    "RRULE:FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR;UNTIL=20261202T045959Z",
+  ]);
+  assert.deepStrictEqual(
+    rule("weekly until 2027-06-30", { timeZone: "Europe/London" }),
+    ["RRULE:FREQ=WEEKLY;UNTIL=20270630T225959Z"]
+  );
+});
+
+test("ends all-day series on a date", () => {
+  assert.deepStrictEqual(rule("daily until Dec 1", { allDay: true }), [
+    "RRULE:FREQ=DAILY;UNTIL=20261201",
+  ]);
+});
+
+test("splits a rule into its parts", () => {
+  assert.deepStrictEqual(parseRule("RRULE:FREQ=WEEKLY;BYDAY=MO,TH;COUNT=5"), {
+    FREQ: "WEEKLY",
+    BYDAY: "MO,TH",
+    COUNT: "5",
+  });
+});
+
+test("ending a series drops its count and keeps exceptions", () => {
+  const recurrence = [
+    "RRULE:FREQ=WEEKLY;BYDAY=MO;COUNT=10",
+    "EXDATE;TZID=America/New_York:20261109T100000",
+  ];
+
+  assert.deepStrictEqual(
+    endRecurrenceBefore(recurrence, {
+      dateTime: "2026-11-16T10:00:00-05:00",
+    }),
+    [
+      "RRULE:FREQ=WEEKLY;BYDAY=MO;UNTIL=20261116T145959Z",
+      "EXDATE;TZID=America/New_York:20261109T100000",
+    ]
+  );
+  assert.deepStrictEqual(
+    endRecurrenceBefore(["RRULE:FREQ=DAILY;UNTIL=20261231"], {
+      date: "2026-11-16",
+    }),
+    ["RRULE:FREQ=DAILY;UNTIL=20261115"]
+  );
+});
+
+test("continuing a series reduces its count", () => {
+  const recurrence = ["RRULE:FREQ=DAILY;COUNT=10", "EXDATE:20261103T150000Z"];
+
+  assert.deepStrictEqual(continueRecurrence(recurrence, 4), [
+    "RRULE:FREQ=DAILY;COUNT=6",
+    "EXDATE:20261103T150000Z",
+  ]);
+  assert.deepStrictEqual(continueRecurrence(recurrence, 12), [
+    "RRULE:FREQ=DAILY;COUNT=1",
+    "EXDATE:20261103T150000Z",
+  ]);
+  assert.deepStrictEqual(
+    continueRecurrence(["RRULE:FREQ=DAILY;UNTIL=20261231"], 4),
+    ["RRULE:FREQ=DAILY;UNTIL=20261231"]
+  );
+});
+
+test("moving one occurrence moves the whole series by as much", () => {
+  const timeZone = "America/New_York";
+  const master = {
+    id: "series",
+    start: { dateTime: "2026-10-05T10:00:00-04:00", timeZone },
+    end: { dateTime: "2026-10-05T11:00:00-04:00", timeZone },
+  };
+  const occurrence = {
+    id: "series_20261102T150000Z",
+    start: { dateTime: "2026-11-02T10:00:00-05:00", timeZone },
+    end: { dateTime: "2026-11-02T11:00:00-05:00", timeZone },
+  };
+
+  const changes = recurringEventService.toSeriesChanges(
+    {
+      summary: "Standup",
+      start: { dateTime: "2026-11-02T11:30:00-05:00", timeZone },
+      end: { dateTime: "2026-11-02T12:00:00-05:00", timeZone },
+    },
+    occurrence,
+    master,
+    timeZone
+  );
+
+  assert.deepStrictEqual(changes, {
+    summary: "Standup",
+    start: { dateTime: "2026-10-05T15:30:00.000Z", timeZone },
+    end: { dateTime: "2026-10-05T16:00:00.000Z", timeZone },
+  });
+});
+
+test("all-day series move by whole days", () => {
+  const master = {
+    id: "series",
+    start: { date: "2026-10-05" },
+    end: { date: "2026-10-06" },
+  };
+  const occurrence = {
+    id: "series_20261012",
+    start: { date: "2026-10-12" },
+    end: { date: "2026-10-13" },
+  };
+
+  const changes = recurringEventService.toSeriesChanges(
+    { start: { date: "2026-10-14" }, end: { date: "2026-10-15" } },
+    occurrence,
+    master,
+    "UTC"
+  );
+
+  assert.deepStrictEqual(changes.start, { date: "2026-10-07" });
+  assert.deepStrictEqual(changes.end, { date: "2026-10-08" });
+});
+
+test("series changes turn a repeat into recurrence lines", () => {
+  const master = {
+    id: "series",
+    start: { dateTime: "2026-10-05T10:00:00-04:00" },
+    end: { dateTime: "2026-10-05T11:00:00-04:00" },
+  };
+
+  assert.deepStrictEqual(
+    recurringEventService.toSeriesChanges(
+      { repeat: "weekly until Dec 1" },
+      master,
+      master,
+      "America/New_York"
+    ),
+    { recurrence: ["RRULE:FREQ=WEEKLY;UNTIL=20261202T045959Z"] }
+  );
+});
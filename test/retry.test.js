@@ -0,0 +1,73 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { withRetry } = require("../utils/retry");
+
+const OPTIONS = { baseDelayMs: 1, maxDelayMs: 10 };
+
+const httpError = (status) => {
+  const error = new Error(`HTTP ${status}`);
+  error.response = { status, headers: {} };
+  return error;
+};
+
+// A request that fails with each given status in turn, then resolves
+const failThen = (statuses, value = "ok") => {
+  const calls = { count: 0 };
+  const fn = async () => {
+    const status = statuses[calls.count++];
+    if (status) {
+      throw httpError(status);
+    }
+    return value;
+  };
+  return { fn, calls };
+};
+
+test("retries server errors until the request succeeds", async () => {
+  const { fn, calls } = failThen([503, 500]);
+  assert.strictEqual(await withRetry(fn, OPTIONS), "ok");
+  assert.strictEqual(calls.count, 3);
+});
+
+test("does not retry client errors", async () => {
+  const { fn, calls } = failThen([400]);
+  await assert.rejects(withRetry(fn, OPTIONS), /HTTP 400/);
+  assert.strictEqual(calls.count, 1);
+});
+
+test("rateLimitsOnly leaves server errors alone", async () => {
+  const { fn, calls } = failThen([503]);
+  await assert.rejects(
+    withRetry(fn, { ...OPTIONS, rateLimitsOnly: true }),
+    /HTTP 503/
+  );
+  assert.strictEqual(calls.count, 1);
+});
+
+test("a delete that 404s on retry already went through", async () => {
+  const { fn, calls } = failThen([503, 404]);
+  const result = await withRetry(fn, { ...OPTIONS, notFoundOnRetry: true });
+  assert.strictEqual(result, undefined);
+  assert.strictEqual(calls.count, 2);
+});
+
+test("a delete that 410s on retry already went through", async () => {
+  const { fn } = failThen([502, 410]);
+  await withRetry(fn, { ...OPTIONS, notFoundOnRetry: true });
+});
+
+test("a delete that 404s on the first attempt still fails", async () => {
+  const { fn } = failThen([404]);
+  await assert.rejects(
+    withRetry(fn, { ...OPTIONS, notFoundOnRetry: true }),
+    /HTTP 404/
+  );
+});
+
+test("gives up with a 503 once retries run out", async () => {
+  const { fn, calls } = failThen([503, 503, 503]);
+  await assert.rejects(withRetry(fn, { ...OPTIONS, retries: 2 }), {
+    statusCode: 503,
+  });
+  assert.strictEqual(calls.count, 3);
+});
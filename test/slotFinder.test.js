@@ -0,0 +1,155 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  parseClockTime,
+  mergeIntervals,
+  findSlots,
+} = require("../utils/slotFinder");
+
+// Monday 2026-03-02, before the working day starts
+const now = new Date("2026-03-02T06:00:00Z");
+
+const search = (options) =>
+  findSlots({
+    timeMin: "2026-03-02T00:00:00Z",
+    timeMax: "2026-03-03T00:00:00Z",
+    durationMinutes: 30,
+    now,
+    maxResults: 50,
+    ...options,
+  });
+
+const overlaps = (a, b) =>
+  new Date(a.start) < new Date(b.end) && new Date(b.start) < new Date(a.end);
+
+test("parses clock times", () => {
+  assert.deepStrictEqual(parseClockTime("09:30"), { hour: 9, minute: 30 });
+  assert.deepStrictEqual(parseClockTime("24:00"), { hour: 24, minute: 0 });
+  assert.strictEqual(parseClockTime("24:30"), null);
+  assert.strictEqual(parseClockTime("9am"), null);
+});
+
+test("merges overlapping and touching intervals", () => {
+  const at = (hour) => new Date(Date.UTC(2026, 2, 2, hour));
+  assert.deepStrictEqual(
+    mergeIntervals([
+      { start: at(13), end: at(14) },
+      { start: at(9), end: at(11) },
+      { start: at(10), end: at(12) },
+      { start: at(12), end: at(13) },
+      { start: at(15), end: at(15) },
+    ]),
+    [{ start: at(9), end: at(14) }]
+  );
+});
+
+test("keeps slots inside working hours and away from busy times", () => {
+  const busy = [
+    { start: "2026-03-02T09:00:00Z", end: "2026-03-02T12:00:00Z" },
+    { start: "2026-03-02T13:00:00Z", end: "2026-03-02T16:30:00Z" },
+  ];
+  const slots = search({ busy });
+
+  assert.ok(slots.length > 0);
+  slots.forEach((slot) => {
+    assert.ok(slot.start >= "2026-03-02T09:00:00.000Z");
+    assert.ok(slot.end <= "2026-03-02T17:00:00.000Z");
+    busy.forEach((interval) => assert.ok(!overlaps(slot, interval)));
+  });
+  for (let i = 0; i < slots.length; i++) {
+    for (let j = i + 1; j < slots.length; j++) {
+      assert.ok(!overlaps(slots[i], slots[j]));
+    }
+  }
+});
+
+test("keeps the buffer around busy times", () => {
+  const slots = search({
+    busy: [{ start: "2026-03-02T09:00:00Z", end: "2026-03-02T16:00:00Z" }],
+    bufferMinutes: 15,
+  });
+
+  // Only 16:15-17:00 is left; the half-hour start scores best in it
+  assert.deepStrictEqual(
+    slots.map((slot) => slot.start),
+    ["2026-03-02T16:30:00.000Z"]
+  );
+  assert.deepStrictEqual(
+    search({
+      busy: [{ start: "2026-03-02T09:00:00Z", end: "2026-03-02T16:00:00Z" }],
+      bufferMinutes: 31,
+    }),
+    []
+  );
+});
+
+test("returns nothing when the day is full", () => {
+  assert.deepStrictEqual(
+    search({
+      busy: [{ start: "2026-03-02T08:00:00Z", end: "2026-03-02T18:00:00Z" }],
+    }),
+    []
+  );
+});
+
+test("never offers slots in the past", () => {
+  const slots = search({ now: new Date("2026-03-02T14:10:00Z") });
+  const starts = slots.map((slot) => slot.start).sort();
+
+  assert.ok(starts[0] >= "2026-03-02T14:15:00.000Z");
+  assert.ok(starts[0] <= "2026-03-02T14:30:00.000Z");
+});
+
+test("skips non-working days", () => {
+  // Saturday and Sunday
+  const slots = search({
+    timeMin: "2026-03-07T00:00:00Z",
+    timeMax: "2026-03-09T00:00:00Z",
+  });
+  assert.deepStrictEqual(slots, []);
+});
+
+test("ranks sooner, rounder and roomier slots first", () => {
+  const slots = findSlots({
+    timeMin: "2026-03-02T00:00:00Z",
+    timeMax: "2026-03-04T00:00:00Z",
+    durationMinutes: 60,
+    now,
+    maxResults: 3,
+    busy: [{ start: "2026-03-02T10:15:00Z", end: "2026-03-02T10:45:00Z" }],
+  });
+
+  assert.strictEqual(slots.length, 3);
+  assert.ok(slots[0].score >= slots[1].score);
+  assert.ok(slots[1].score >= slots[2].score);
+  assert.ok(slots[0].start.startsWith("2026-03-02"));
+  assert.match(slots[0].start, /:00:00\.000Z$/);
+});
+
+test("reads working hours in the given time zone across DST", () => {
+  // New York moves to daylight time on Sunday 2026-03-08
+  const slots = findSlots({
+    timeMin: "2026-03-06T00:00:00Z",
+    timeMax: "2026-03-10T00:00:00Z",
+    durationMinutes: 480,
+    now,
+    timeZone: "America/New_York",
+    workingHours: { start: "09:00", end: "17:00", days: [1, 2, 3, 4, 5] },
+  });
+
+  assert.deepStrictEqual(slots.map((slot) => slot.start).sort(), [
+    "2026-03-06T14:00:00.000Z",
+    "2026-03-09T13:00:00.000Z",
+  ]);
+});
+
+test("supports working days that run to midnight", () => {
+  const slots = search({
+    workingHours: { start: "22:00", end: "24:00", days: [1] },
+    durationMinutes: 120,
+  });
+  assert.deepStrictEqual(
+    slots.map(({ start, end }) => [start, end]),
+    [["2026-03-02T22:00:00.000Z", "2026-03-03T00:00:00.000Z"]]
+  );
+});
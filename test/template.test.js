@@ -0,0 +1,86 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  extractVariables,
+  renderTemplate,
+  parseCsv,
+} = require("../utils/template");
+
+test("parses a header row into records", () => {
+  assert.deepStrictEqual(parseCsv("email,firstName\na@example.com,Ann\n"), [
+    { email: "a@example.com", firstName: "Ann" },
+  ]);
+});
+
+test("keeps commas, quotes and newlines inside quoted fields", () => {
+  const csv = [
+    "email,company,note",
+    'a@example.com,"Acme, Inc.","She said ""hi"""',
+    'b@example.com,Beta,"line one',
+    'line two"',
+  ].join("\n");
+
+  assert.deepStrictEqual(parseCsv(csv), [
+    { email: "a@example.com", company: "Acme, Inc.", note: 'She said "hi"' },
+    { email: "b@example.com", company: "Beta", note: "line one\nline two" },
+  ]);
+});
+
+test("accepts CRLF line endings and skips blank lines", () => {
+  const csv = "email,name\r\na@example.com,Ann\r\n\r\nb@example.com,Ben\r\n";
+  assert.deepStrictEqual(parseCsv(csv), [
+    { email: "a@example.com", name: "Ann" },
+    { email: "b@example.com", name: "Ben" },
+  ]);
+});
+
+test("trims cells and fills short rows with empty strings", () => {
+  assert.deepStrictEqual(parseCsv(" email , name \n a@example.com "), [
+    { email: "a@example.com", name: "" },
+  ]);
+});
+
+test("returns no records for a header-only or empty file", () => {
+  assert.deepStrictEqual(parseCsv("email,name\n"), []);
+  assert.deepStrictEqual(parseCsv(""), []);
+});
+
+test("lists each placeholder once", () => {
+  assert.deepStrictEqual(
+    extractVariables("Hi {{ firstName }}, {{firstName|there}} at {{company}}"),
+    ["firstName", "company"]
+  );
+});
+
+test("fills placeholders and falls back to defaults", () => {
+  const { output, missing } = renderTemplate(
+    "Hi {{firstName|there}}, welcome to {{ company }}",
+    { company: "Acme" }
+  );
+
+  assert.strictEqual(output, "Hi there, welcome to Acme");
+  assert.deepStrictEqual(missing, []);
+});
+
+test("reports placeholders with no value or default", () => {
+  const { output, missing } = renderTemplate(
+    "{{greeting}} {{firstName}}, {{firstName}} again",
+    { greeting: "Hello", firstName: "" }
+  );
+
+  assert.strictEqual(output, "Hello ,  again");
+  assert.deepStrictEqual(missing, ["firstName"]);
+});
+
+test("escapes substituted values only for HTML output", () => {
+  const variables = { name: '<b>Ann</b> & "Co"' };
+
+  assert.strictEqual(
+    renderTemplate("<p>{{name}}</p>", variables, { html: true }).output,
+    "<p>&lt;b&gt;Ann&lt;/b&gt; &amp; &quot;Co&quot;</p>"
+  );
+  assert.strictEqual(
+    renderTemplate("{{name}}", variables).output,
+    '<b>Ann</b> & "Co"'
+  );
+});
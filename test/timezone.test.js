@@ -0,0 +1,125 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  isValidTimeZone,
+  getZonedParts,
+  getTimeZoneOffset,
+  zonedTimeToUtc,
+  parseLocalDateTime,
+  resolveDateTime,
+  addDays,
+  getWeekday,
+  formatDay,
+} = require("../utils/timezone");
+
+const iso = (date) => date.toISOString();
+
+test("recognizes IANA time zone names", () => {
+  assert.ok(isValidTimeZone("America/New_York"));
+  assert.ok(isValidTimeZone("UTC"));
+  assert.ok(!isValidTimeZone("Mars/Olympus_Mons"));
+  assert.ok(!isValidTimeZone(""));
+});
+
+test("reads wall-clock fields in a zone", () => {
+  assert.deepStrictEqual(
+    getZonedParts(new Date("2026-03-02T20:00:00Z"), "Asia/Kolkata"),
+    { year: 2026, month: 3, day: 3, hour: 1, minute: 30, second: 0 }
+  );
+});
+
+test("offsets follow DST", () => {
+  const offset = (instant, zone) => getTimeZoneOffset(new Date(instant), zone);
+
+  assert.strictEqual(offset("2026-01-15T12:00:00Z", "America/New_York"), -300);
+  assert.strictEqual(offset("2026-07-15T12:00:00Z", "America/New_York"), -240);
+  assert.strictEqual(offset("2026-07-15T12:00:00Z", "Europe/London"), 60);
+  assert.strictEqual(offset("2026-01-15T12:00:00Z", "Australia/Sydney"), 660);
+  assert.strictEqual(offset("2026-07-15T12:00:00Z", "Australia/Sydney"), 600);
+  assert.strictEqual(offset("2026-07-15T12:00:00Z", "Asia/Kolkata"), 330);
+});
+
+test("converts local times to instants in several zones", () => {
+  const local = { year: 2026, month: 7, day: 1, hour: 9, minute: 0 };
+
+  assert.strictEqual(
+    iso(zonedTimeToUtc(local, "America/New_York")),
+    "2026-07-01T13:00:00.000Z"
+  );
+  assert.strictEqual(
+    iso(zonedTimeToUtc(local, "Europe/London")),
+    "2026-07-01T08:00:00.000Z"
+  );
+  assert.strictEqual(
+    iso(zonedTimeToUtc(local, "Asia/Kolkata")),
+    "2026-07-01T03:30:00.000Z"
+  );
+  assert.strictEqual(
+    iso(zonedTimeToUtc(local, "Australia/Sydney")),
+    "2026-06-30T23:00:00.000Z"
+  );
+});
+
+test("times skipped by spring forward land after the gap", () => {
+  // New York clocks jump from 02:00 to 03:00 on 2026-03-08
+  assert.strictEqual(
+    iso(
+      zonedTimeToUtc(
+        { year: 2026, month: 3, day: 8, hour: 2, minute: 30 },
+        "America/New_York"
+      )
+    ),
+    "2026-03-08T07:30:00.000Z"
+  );
+});
+
+test("times repeated by fall back resolve to the first one", () => {
+  // New York clocks go from 02:00 back to 01:00 on 2026-11-01
+  assert.strictEqual(
+    iso(
+      zonedTimeToUtc(
+        { year: 2026, month: 11, day: 1, hour: 1, minute: 30 },
+        "America/New_York"
+      )
+    ),
+    "2026-11-01T05:30:00.000Z"
+  );
+});
+
+test("resolves request date/times", () => {
+  assert.deepStrictEqual(parseLocalDateTime("2026-05-06T09:15"), {
+    year: 2026,
+    month: 5,
+    day: 6,
+    hour: 9,
+    minute: 15,
+    second: 0,
+  });
+  assert.strictEqual(parseLocalDateTime("2026-05-06T09:15:00Z"), null);
+
+  assert.strictEqual(
+    iso(resolveDateTime("2026-05-06T09:00", "Europe/London")),
+    "2026-05-06T08:00:00.000Z"
+  );
+  // An explicit offset wins over the zone
+  assert.strictEqual(
+    iso(resolveDateTime("2026-05-06T09:00:00-04:00", "Europe/London")),
+    "2026-05-06T13:00:00.000Z"
+  );
+  assert.strictEqual(resolveDateTime("next tuesday", "UTC"), null);
+});
+
+test("does calendar day arithmetic", () => {
+  assert.deepStrictEqual(addDays({ year: 2026, month: 12, day: 31 }, 1), {
+    year: 2027,
+    month: 1,
+    day: 1,
+  });
+  assert.deepStrictEqual(addDays({ year: 2028, month: 3, day: 1 }, -1), {
+    year: 2028,
+    month: 2,
+    day: 29,
+  });
+  assert.strictEqual(getWeekday({ year: 2026, month: 3, day: 8 }), 0);
+  assert.strictEqual(formatDay({ year: 2026, month: 3, day: 8 }), "2026-03-08");
+});
@@ -0,0 +1,73 @@
+// Attendee lists for Google Calendar events. Attendees may be given as a
+// plain email or as { email, optional, displayName }.
+
+const RSVP_RESPONSES = ["accepted", "declined", "tentative"];
+
+// Who Google emails about a change: everyone, only guests outside the
+// user's domain, or nobody
+const SEND_UPDATES = ["all", "externalOnly", "none"];
+
+// "Ada@Example.com" or { email, optional, displayName } -> Google attendee
+const toAttendee = (value) => {
+  if (typeof value === "string") return { email: value.trim().toLowerCase() };
+
+  const attendee = { email: value.email.trim().toLowerCase() };
+  if (value.optional !== undefined) attendee.optional = Boolean(value.optional);
+  if (value.displayName) attendee.displayName = value.displayName;
+  return attendee;
+};
+
+// Normalize a list of attendees, keeping the last entry for each email
+const normalizeAttendees = (values) => {
+  const byEmail = new Map();
+  [].concat(values || []).forEach((value) => {
+    const attendee = toAttendee(value);
+    byEmail.set(attendee.email, attendee);
+  });
+  return [...byEmail.values()];
+};
+
+// Apply additions and removals to an event's attendees. People already
+// invited keep their response; `add` can also update optional/displayName
+const mergeAttendees = (existing, { add = [], remove = [] }) => {
+  const removed = new Set(remove.map((email) => email.trim().toLowerCase()));
+  const merged = new Map(
+    (existing || [])
+      .filter((attendee) => !removed.has(attendee.email.toLowerCase()))
+      .map((attendee) => [attendee.email.toLowerCase(), attendee])
+  );
+
+  normalizeAttendees(add).forEach((attendee) => {
+    merged.set(attendee.email, {
+      ...merged.get(attendee.email),
+      ...attendee,
+    });
+  });
+
+  return [...merged.values()];
+};
+
+// The current user's entry on an event, marked `self` by Google
+const findSelf = (event) =>
+  (event.attendees || []).find((attendee) => attendee.self) || null;
+
+// Invitations the user still has to answer: they are a guest, not the
+// organizer, and have not responded
+const needsResponse = (event) => {
+  const self = findSelf(event);
+  return Boolean(
+    self &&
+      !self.organizer &&
+      self.responseStatus === "needsAction" &&
+      event.status !== "cancelled"
+  );
+};
+
+module.exports = {
+  RSVP_RESPONSES,
+  SEND_UPDATES,
+  normalizeAttendees,
+  mergeAttendees,
+  findSelf,
+  needsResponse,
+};
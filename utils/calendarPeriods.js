@@ -0,0 +1,89 @@
+// Boundaries of the calendar views (today, upcoming, week, month) in a
+// user's time zone. Days start at local midnight, so a day is 23 or 25 hours
+// long across a DST change rather than a fixed 24.
+
+const {
+  getZonedParts,
+  zonedTimeToUtc,
+  addDays,
+  getWeekday,
+  formatDay,
+} = require("./timezone");
+
+const PERIODS = ["today", "upcoming", "week", "month"];
+
+// How far ahead the upcoming view looks
+const UPCOMING_DAYS = 7;
+
+const startOfDay = (day, timeZone) =>
+  zonedTimeToUtc({ ...day, hour: 0, minute: 0 }, timeZone);
+
+// Start (inclusive) and end (exclusive) of `period` in `timeZone`.
+//
+// - today: the local day containing `now`
+// - upcoming: `now` until the same wall-clock time seven days later
+// - week: Monday to Monday around `date`
+// - month: the calendar month containing `date`
+//
+// `date` ({ year, month, day }) picks the week or month and defaults to the
+// local day containing `now`. Returns { start, end, from, to } where
+// from/to are the first and last local days as "YYYY-MM-DD"
+const getPeriodRange = (period, timeZone, { now = new Date(), date } = {}) => {
+  const local = getZonedParts(now, timeZone);
+  const today = { year: local.year, month: local.month, day: local.day };
+  const anchor = date || today;
+
+  let firstDay;
+  let nextDay;
+
+  switch (period) {
+    case "today":
+      firstDay = today;
+      nextDay = addDays(today, 1);
+      break;
+
+    case "upcoming": {
+      const later = addDays(today, UPCOMING_DAYS);
+      return {
+        start: now,
+        end: zonedTimeToUtc(
+          {
+            ...later,
+            hour: local.hour,
+            minute: local.minute,
+            second: local.second,
+          },
+          timeZone
+        ),
+        from: formatDay(today),
+        to: formatDay(later),
+      };
+    }
+
+    case "week":
+      // Weeks start on Monday
+      firstDay = addDays(anchor, -((getWeekday(anchor) + 6) % 7));
+      nextDay = addDays(firstDay, 7);
+      break;
+
+    case "month":
+      firstDay = { year: anchor.year, month: anchor.month, day: 1 };
+      nextDay =
+        anchor.month === 12
+          ? { year: anchor.year + 1, month: 1, day: 1 }
+          : { year: anchor.year, month: anchor.month + 1, day: 1 };
+      break;
+
+    default:
+      throw new Error(`Unknown calendar period "${period}"`);
+  }
+
+  return {
+    start: startOfDay(firstDay, timeZone),
+    end: startOfDay(nextDay, timeZone),
+    from: formatDay(firstDay),
+    to: formatDay(addDays(nextDay, -1)),
+  };
+};
+
+module.exports = { PERIODS, getPeriodRange };
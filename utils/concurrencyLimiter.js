@@ -0,0 +1,35 @@
+// Limit how many async tasks run at once; extra tasks wait in FIFO order
+const createLimiter = (concurrency) => {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) {
+      return;
+    }
+
+    active++;
+    const { fn, resolve, reject } = queue.shift();
+
+    Promise.resolve()
+      .then(fn)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  const limit = (fn) =>
+    new Promise((resolve, reject) => {
+      queue.push({ fn, resolve, reject });
+      next();
+    });
+
+  // Number of tasks running or waiting
+  limit.pending = () => active + queue.length;
+
+  return limit;
+};
+
+module.exports = createLimiter;
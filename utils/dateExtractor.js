@@ -0,0 +1,497 @@
+// Deterministic extraction of dates and times from email text, e.g.
+// "can we meet Thursday at 3pm?" or "free on March 5th from 2-3pm".
+//
+// Dates and times are found separately, then a date is paired with a time
+// when both sit close together in the same sentence. Relative expressions
+// are resolved against a reference instant (normally when the email was
+// sent) in the given time zone.
+//
+// Conventions:
+// - A bare weekday ("Thursday") means the next one after the reference day;
+//   "this Thursday" may be the reference day itself; "next Thursday" skips
+//   to the following week when the plain weekday would still fall in the
+//   reference week (weeks start on Monday)
+// - Month/day dates without a year fall on or after the reference day
+// - Numeric dates are read month first (3/5 is March 5)
+// - "at 3" or "at 1:30" without am/pm is read as business hours: 8-11 am,
+//   12-7 pm. Bare "1:30" with no "at" is read as a 24 hour clock
+
+const {
+  getZonedParts,
+  zonedTimeToUtc,
+  addDays,
+  getWeekday,
+  formatDay,
+} = require("./timezone");
+
+// Most characters allowed between a date and the time that goes with it
+const MAX_PAIR_GAP = 30;
+
+const WEEKDAYS = {
+  sunday: 0,
+  sun: 0,
+  monday: 1,
+  mon: 1,
+  tuesday: 2,
+  tues: 2,
+  tue: 2,
+  wednesday: 3,
+  wed: 3,
+  thursday: 4,
+  thurs: 4,
+  thur: 4,
+  thu: 4,
+  friday: 5,
+  fri: 5,
+  saturday: 6,
+  sat: 6,
+};
+
+const MONTHS = {
+  january: 1,
+  jan: 1,
+  february: 2,
+  feb: 2,
+  march: 3,
+  mar: 3,
+  april: 4,
+  apr: 4,
+  may: 5,
+  june: 6,
+  jun: 6,
+  july: 7,
+  jul: 7,
+  august: 8,
+  aug: 8,
+  september: 9,
+  sept: 9,
+  sep: 9,
+  october: 10,
+  oct: 10,
+  november: 11,
+  nov: 11,
+  december: 12,
+  dec: 12,
+};
+
+const MONTH_NAMES = Object.keys(MONTHS)
+  .sort((a, b) => b.length - a.length)
+  .join("|");
+const ORDINAL = "(?:st|nd|rd|th)?";
+const MERIDIEM = "(am|pm|a\\.m\\.|p\\.m\\.)";
+
+// Words that suggest the sender is proposing a meeting
+const MEETING_WORDS =
+  /\b(meet|meeting|call|chat|sync|catch up|catch-up|talk|lunch|coffee|dinner|breakfast|available|availability|free|works for you|work for you|schedule|appointment|interview|demo)\b/i;
+
+// Sentence boundaries: end punctuation followed by space, or a line break
+const SENTENCE_BREAK = /[.?!](\s|$)|\n/;
+
+const compareDays = (a, b) =>
+  Date.UTC(a.year, a.month - 1, a.day) - Date.UTC(b.year, b.month - 1, b.day);
+
+const isValidDay = ({ year, month, day }) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+
+// Turn a 12 hour clock reading into 24 hour
+const to24Hour = (hour, meridiem) => {
+  if (!meridiem) return hour;
+  const pm = meridiem[0].toLowerCase() === "p";
+  if (hour === 12) return pm ? 12 : 0;
+  return pm ? hour + 12 : hour;
+};
+
+// Read "at 3" as business hours
+const guessMeridiemHour = (hour) => (hour >= 1 && hour <= 7 ? hour + 12 : hour);
+
+// Month/day without a year: the first occurrence on or after `today`
+const resolveMonthDay = (month, day, year, today) => {
+  if (year) return { year, month, day };
+  const candidate = { year: today.year, month, day };
+  return compareDays(candidate, today) < 0
+    ? { year: today.year + 1, month, day }
+    : candidate;
+};
+
+const resolveWeekday = (target, modifier, today) => {
+  const current = getWeekday(today);
+  let offset = (target - current + 7) % 7;
+
+  if (modifier === "this") return addDays(today, offset);
+  if (offset === 0) offset = 7;
+
+  if (modifier === "next") {
+    // Days left in the reference week, counting Sunday as its last day
+    const daysToSunday = (7 - current) % 7;
+    if (offset <= daysToSunday) offset += 7;
+  }
+
+  return addDays(today, offset);
+};
+
+const two = (value) => (value ? parseInt(value, 10) : 0);
+
+const fullYear = (value) => {
+  if (!value) return null;
+  const year = parseInt(value, 10);
+  return value.length === 2 ? 2000 + year : year;
+};
+
+// Every date expression in `text` as { index, length, day }
+const findDates = (text, today) => {
+  const found = [];
+  const add = (match, day) => {
+    if (day && isValidDay(day)) {
+      found.push({ index: match.index, length: match[0].length, day });
+    }
+  };
+
+  for (const match of text.matchAll(
+    /\b(day after tomorrow|today|tonight|tomorrow)\b/gi
+  )) {
+    const word = match[1].toLowerCase();
+    const offset =
+      word === "day after tomorrow" ? 2 : word === "tomorrow" ? 1 : 0;
+    add(match, addDays(today, offset));
+  }
+
+  // Full weekday names in any case; abbreviations only when capitalized so
+  // words like "sat" and "wed" are not mistaken for days
+  const weekdayPatterns = [
+    /\b(?:(this|next)\s+)?(monday|tuesday|wednesday|thursday|friday|saturday|sunday)\b/gi,
+    /\b(?:([Tt]his|[Nn]ext)\s+)?(Mon|Tues|Tue|Wed|Thurs|Thur|Thu|Fri|Sat|Sun)\b\.?/g,
+  ];
+  weekdayPatterns.forEach((pattern) => {
+    for (const match of text.matchAll(pattern)) {
+      const modifier = match[1] ? match[1].toLowerCase() : null;
+      add(
+        match,
+        resolveWeekday(WEEKDAYS[match[2].toLowerCase()], modifier, today)
+      );
+    }
+  });
+
+  // "March 5", "Mar. 5th, 2027"
+  for (const match of text.matchAll(
+    new RegExp(
+      `\\b(${MONTH_NAMES})\\.?\\s+(\\d{1,2})${ORDINAL}(?:,?\\s+(\\d{4}))?\\b`,
+      "gi"
+    )
+  )) {
+    add(
+      match,
+      resolveMonthDay(
+        MONTHS[match[1].toLowerCase()],
+        two(match[2]),
+        fullYear(match[3]),
+        today
+      )
+    );
+  }
+
+  // "5 March", "5th of March 2027"
+  for (const match of text.matchAll(
+    new RegExp(
+      `\\b(\\d{1,2})${ORDINAL}\\s+(?:of\\s+)?(${MONTH_NAMES})\\.?(?:,?\\s+(\\d{4}))?\\b`,
+      "gi"
+    )
+  )) {
+    add(
+      match,
+      resolveMonthDay(
+        MONTHS[match[2].toLowerCase()],
+        two(match[1]),
+        fullYear(match[3]),
+        today
+      )
+    );
+  }
+
+  // "2026-11-05"
+  for (const match of text.matchAll(/\b(\d{4})-(\d{2})-(\d{2})\b/g)) {
+    add(match, {
+      year: two(match[1]),
+      month: two(match[2]),
+      day: two(match[3]),
+    });
+  }
+
+  // "3/5", "3/5/27"
+  for (const match of text.matchAll(
+    /\b(\d{1,2})\/(\d{1,2})(?:\/(\d{4}|\d{2}))?\b/g
+  )) {
+    add(
+      match,
+      resolveMonthDay(two(match[1]), two(match[2]), fullYear(match[3]), today)
+    );
+  }
+
+  return removeOverlaps(found);
+};
+
+// Every time expression in `text` as { index, length, start, end } where
+// start/end are { hour, minute } and end may be null
+const findTimes = (text) => {
+  const found = [];
+  const add = (match, start, end = null) => {
+    const valid = (time) =>
+      time.hour >= 0 && time.hour < 24 && time.minute >= 0 && time.minute < 60;
+    if (valid(start) && (!end || valid(end))) {
+      found.push({ index: match.index, length: match[0].length, start, end });
+    }
+  };
+
+  // "2-3pm", "2:30 to 4 p.m.", "10am - 1pm"
+  for (const match of text.matchAll(
+    new RegExp(
+      `\\b(\\d{1,2})(?::(\\d{2}))?\\s*${MERIDIEM}?\\s*(?:-|–|to|until)\\s*(\\d{1,2})(?::(\\d{2}))?\\s*${MERIDIEM}`,
+      "gi"
+    )
+  )) {
+    const endHour = to24Hour(two(match[4]), match[6]);
+    let startHour = to24Hour(two(match[1]), match[3] || match[6]);
+    // "11-1pm": the start inherits "pm" but really is in the morning
+    if (!match[3] && startHour > endHour) startHour -= 12;
+    add(
+      match,
+      { hour: startHour, minute: two(match[2]) },
+      { hour: endHour, minute: two(match[5]) }
+    );
+  }
+
+  // "14:00-15:30"
+  for (const match of text.matchAll(
+    /\b([01]?\d|2[0-3]):([0-5]\d)\s*(?:-|–|to|until)\s*([01]?\d|2[0-3]):([0-5]\d)\b/g
+  )) {
+    add(
+      match,
+      { hour: two(match[1]), minute: two(match[2]) },
+      { hour: two(match[3]), minute: two(match[4]) }
+    );
+  }
+
+  // "3pm", "3:30 p.m."
+  for (const match of text.matchAll(
+    new RegExp(`\\b(\\d{1,2})(?::(\\d{2}))?\\s*${MERIDIEM}`, "gi")
+  )) {
+    if (two(match[1]) > 12) continue;
+    add(match, {
+      hour: to24Hour(two(match[1]), match[3]),
+      minute: two(match[2]),
+    });
+  }
+
+  // "15:00"
+  for (const match of text.matchAll(/\b([01]?\d|2[0-3]):([0-5]\d)\b/g)) {
+    add(match, { hour: two(match[1]), minute: two(match[2]) });
+  }
+
+  for (const match of text.matchAll(/\b(noon|midday|midnight)\b/gi)) {
+    add(match, {
+      hour: match[1].toLowerCase() === "midnight" ? 0 : 12,
+      minute: 0,
+    });
+  }
+
+  // "at 3", "at 1:30", "at 4 o'clock". Longer than the bare "1:30" match
+  // above, so it wins the overlap and the hour is read as business hours
+  for (const match of text.matchAll(
+    /\bat\s+(\d{1,2})(?::([0-5]\d))?(?:\s*o'?clock)?\b(?![:/\d]|\.\d)/gi
+  )) {
+    if (two(match[1]) > 12) continue;
+    add(match, {
+      hour: guessMeridiemHour(two(match[1])),
+      minute: two(match[2]),
+    });
+  }
+
+  return removeOverlaps(found);
+};
+
+// Keep the longest of any overlapping matches, then order by position
+const removeOverlaps = (matches) => {
+  const kept = [];
+  [...matches]
+    .sort((a, b) => b.length - a.length || a.index - b.index)
+    .forEach((match) => {
+      const overlaps = kept.some(
+        (other) =>
+          match.index < other.index + other.length &&
+          other.index < match.index + match.length
+      );
+      if (!overlaps) kept.push(match);
+    });
+  return kept.sort((a, b) => a.index - b.index);
+};
+
+// Characters between two matches, or null if they overlap
+const gapBetween = (text, a, b) => {
+  const [first, second] = a.index < b.index ? [a, b] : [b, a];
+  const start = first.index + first.length;
+  return start <= second.index ? text.slice(start, second.index) : null;
+};
+
+const sentenceAround = (text, index, length) => {
+  let start = index;
+  while (start > 0 && !SENTENCE_BREAK.test(text.slice(start - 1, start + 1))) {
+    start--;
+  }
+  let end = index + length;
+  while (end < text.length && !SENTENCE_BREAK.test(text.slice(end, end + 2))) {
+    end++;
+  }
+  return text.slice(start, end + 1).trim();
+};
+
+// Drop quoted replies and forwarded history so old dates are not suggested
+const stripQuoted = (text) => {
+  const lines = [];
+  for (const line of text.split(/\r?\n/)) {
+    if (/^On .+wrote:\s*$/.test(line) || /^-{5,}\s*Forwarded/.test(line)) {
+      break;
+    }
+    if (!line.startsWith(">")) lines.push(line);
+  }
+  return lines.join("\n");
+};
+
+const CONFIDENCE = ["low", "low", "medium", "high"];
+
+// Find suggested events in `text`.
+//
+// Options:
+// - referenceDate: instant relative words are resolved against (default now)
+// - timeZone: IANA zone the text's dates and times are read in (default UTC)
+// - defaultDurationMinutes: length of events without an end time (30)
+//
+// Returns candidates ordered by position, each with the matched `text`, its
+// `sentence`, `allDay`, `start`/`end` (ISO instants, or YYYY-MM-DD for
+// all-day events, end exclusive) and a `confidence` of low/medium/high.
+// Candidates that start before the reference date are dropped
+const extractEvents = (text, options = {}) => {
+  const {
+    referenceDate = new Date(),
+    timeZone = "UTC",
+    defaultDurationMinutes = 30,
+  } = options;
+
+  const body = stripQuoted(text || "");
+  const reference = getZonedParts(referenceDate, timeZone);
+  const today = {
+    year: reference.year,
+    month: reference.month,
+    day: reference.day,
+  };
+
+  const dates = findDates(body, today);
+  const times = findTimes(body);
+  const usedTimes = new Set();
+
+  // Pair each date with the nearest time in the same sentence
+  const pairs = dates.map((date) => {
+    let best = null;
+    times.forEach((time, index) => {
+      if (usedTimes.has(index)) return;
+      const gap = gapBetween(body, date, time);
+      if (
+        gap === null ||
+        gap.length > MAX_PAIR_GAP ||
+        SENTENCE_BREAK.test(gap)
+      ) {
+        return;
+      }
+      if (!best || gap.length < best.gap) best = { index, gap: gap.length };
+    });
+
+    if (best) usedTimes.add(best.index);
+    return { date, time: best ? times[best.index] : null };
+  });
+
+  // Times on their own mean the reference day, or the next day once passed
+  times.forEach((time, index) => {
+    if (usedTimes.has(index)) return;
+    const passed =
+      time.start.hour * 60 + time.start.minute <=
+      reference.hour * 60 + reference.minute;
+    pairs.push({
+      date: null,
+      time,
+      day: passed ? addDays(today, 1) : today,
+    });
+  });
+
+  const seen = new Set();
+  return pairs
+    .map(({ date, time, day }) => {
+      const spans = [date, time].filter(Boolean);
+      const index = Math.min(...spans.map((span) => span.index));
+      const end = Math.max(...spans.map((span) => span.index + span.length));
+      const sentence = sentenceAround(body, index, end - index);
+      const isMeeting = MEETING_WORDS.test(sentence);
+
+      // Lone dates and lone times are only worth suggesting in a sentence
+      // that talks about meeting
+      if (!(date && time) && !isMeeting) return null;
+
+      const eventDay = date ? date.day : day;
+      const score = (date ? 1 : 0) + (time ? 1 : 0) + (isMeeting ? 1 : 0);
+      const candidate = {
+        index,
+        text: body.slice(index, end),
+        sentence,
+        allDay: !time,
+        confidence: CONFIDENCE[score],
+      };
+
+      if (!time) {
+        if (compareDays(eventDay, today) < 0) return null;
+        return {
+          ...candidate,
+          start: formatDay(eventDay),
+          end: formatDay(addDays(eventDay, 1)),
+        };
+      }
+
+      const start = zonedTimeToUtc({ ...eventDay, ...time.start }, timeZone);
+      let finish = time.end
+        ? zonedTimeToUtc({ ...eventDay, ...time.end }, timeZone)
+        : new Date(start.getTime() + defaultDurationMinutes * 60 * 1000);
+      // A range that crosses midnight ends on the next day, which may not be
+      // 24 hours later when the clocks change overnight
+      if (finish <= start) {
+        finish = zonedTimeToUtc(
+          { ...addDays(eventDay, 1), ...time.end },
+          timeZone
+        );
+      }
+
+      if (start < referenceDate) return null;
+      return {
+        ...candidate,
+        start: start.toISOString(),
+        end: finish.toISOString(),
+      };
+    })
+    .filter((candidate) => {
+      if (!candidate || seen.has(candidate.start)) return false;
+      seen.add(candidate.start);
+      return true;
+    })
+    .sort((a, b) => a.index - b.index)
+    .map(({ index, ...candidate }) => candidate);
+};
+
+// Read a phrase that is only a date ("Dec 1", "next Friday", "2027-01-15")
+// as { year, month, day }, resolved against `today`. Null when the phrase
+// is anything else
+const parseDate = (text, today) => {
+  const phrase = String(text).trim();
+  const [match] = findDates(phrase, today);
+  return match && match.index === 0 && match.length === phrase.length
+    ? match.day
+    : null;
+};
+
+module.exports = { extractEvents, parseDate };
@@ -0,0 +1,23 @@
+// Parse short durations from requests such as "30m", "48h", "3d" or "2w"
+
+const UNIT_MS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+};
+
+// Duration in milliseconds, or null when `value` is not a valid duration.
+// A bare number is read as days
+const parseDuration = (value) => {
+  const match = String(value)
+    .trim()
+    .toLowerCase()
+    .match(/^(\d+(?:\.\d+)?)\s*([mhdw]?)$/);
+  if (!match) return null;
+
+  const ms = Number(match[1]) * UNIT_MS[match[2] || "d"];
+  return ms > 0 ? Math.round(ms) : null;
+};
+
+module.exports = { parseDuration };
@@ -0,0 +1,269 @@
+// Helpers for turning raw Gmail API message resources into a flat shape the
+// frontend can render without walking MIME trees itself
+
+// Decode base64url data from the Gmail API into a Buffer
+const decodeBase64Url = (data = "") =>
+  Buffer.from(data.replace(/-/g, "+").replace(/_/g, "/"), "base64");
+
+// Decode bytes using the charset declared on a MIME part
+const decodeText = (buffer, charset = "utf-8") => {
+  try {
+    return new TextDecoder(charset).decode(buffer);
+  } catch (error) {
+    // Unknown charset label, fall back to UTF-8
+    return new TextDecoder("utf-8").decode(buffer);
+  }
+};
+
+// Decode RFC 2047 encoded-words, e.g. "=?UTF-8?B?SGVsbG8=?="
+const decodeHeaderValue = (value = "") =>
+  value
+    // Whitespace between adjacent encoded-words is not significant
+    .replace(/(=\?[^?]+\?[BbQq]\?[^?]*\?=)\s+(?==\?)/g, "$1")
+    .replace(
+      /=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g,
+      (match, charset, encoding, text) => {
+        const bytes =
+          encoding.toUpperCase() === "B"
+            ? Buffer.from(text, "base64")
+            : Buffer.from(
+                text
+                  .replace(/_/g, " ")
+                  .replace(/=([0-9A-Fa-f]{2})/g, (m, hex) =>
+                    String.fromCharCode(parseInt(hex, 16))
+                  ),
+                "binary"
+              );
+        return decodeText(bytes, charset);
+      }
+    );
+
+// Split a header on commas that are not inside quotes or angle brackets
+const splitAddressList = (value) => {
+  const parts = [];
+  let current = "";
+  let inQuotes = false;
+  let inAngle = false;
+
+  for (const char of value) {
+    if (char === '"') inQuotes = !inQuotes;
+    if (!inQuotes && char === "<") inAngle = true;
+    if (!inQuotes && char === ">") inAngle = false;
+
+    if (char === "," && !inQuotes && !inAngle) {
+      parts.push(current);
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+
+  return parts.map((part) => part.trim()).filter(Boolean);
+};
+
+// Parse a single address like `"Jane Doe" <jane@example.com>`
+const parseAddress = (value) => {
+  const match = value.match(/^(.*?)\s*<([^>]+)>\s*$/);
+
+  if (match) {
+    return {
+      name: decodeHeaderValue(match[1].trim().replace(/^"|"$/g, "")) || null,
+      email: match[2].trim().toLowerCase(),
+    };
+  }
+
+  return { name: null, email: value.trim().toLowerCase() };
+};
+
+// Parse an address list header (From, To, Cc, ...) into address objects
+const parseAddressList = (value) =>
+  value ? splitAddressList(value).map(parseAddress) : [];
+
+// Map of lower-cased header names to their (first) decoded value. With
+// `raw`, values are left encoded, which address lists need: an encoded
+// display name may hide a comma that would otherwise split the list
+const getHeaders = (payload = {}, { raw = false } = {}) => {
+  const headers = {};
+
+  (payload.headers || []).forEach(({ name, value }) => {
+    const key = name.toLowerCase();
+    if (!(key in headers)) {
+      headers[key] = raw ? value : decodeHeaderValue(value);
+    }
+  });
+
+  return headers;
+};
+
+// Read a parameter such as charset from a Content-Type style header value
+const getHeaderParam = (value = "", param) => {
+  const match = value.match(new RegExp(`${param}\\s*=\\s*"?([^";]+)"?`, "i"));
+  return match ? match[1].trim() : undefined;
+};
+
+const isAttachmentPart = (part, partHeaders) => {
+  const disposition = partHeaders["content-disposition"] || "";
+  return (
+    Boolean(part.filename) ||
+    /^attachment/i.test(disposition) ||
+    Boolean(
+      part.body && part.body.attachmentId && !/^text\//.test(part.mimeType)
+    )
+  );
+};
+
+// Walk a MIME tree collecting text/html bodies and attachment metadata
+const walkParts = (part, result) => {
+  if (!part) return;
+
+  const partHeaders = getHeaders(part);
+  const mimeType = (part.mimeType || "").toLowerCase();
+
+  if (part.parts && part.parts.length) {
+    part.parts.forEach((child) => walkParts(child, result));
+    return;
+  }
+
+  if (isAttachmentPart(part, partHeaders)) {
+    const disposition = partHeaders["content-disposition"] || "";
+    const contentId = partHeaders["content-id"];
+
+    result.attachments.push({
+      id: part.body.attachmentId || null,
+      partId: part.partId,
+      filename: part.filename || null,
+      mimeType: part.mimeType,
+      size: part.body.size || 0,
+      contentId: contentId ? contentId.replace(/^<|>$/g, "") : null,
+      inline: /^inline/i.test(disposition),
+    });
+    return;
+  }
+
+  if (!part.body || !part.body.data) return;
+
+  const charset = getHeaderParam(partHeaders["content-type"], "charset");
+  const text = decodeText(decodeBase64Url(part.body.data), charset);
+
+  if (mimeType === "text/html") {
+    result.html.push(text);
+  } else if (mimeType === "text/plain" || mimeType === "") {
+    result.text.push(text);
+  }
+};
+
+// Turn a raw `users.messages.get` resource into the normalized message shape
+const normalizeMessage = (message) => {
+  const headers = getHeaders(message.payload);
+  // Split address lists before decoding; parseAddress decodes each name
+  const addressHeaders = getHeaders(message.payload, { raw: true });
+  const labelIds = message.labelIds || [];
+  const parts = { text: [], html: [], attachments: [] };
+
+  walkParts(message.payload, parts);
+
+  const from = parseAddressList(addressHeaders.from);
+  const date = message.internalDate
+    ? new Date(Number(message.internalDate))
+    : headers.date
+    ? new Date(headers.date)
+    : null;
+
+  return {
+    id: message.id,
+    threadId: message.threadId,
+    historyId: message.historyId,
+    labelIds,
+    snippet: message.snippet,
+    subject: headers.subject || "",
+    from: from[0] || null,
+    to: parseAddressList(addressHeaders.to),
+    cc: parseAddressList(addressHeaders.cc),
+    bcc: parseAddressList(addressHeaders.bcc),
+    replyTo: parseAddressList(addressHeaders["reply-to"]),
+    date: date && !Number.isNaN(date.getTime()) ? date.toISOString() : null,
+    messageId: headers["message-id"] || null,
+    inReplyTo: headers["in-reply-to"] || null,
+    references: headers.references
+      ? headers.references.split(/\s+/).filter(Boolean)
+      : [],
+    isUnread: labelIds.includes("UNREAD"),
+    isStarred: labelIds.includes("STARRED"),
+    body: {
+      text: parts.text.length ? parts.text.join("\n") : null,
+      html: parts.html.length ? parts.html.join("\n") : null,
+    },
+    attachments: parts.attachments,
+    headers,
+    sizeEstimate: message.sizeEstimate,
+  };
+};
+
+// Whether a normalized message has regular (not inline) attachments. A
+// metadata fetch has no MIME parts to look at, only the top-level
+// Content-Type, and mail carrying attachments is sent as multipart/mixed
+const hasAttachments = (message) => {
+  const { body, attachments } = message;
+  if (body.text !== null || body.html !== null || attachments.length) {
+    return attachments.some((attachment) => !attachment.inline);
+  }
+  return /^multipart\/mixed\b/i.test(message.headers["content-type"] || "");
+};
+
+// Summarize a raw `users.threads.get` resource: ordered normalized messages,
+// unique participants and unread count
+const normalizeThread = (thread) => {
+  const messages = (thread.messages || [])
+    .map(normalizeMessage)
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  const participants = new Map();
+  messages.forEach((message) => {
+    [message.from, ...message.to, ...message.cc]
+      .filter(Boolean)
+      .forEach((address) => {
+        if (
+          !participants.has(address.email) ||
+          !participants.get(address.email).name
+        ) {
+          participants.set(address.email, address);
+        }
+      });
+  });
+
+  const first = messages[0];
+  const last = messages[messages.length - 1];
+  const labelIds = [
+    ...new Set(messages.flatMap((message) => message.labelIds)),
+  ];
+
+  return {
+    id: thread.id,
+    historyId: thread.historyId,
+    snippet: last ? last.snippet : thread.snippet,
+    subject: first ? first.subject : "",
+    participants: [...participants.values()],
+    messageCount: messages.length,
+    unreadCount: messages.filter((message) => message.isUnread).length,
+    labelIds,
+    lastMessageAt: last ? last.date : null,
+    messages,
+  };
+};
+
+// Link that opens a thread in the Gmail web client
+const getThreadUrl = (threadId) =>
+  `https://mail.google.com/mail/u/0/#all/${threadId}`;
+
+module.exports = {
+  decodeBase64Url,
+  decodeHeaderValue,
+  parseAddress,
+  parseAddressList,
+  getHeaders,
+  normalizeMessage,
+  hasAttachments,
+  normalizeThread,
+  getThreadUrl,
+};
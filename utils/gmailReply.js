@@ -0,0 +1,163 @@
+// Compose replies and forwards from a normalized Gmail message
+
+const escapeHtml = (text = "") =>
+  text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const describeAddress = (address) =>
+  address.name ? `${address.name} <${address.email}>` : address.email;
+
+const describeDate = (date) => (date ? new Date(date).toUTCString() : "");
+
+// Existing prefixes that count as already replied or forwarded, with or
+// without a space after the colon ("Re:Hello", "Fw: Hello")
+const SUBJECT_PREFIXES = {
+  "Re:": /^re:\s*/i,
+  "Fwd:": /^fwd?:\s*/i,
+};
+
+// Add a prefix such as "Re:" unless the subject already carries it
+const prefixSubject = (prefix, subject = "") =>
+  SUBJECT_PREFIXES[prefix].test(subject)
+    ? subject
+    : `${prefix} ${subject}`.trim();
+
+// In-Reply-To and References headers that keep a message in the thread
+const threadingHeaders = (original) => {
+  if (!original.messageId) return {};
+
+  return {
+    "In-Reply-To": original.messageId,
+    References: [...original.references, original.messageId].join(" "),
+  };
+};
+
+// Original body as plain text, falling back to a stripped HTML body
+const originalText = (original) =>
+  original.body.text ||
+  (original.body.html || "").replace(/<[^>]+>/g, "").trim() ||
+  original.snippet ||
+  "";
+
+const originalHtml = (original) =>
+  original.body.html ||
+  escapeHtml(originalText(original)).replace(/\n/g, "<br>");
+
+const quoteReply = (original, body, isHtml) => {
+  const attribution = `On ${describeDate(original.date)}, ${describeAddress(
+    original.from
+  )} wrote:`;
+
+  if (isHtml) {
+    return `${body}<br><br><div class="gmail_quote">${escapeHtml(
+      attribution
+    )}<blockquote style="margin:0 0 0 .8ex;border-left:1px #ccc solid;padding-left:1ex">${originalHtml(
+      original
+    )}</blockquote></div>`;
+  }
+
+  const quoted = originalText(original)
+    .split(/\r?\n/)
+    .map((line) => `> ${line}`)
+    .join("\n");
+
+  return `${body}\n\n${attribution}\n${quoted}`;
+};
+
+const quoteForward = (original, body, isHtml) => {
+  const summary = [
+    "---------- Forwarded message ---------",
+    `From: ${describeAddress(original.from)}`,
+    `Date: ${describeDate(original.date)}`,
+    `Subject: ${original.subject}`,
+    `To: ${original.to.map(describeAddress).join(", ")}`,
+    original.cc.length
+      ? `Cc: ${original.cc.map(describeAddress).join(", ")}`
+      : null,
+  ].filter(Boolean);
+
+  if (isHtml) {
+    return `${body || ""}<br><br><div class="gmail_quote">${summary
+      .map(escapeHtml)
+      .join("<br>")}<br><br>${originalHtml(original)}</div>`;
+  }
+
+  return `${body || ""}\n\n${summary.join("\n")}\n\n${originalText(original)}`;
+};
+
+// Work out reply recipients. Reply goes to Reply-To (or From); reply-all
+// adds the original To and Cc, minus the user's own address and duplicates
+const replyRecipients = (original, ownEmail, replyAll) => {
+  const self = (ownEmail || "").toLowerCase();
+  const seen = new Set([self]);
+  const unique = (addresses) =>
+    addresses.filter((address) => {
+      if (!address || seen.has(address.email)) return false;
+      seen.add(address.email);
+      return true;
+    });
+
+  const sentByUser = original.from && original.from.email === self;
+  const primary = sentByUser
+    ? original.to
+    : original.replyTo.length
+    ? original.replyTo
+    : [original.from];
+
+  const to = unique(primary);
+  if (!replyAll) {
+    return { to, cc: [] };
+  }
+
+  const others = unique(sentByUser ? [] : original.to);
+  const cc = unique(original.cc);
+  return { to: [...to, ...others], cc };
+};
+
+// Build the send options for a reply or reply-all to `original`
+const buildReply = (
+  original,
+  { body, isHtml = false, replyAll = false },
+  ownEmail
+) => {
+  const { to, cc } = replyRecipients(original, ownEmail, replyAll);
+
+  return {
+    to,
+    cc,
+    subject: prefixSubject("Re:", original.subject),
+    body: quoteReply(original, body, isHtml),
+    isHtml,
+    headers: threadingHeaders(original),
+    threadId: original.threadId,
+  };
+};
+
+// Build the send options for forwarding `original`; attachments are fetched
+// by the caller and passed in
+const buildForward = (
+  original,
+  { to, cc, body, isHtml = false },
+  attachments = []
+) => ({
+  to,
+  cc,
+  subject: prefixSubject("Fwd:", original.subject),
+  body: quoteForward(original, body, isHtml),
+  isHtml,
+  headers: threadingHeaders(original),
+  threadId: original.threadId,
+  attachments,
+});
+
+module.exports = {
+  escapeHtml,
+  prefixSubject,
+  threadingHeaders,
+  replyRecipients,
+  buildReply,
+  buildForward,
+};
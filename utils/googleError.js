@@ -0,0 +1,53 @@
+const ErrorResponse = require("./errorResponse");
+
+// Errors we raised ourselves (bad input, retry exhaustion) already carry
+// the status the client should see
+const isPassthrough = (error) => error instanceof ErrorResponse;
+
+// Send a Google API failure to the client, keeping quota and availability
+// errors as 429/503 with a Retry-After hint instead of a generic 500
+const sendGoogleError = (res, error, message) => {
+  if (isPassthrough(error)) {
+    if (error.retryAfter) {
+      res.set("Retry-After", String(error.retryAfter));
+    }
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      ...(error.retryAfter && { retryAfter: error.retryAfter }),
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    message,
+    error: error.message,
+  });
+};
+
+// Same as sendGoogleError for controllers that forward errors to next()
+const googleErrorResponse = (error, message) =>
+  isPassthrough(error) ? error : new ErrorResponse(message, 500);
+
+// True when Google refused the user's credentials (access revoked, refresh
+// token expired) or the user has no Google connection at all. Retrying
+// won't help until the user signs in with Google again
+const isAuthRevoked = (error) => {
+  if (!error) return false;
+  if (error.code === "GOOGLE_NOT_CONNECTED") return true;
+
+  const data = (error.response && error.response.data) || {};
+  const status = error.response && error.response.status;
+
+  return (
+    data.error === "invalid_grant" ||
+    status === 401 ||
+    /invalid_grant|invalid_token|No refresh token/i.test(error.message || "")
+  );
+};
+
+module.exports = {
+  sendGoogleError,
+  googleErrorResponse,
+  isAuthRevoked,
+};
@@ -0,0 +1,130 @@
+// Matching logic for inbox rules, kept free of I/O so rules can be tested
+// against any normalized message
+
+const CONDITION_FIELDS = [
+  "from",
+  "to",
+  "subject",
+  "body",
+  "labels",
+  "hasAttachment",
+];
+const CONDITION_OPERATORS = [
+  "contains",
+  "notContains",
+  "equals",
+  "startsWith",
+  "endsWith",
+];
+const ACTION_TYPES = [
+  "label",
+  "archive",
+  "forward",
+  "createTask",
+  "createCalendarHold",
+  "notify",
+];
+
+// Fields that are missing from metadata-only messages
+const FULL_MESSAGE_FIELDS = ["body", "hasAttachment"];
+
+// Bound the body text conditions are checked against
+const MAX_BODY_LENGTH = 20000;
+
+// An address matches as "Name <email>", as the bare email or as the name
+const addressValues = (addresses) =>
+  addresses
+    .filter(Boolean)
+    .flatMap((address) =>
+      address.name
+        ? [`${address.name} <${address.email}>`, address.email, address.name]
+        : [address.email]
+    );
+
+const bodyText = (message) =>
+  (
+    message.body.text ||
+    (message.body.html || "").replace(/<[^>]+>/g, " ") ||
+    message.snippet ||
+    ""
+  ).slice(0, MAX_BODY_LENGTH);
+
+// The strings a condition on `field` is compared against
+const fieldValues = (message, field) => {
+  switch (field) {
+    case "from":
+      return addressValues([message.from]);
+    case "to":
+      return addressValues([...message.to, ...message.cc]);
+    case "subject":
+      return [message.subject || ""];
+    case "body":
+      return [bodyText(message)];
+    case "labels":
+      return message.labelIds || [];
+    default:
+      return [];
+  }
+};
+
+// Case-insensitive comparison of one value
+const compare = (operator, actual, expected) => {
+  const value = actual.toLowerCase();
+  const target = expected.toLowerCase();
+
+  switch (operator) {
+    case "equals":
+      return value === target;
+    case "startsWith":
+      return value.startsWith(target);
+    case "endsWith":
+      return value.endsWith(target);
+    case "contains":
+      return value.includes(target);
+    default:
+      return false;
+  }
+};
+
+const matchesCondition = (condition, message) => {
+  if (condition.field === "hasAttachment") {
+    const wanted = String(condition.value).toLowerCase() !== "false";
+    const has = message.attachments.some((attachment) => !attachment.inline);
+    return has === wanted;
+  }
+
+  const values = fieldValues(message, condition.field);
+
+  // notContains holds when no value contains the text
+  if (condition.operator === "notContains") {
+    return !values.some((value) => compare("contains", value, condition.value));
+  }
+
+  return values.some((value) =>
+    compare(condition.operator || "contains", value, condition.value)
+  );
+};
+
+const matchesRule = (rule, message) => {
+  const check = (condition) => matchesCondition(condition, message);
+  return rule.match === "any"
+    ? rule.conditions.some(check)
+    : rule.conditions.every(check);
+};
+
+// Whether any of the rules look at parts a metadata fetch leaves out
+const needsFullMessage = (rules) =>
+  rules.some((rule) =>
+    rule.conditions.some((condition) =>
+      FULL_MESSAGE_FIELDS.includes(condition.field)
+    )
+  );
+
+module.exports = {
+  CONDITION_FIELDS,
+  CONDITION_OPERATORS,
+  ACTION_TYPES,
+  matchesCondition,
+  matchesRule,
+  needsFullMessage,
+};
@@ -0,0 +1,248 @@
+const crypto = require("crypto");
+const { parseAddress, parseAddressList } = require("./gmailMessage");
+
+const CRLF = "\r\n";
+
+// Longest run of UTF-8 bytes per encoded-word so each stays under the
+// 75 character limit from RFC 2047
+const MAX_ENCODED_WORD_BYTES = 45;
+
+// Encode a string or Buffer as unpadded base64url for the Gmail `raw` field
+const encodeBase64Url = (input) =>
+  Buffer.from(input)
+    .toString("base64")
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+
+// Base64 encode content, wrapped at 76 characters per RFC 2045
+const encodeBase64Lines = (content) =>
+  Buffer.from(content)
+    .toString("base64")
+    .replace(/.{76}(?=.)/g, `$&${CRLF}`);
+
+const isAscii = (value) => /^[\x00-\x7F]*$/.test(value);
+
+// Header values must stay on one line: a CR or LF in a subject, name or
+// address would start a new header (e.g. an injected Bcc)
+const stripLineBreaks = (value) => String(value).replace(/[\r\n]+/g, " ");
+
+// Header field names are printable ASCII without spaces or colons
+const HEADER_NAME_PATTERN = /^[!-9;-~]+$/;
+
+// Encode a header value as RFC 2047 encoded-words when it is not plain
+// ASCII, splitting on character boundaries so no code point is cut in half
+const encodeHeaderValue = (value = "") => {
+  const text = stripLineBreaks(value);
+  if (isAscii(text)) return text;
+
+  const words = [];
+  let chunk = "";
+
+  for (const char of text) {
+    if (Buffer.byteLength(chunk + char) > MAX_ENCODED_WORD_BYTES) {
+      words.push(chunk);
+      chunk = "";
+    }
+    chunk += char;
+  }
+  words.push(chunk);
+
+  return words
+    .map((word) => `=?UTF-8?B?${Buffer.from(word).toString("base64")}?=`)
+    .join(`${CRLF} `);
+};
+
+// Quote a display name if it contains characters special in address lists
+const formatDisplayName = (value) => {
+  const name = stripLineBreaks(value);
+  if (!isAscii(name)) return encodeHeaderValue(name);
+  return /[^\w\s!#$%&'*+\-/=?^`{|}~]/.test(name)
+    ? `"${name.replace(/(["\\])/g, "\\$1")}"`
+    : name;
+};
+
+// Format an address given as a string or an { name, email } object
+const formatAddress = (address) => {
+  if (typeof address === "string") {
+    const match = address.match(/^\s*"?(.*?)"?\s*<([^>]+)>\s*$/);
+    return match && match[1]
+      ? formatAddress({ name: match[1], email: match[2] })
+      : stripLineBreaks(address).trim();
+  }
+
+  const email = stripLineBreaks(address.email).trim();
+  return address.name ? `${formatDisplayName(address.name)} <${email}>` : email;
+};
+
+// Turn recipients from a request (a comma separated string, an array of
+// strings or { name, email } objects) into a flat list of address objects
+const normalizeRecipients = (value) => {
+  if (!value) return [];
+
+  return [].concat(value).flatMap((item) => {
+    if (typeof item === "string") return parseAddressList(item);
+    if (item && item.email) {
+      return [{ ...parseAddress(item.email), name: item.name || null }];
+    }
+    return [];
+  });
+};
+
+const formatAddressList = (addresses) =>
+  []
+    .concat(addresses || [])
+    .filter(Boolean)
+    .map(formatAddress)
+    .join(", ");
+
+// Encode a filename for a Content-Type/Content-Disposition parameter
+const formatFilename = (value = "attachment") => {
+  const filename = stripLineBreaks(value);
+  return isAscii(filename)
+    ? `"${filename.replace(/(["\\])/g, "\\$1")}"`
+    : `"${encodeHeaderValue(filename).replace(/\r\n /g, " ")}"`;
+};
+
+const createBoundary = () =>
+  `----=_Part_${crypto.randomBytes(12).toString("hex")}`;
+
+// Rough plain-text version of an HTML body, used for the text/plain
+// alternative
+const htmlToText = (html) =>
+  html
+    .replace(/<(br|\/p|\/div|\/h\d|\/li)[^>]*>/gi, "\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&amp;/g, "&")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+const textPart = (content, subtype) => ({
+  headers: [
+    `Content-Type: text/${subtype}; charset="UTF-8"`,
+    "Content-Transfer-Encoding: base64",
+  ],
+  body: encodeBase64Lines(content),
+});
+
+const attachmentPart = (attachment) => {
+  const filename = formatFilename(attachment.filename);
+  const headers = [
+    `Content-Type: ${stripLineBreaks(
+      attachment.mimeType || "application/octet-stream"
+    )}; name=${filename}`,
+    `Content-Disposition: ${
+      attachment.contentId ? "inline" : "attachment"
+    }; filename=${filename}`,
+    "Content-Transfer-Encoding: base64",
+  ];
+
+  if (attachment.contentId) {
+    headers.push(`Content-ID: <${stripLineBreaks(attachment.contentId)}>`);
+  }
+
+  return { headers, body: encodeBase64Lines(attachment.content) };
+};
+
+const multipart = (subtype, parts) => {
+  const boundary = createBoundary();
+
+  return {
+    headers: [`Content-Type: multipart/${subtype}; boundary="${boundary}"`],
+    body: [
+      ...parts.flatMap((part) => [`--${boundary}`, serializePart(part)]),
+      `--${boundary}--`,
+      "",
+    ].join(CRLF),
+  };
+};
+
+const serializePart = (part) => [...part.headers, "", part.body].join(CRLF);
+
+// Assemble the body tree:
+// mixed( related( alternative(text, html), inline images ), attachments )
+// Levels that would hold a single part are collapsed
+const buildBody = ({ text, html, attachments }) => {
+  const inline = attachments.filter((attachment) => attachment.contentId);
+  const regular = attachments.filter((attachment) => !attachment.contentId);
+
+  let content;
+  if (html) {
+    content = multipart("alternative", [
+      textPart(text || htmlToText(html), "plain"),
+      textPart(html, "html"),
+    ]);
+  } else {
+    content = textPart(text || "", "plain");
+  }
+
+  if (html && inline.length) {
+    content = multipart("related", [content, ...inline.map(attachmentPart)]);
+  } else {
+    // Inline images only make sense next to an HTML body
+    regular.push(...inline.map(({ contentId, ...rest }) => rest));
+  }
+
+  if (regular.length) {
+    content = multipart("mixed", [content, ...regular.map(attachmentPart)]);
+  }
+
+  return content;
+};
+
+// Build an RFC 822 message.
+//
+// Recipients (`to`, `cc`, `bcc`) are strings or { name, email } objects,
+// alone or in arrays. The body is given as `text` and/or `html`; the older
+// `body` + `isHtml` pair is still accepted. Extra headers such as
+// In-Reply-To and References go in `headers`. Attachments are objects with
+// `filename`, `mimeType` and a Buffer `content`; those with a `contentId`
+// are sent inline and can be referenced from the HTML as `cid:<contentId>`.
+const buildMimeMessage = ({
+  to,
+  cc,
+  bcc,
+  subject = "",
+  text,
+  html,
+  body,
+  isHtml = false,
+  headers = {},
+  attachments = [],
+}) => {
+  if (body !== undefined && text === undefined && html === undefined) {
+    if (isHtml) html = body;
+    else text = body;
+  }
+
+  const lines = [
+    ["To", formatAddressList(to)],
+    ["Cc", formatAddressList(cc)],
+    ["Bcc", formatAddressList(bcc)],
+    ["Subject", encodeHeaderValue(subject)],
+    ...Object.entries(headers)
+      .filter(([name]) => HEADER_NAME_PATTERN.test(name))
+      .map(([name, value]) => [name, value && encodeHeaderValue(value)]),
+    ["MIME-Version", "1.0"],
+  ]
+    .filter(([, value]) => value)
+    .map(([name, value]) => `${name}: ${value}`);
+
+  const content = buildBody({ text, html, attachments: [...attachments] });
+
+  return [...lines, serializePart(content)].join(CRLF);
+};
+
+module.exports = {
+  encodeBase64Url,
+  encodeHeaderValue,
+  formatAddress,
+  formatAddressList,
+  normalizeRecipients,
+  buildMimeMessage,
+  htmlToText,
+};
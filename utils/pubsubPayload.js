@@ -0,0 +1,42 @@
+// Encode and decode the Cloud Pub/Sub push envelopes Gmail notifications
+// arrive in:
+// { message: { data: base64(JSON { emailAddress, historyId }), ... } }
+
+const decodeGmailNotification = (body) => {
+  if (!body || !body.message || !body.message.data) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(
+      Buffer.from(body.message.data, "base64").toString("utf8")
+    );
+    return {
+      emailAddress: payload.emailAddress,
+      historyId: payload.historyId ? String(payload.historyId) : undefined,
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Build a push envelope like the one Pub/Sub sends, for local testing
+const buildGmailPushPayload = ({
+  emailAddress,
+  historyId,
+  subscription = "projects/local/subscriptions/gmail-push",
+}) => ({
+  message: {
+    data: Buffer.from(JSON.stringify({ emailAddress, historyId })).toString(
+      "base64"
+    ),
+    messageId: String(Date.now()),
+    publishTime: new Date().toISOString(),
+  },
+  subscription,
+});
+
+module.exports = {
+  decodeGmailNotification,
+  buildGmailPushPayload,
+};
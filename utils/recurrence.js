@@ -0,0 +1,329 @@
+// Recurring event rules: turn a friendly "repeat" payload into RFC 5545
+// RRULE lines for Google Calendar, and rewrite existing rules when a series
+// is split ("this and following events").
+//
+// A repeat payload is either a phrase:
+//   "daily", "every weekday until Dec 1", "every 2 weeks on Monday and
+//   Thursday", "every other month for 6 times", "monthly on the 1st and
+//   15th", "weekly until 2027-03-01"
+// or an object:
+//   { frequency: "weekly", interval: 2, days: ["monday", "thursday"],
+//     until: "2026-12-01" }   (or count: 10 instead of until)
+//   { frequency: "monthly", monthDays: [1, 15] }
+//
+// Weekly rules take weekday names and monthly rules take days of the
+// month; without them a series repeats on the first occurrence's day.
+
+const ErrorResponse = require("./errorResponse");
+const { parseDate } = require("./dateExtractor");
+const { zonedTimeToUtc, addDays, formatDay } = require("./timezone");
+
+const FREQUENCIES = ["daily", "weekly", "monthly", "yearly", "weekdays"];
+
+// Which events of a series an edit or delete applies to
+const EDIT_SCOPES = ["this", "following", "all"];
+
+const MAX_INTERVAL = 99;
+const MAX_COUNT = 730;
+const MAX_MONTH_DAY = 31;
+
+const DAY_CODES = {
+  monday: "MO",
+  mon: "MO",
+  tuesday: "TU",
+  tues: "TU",
+  tue: "TU",
+  wednesday: "WE",
+  wed: "WE",
+  thursday: "TH",
+  thurs: "TH",
+  thur: "TH",
+  thu: "TH",
+  friday: "FR",
+  fri: "FR",
+  saturday: "SA",
+  sat: "SA",
+  sunday: "SU",
+  sun: "SU",
+};
+const WEEKDAY_CODES = ["MO", "TU", "WE", "TH", "FR"];
+
+const FREQUENCY_WORDS = {
+  daily: "daily",
+  day: "daily",
+  weekly: "weekly",
+  week: "weekly",
+  monthly: "monthly",
+  month: "monthly",
+  yearly: "yearly",
+  annually: "yearly",
+  year: "yearly",
+};
+
+const invalid = (message) => new ErrorResponse(message, 400);
+
+// "monday", "Mon", "mondays" or "MO" -> "MO"; null when not a weekday
+const toDayCode = (value) => {
+  const word = String(value).trim().toLowerCase();
+  if (Object.values(DAY_CODES).includes(word.toUpperCase())) {
+    return word.toUpperCase();
+  }
+  return DAY_CODES[word] || DAY_CODES[word.replace(/s$/, "")] || null;
+};
+
+// "monday, wednesday and friday" -> ["MO", "WE", "FR"]; null if any part is
+// not a weekday
+const parseDayList = (text) => {
+  const codes = text
+    .split(/\s*(?:,|\band\b|&)\s*/)
+    .filter(Boolean)
+    .map(toDayCode);
+  return codes.length && codes.every(Boolean) ? codes : null;
+};
+
+const isMonthDay = (day) =>
+  Number.isInteger(day) && day >= 1 && day <= MAX_MONTH_DAY;
+
+// "the 1st and 15th" -> [1, 15]; null if any part is not a day of the month
+const parseMonthDayList = (text) => {
+  const days = text
+    .replace(/^the\s+/, "")
+    .split(/\s*(?:,|\band\b|&)\s*(?:the\s+)?/)
+    .filter(Boolean)
+    .map((part) => {
+      const match = /^(\d{1,2})(?:st|nd|rd|th)?$/.exec(part);
+      return match ? Number(match[1]) : null;
+    });
+  return days.length && days.every(isMonthDay) ? days : null;
+};
+
+// Read a repeat phrase into the object form
+const parsePhrase = (phrase) => {
+  let text = phrase
+    .trim()
+    .replace(/\s+/g, " ")
+    .replace(/^repeats?\s+/i, "");
+  const repeat = {};
+
+  const until = /^(.*?)\s+(?:until|till|through|thru|ending)\s+(.+)$/i.exec(
+    text
+  );
+  const count = /^(.*?)\s+(?:for\s+)?(\d+)\s+(?:times|occurrences)$/i.exec(
+    text
+  );
+  if (until) {
+    text = until[1];
+    repeat.until = until[2];
+  } else if (count) {
+    text = count[1];
+    repeat.count = Number(count[2]);
+  }
+
+  text = text.toLowerCase();
+  let match;
+
+  if (/^(every )?weekdays?$/.test(text)) {
+    repeat.frequency = "weekdays";
+  } else if ((match = /^fortnightly(?: on (.+))?$/.exec(text))) {
+    repeat.frequency = "weekly";
+    repeat.interval = 2;
+    repeat.days = match[1];
+  } else if (
+    (match = /^(daily|weekly|monthly|yearly|annually)(?: on (.+))?$/.exec(text))
+  ) {
+    repeat.frequency = FREQUENCY_WORDS[match[1]];
+    repeat.days = match[2];
+  } else if (
+    (match =
+      /^every (?:(other) |(\d+) )?(day|week|month|year)s?(?: on (.+))?$/.exec(
+        text
+      ))
+  ) {
+    repeat.frequency = FREQUENCY_WORDS[match[3]];
+    repeat.interval = match[1] ? 2 : match[2] ? Number(match[2]) : 1;
+    repeat.days = match[4];
+  } else if ((match = /^every (other )?(.+)$/.exec(text))) {
+    // "every Monday and Thursday"
+    repeat.frequency = "weekly";
+    repeat.interval = match[1] ? 2 : 1;
+    repeat.days = match[2];
+  } else {
+    throw invalid(`Could not understand repeat "${phrase}"`);
+  }
+
+  // "monthly on the 15th"; weekday names are left to fail below
+  const monthDays =
+    repeat.frequency === "monthly" &&
+    typeof repeat.days === "string" &&
+    parseMonthDayList(repeat.days);
+  if (monthDays) {
+    delete repeat.days;
+    repeat.monthDays = monthDays;
+  }
+
+  if (typeof repeat.days === "string") {
+    const days = parseDayList(repeat.days);
+    if (!days) throw invalid(`Could not understand repeat "${phrase}"`);
+    repeat.days = days;
+  }
+
+  return repeat;
+};
+
+// RRULE UNTIL value covering the whole of `day`: a date for all-day events,
+// otherwise the last second of that day in `timeZone`, in UTC
+const formatUntil = (day, { allDay, timeZone }) => {
+  if (allDay) return formatDay(day).replace(/-/g, "");
+
+  const endOfDay = new Date(
+    zonedTimeToUtc({ ...addDays(day, 1), hour: 0, minute: 0 }, timeZone) - 1000
+  );
+  return formatUntilInstant(endOfDay);
+};
+
+// 2026-12-01T04:59:59Z -> "20261201T045959Z"
+const formatUntilInstant = (date) =>
+  `${date.toISOString().replace(/[-:]/g, "").split(".")[0]}Z`;
+
+// Turn a repeat payload into Google's `recurrence` lines.
+//
+// `startDay` ({ year, month, day }) is the first occurrence's local date,
+// which phrases like "until Dec 1" are resolved after. `allDay` and
+// `timeZone` decide how UNTIL is written. Throws a 400 ErrorResponse for
+// payloads that don't make sense
+const buildRecurrence = (repeat, { startDay, allDay = false, timeZone }) => {
+  const options = typeof repeat === "string" ? parsePhrase(repeat) : repeat;
+  const { frequency, interval = 1, until, count } = options || {};
+
+  if (!FREQUENCIES.includes(frequency)) {
+    throw invalid(`Repeat frequency must be one of: ${FREQUENCIES.join(", ")}`);
+  }
+  if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL) {
+    throw invalid(`Repeat interval must be between 1 and ${MAX_INTERVAL}`);
+  }
+  if (until !== undefined && count !== undefined) {
+    throw invalid("Repeat can end on a date or after a count, not both");
+  }
+  if (
+    count !== undefined &&
+    (!Number.isInteger(count) || count < 1 || count > MAX_COUNT)
+  ) {
+    throw invalid(`Repeat count must be between 1 and ${MAX_COUNT}`);
+  }
+
+  let days = options.days;
+  if (days !== undefined) {
+    days = [].concat(days).map(toDayCode);
+    if (!days.length || !days.every(Boolean)) {
+      throw invalid("Repeat days must be weekday names");
+    }
+  }
+
+  let { monthDays } = options;
+  if (monthDays !== undefined) {
+    monthDays = [].concat(monthDays);
+    if (!monthDays.length || !monthDays.every(isMonthDay)) {
+      throw invalid(`Repeat month days must be between 1 and ${MAX_MONTH_DAY}`);
+    }
+    if (frequency !== "monthly") {
+      throw invalid("Repeat month days can only be used with a monthly repeat");
+    }
+  }
+
+  const rule = [];
+  if (frequency === "weekdays") {
+    rule.push("FREQ=WEEKLY", `BYDAY=${WEEKDAY_CODES.join(",")}`);
+  } else {
+    rule.push(`FREQ=${frequency.toUpperCase()}`);
+    if (days) {
+      if (frequency !== "weekly") {
+        throw invalid("Repeat days can only be used with a weekly repeat");
+      }
+      rule.push(`BYDAY=${[...new Set(days)].join(",")}`);
+    }
+    if (monthDays) {
+      rule.push(
+        `BYMONTHDAY=${[...new Set(monthDays)].sort((a, b) => a - b).join(",")}`
+      );
+    }
+  }
+  if (interval > 1) rule.push(`INTERVAL=${interval}`);
+
+  if (until !== undefined) {
+    const untilDay = parseDate(until, startDay);
+    if (!untilDay) {
+      throw invalid(`Could not understand repeat end date "${until}"`);
+    }
+    if (
+      Date.UTC(untilDay.year, untilDay.month - 1, untilDay.day) <
+      Date.UTC(startDay.year, startDay.month - 1, startDay.day)
+    ) {
+      throw invalid("Repeat end date is before the first occurrence");
+    }
+    rule.push(`UNTIL=${formatUntil(untilDay, { allDay, timeZone })}`);
+  }
+  if (count !== undefined) rule.push(`COUNT=${count}`);
+
+  return [`RRULE:${rule.join(";")}`];
+};
+
+// "RRULE:FREQ=WEEKLY;COUNT=5" -> { FREQ: "WEEKLY", COUNT: "5" }
+const parseRule = (line) =>
+  Object.fromEntries(
+    line
+      .replace(/^RRULE:/, "")
+      .split(";")
+      .filter(Boolean)
+      .map((part) => part.split("="))
+  );
+
+const formatRule = (parts) =>
+  `RRULE:${Object.entries(parts)
+    .map(([key, value]) => `${key}=${value}`)
+    .join(";")}`;
+
+const mapRules = (recurrence, update) =>
+  (recurrence || []).map((line) =>
+    line.startsWith("RRULE:") ? formatRule(update(parseRule(line))) : line
+  );
+
+// UNTIL value ending a series just before `originalStart`: the day before
+// for all-day series, a second before for timed ones
+const untilBefore = (originalStart) => {
+  if (originalStart.dateTime) {
+    return formatUntilInstant(
+      new Date(new Date(originalStart.dateTime).getTime() - 1000)
+    );
+  }
+
+  const [year, month, day] = originalStart.date.split("-").map(Number);
+  return formatUntil(addDays({ year, month, day }, -1), { allDay: true });
+};
+
+// End a series just before `originalStart`, the occurrence it is split at
+const endRecurrenceBefore = (recurrence, originalStart) =>
+  mapRules(recurrence, ({ COUNT, UNTIL, ...parts }) => ({
+    ...parts,
+    UNTIL: untilBefore(originalStart),
+  }));
+
+// Rules for the second half of a split series: the original end date
+// stays, and a count is reduced by the occurrences left behind
+const continueRecurrence = (recurrence, occurrencesBefore) =>
+  mapRules(recurrence, (parts) =>
+    parts.COUNT
+      ? {
+          ...parts,
+          COUNT: String(Math.max(Number(parts.COUNT) - occurrencesBefore, 1)),
+        }
+      : parts
+  );
+
+module.exports = {
+  FREQUENCIES,
+  EDIT_SCOPES,
+  buildRecurrence,
+  parseRule,
+  endRecurrenceBefore,
+  continueRecurrence,
+};
@@ -0,0 +1,143 @@
+const ErrorResponse = require("./errorResponse");
+
+const DEFAULT_OPTIONS = {
+  retries: 4,
+  baseDelayMs: 500,
+  maxDelayMs: 32000,
+  // Only retry quota errors, for requests that are unsafe to repeat
+  rateLimitsOnly: false,
+  // Treat a 404 (or Calendar's 410) on a retry as success, for deletes whose
+  // earlier attempt may have gone through before the error reached us
+  notFoundOnRetry: false,
+};
+
+const RETRYABLE_STATUS_CODES = [429, 500, 502, 503, 504];
+const RATE_LIMIT_REASONS = ["rateLimitExceeded", "userRateLimitExceeded"];
+const NETWORK_ERROR_CODES = [
+  "ECONNRESET",
+  "ETIMEDOUT",
+  "EAI_AGAIN",
+  "ECONNREFUSED",
+];
+
+const GONE_STATUS_CODES = [404, 410];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Pull the HTTP status out of a googleapis (gaxios) error
+const getStatus = (error) => {
+  if (error.response && error.response.status) {
+    return error.response.status;
+  }
+  return typeof error.code === "number" ? error.code : undefined;
+};
+
+// Pull the Google error reasons ("rateLimitExceeded", ...) out of an error
+const getReasons = (error) => {
+  const data = error.response && error.response.data;
+  const errors =
+    error.errors || (data && data.error && data.error.errors) || [];
+  return errors.map((item) => item.reason).filter(Boolean);
+};
+
+const isRateLimited = (error) =>
+  getStatus(error) === 429 ||
+  getReasons(error).some((reason) => RATE_LIMIT_REASONS.includes(reason));
+
+const isRetryable = (error) => {
+  if (isRateLimited(error)) {
+    return true;
+  }
+  if (NETWORK_ERROR_CODES.includes(error.code)) {
+    return true;
+  }
+  return RETRYABLE_STATUS_CODES.includes(getStatus(error));
+};
+
+// Parse a Retry-After header (seconds or HTTP date) into milliseconds
+const getRetryAfterMs = (error) => {
+  const headers = (error.response && error.response.headers) || {};
+  const value = headers["retry-after"];
+
+  if (!value) {
+    return undefined;
+  }
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+};
+
+// Exponential backoff with full jitter
+const getBackoffMs = (attempt, { baseDelayMs, maxDelayMs }) => {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.floor(Math.random() * ceiling);
+};
+
+// Turn an exhausted retryable error into a 429/503 carrying a retry hint
+const toRetryError = (error, retryAfterMs) => {
+  const rateLimited = isRateLimited(error);
+  const wrapped = new ErrorResponse(
+    rateLimited
+      ? "Google API rate limit exceeded, please try again later"
+      : "Google API is temporarily unavailable, please try again later",
+    rateLimited ? 429 : 503
+  );
+
+  wrapped.retryAfter = Math.max(1, Math.ceil((retryAfterMs || 0) / 1000));
+  wrapped.cause = error;
+  return wrapped;
+};
+
+// Run an async function, retrying transient failures with jittered
+// exponential backoff and honoring any Retry-After the server sends
+const withRetry = async (fn, options = {}) => {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (
+        attempt > 0 &&
+        settings.notFoundOnRetry &&
+        GONE_STATUS_CODES.includes(getStatus(error))
+      ) {
+        return undefined;
+      }
+
+      const retryable = settings.rateLimitsOnly
+        ? isRateLimited(error)
+        : isRetryable(error);
+
+      if (!retryable) {
+        throw error;
+      }
+
+      const retryAfterMs = getRetryAfterMs(error);
+      const delay =
+        retryAfterMs !== undefined
+          ? retryAfterMs
+          : getBackoffMs(attempt, settings);
+
+      // Give up when out of attempts or when the server asks us to wait
+      // longer than we are willing to hold the request open
+      if (attempt >= settings.retries || delay > settings.maxDelayMs) {
+        throw toRetryError(error, delay);
+      }
+
+      await sleep(delay);
+    }
+  }
+};
+
+module.exports = {
+  withRetry,
+  isRetryable,
+  isRateLimited,
+  getRetryAfterMs,
+};
@@ -0,0 +1,224 @@
+// Pure meeting-slot search: given everyone's busy times, find free slots
+// of a given length inside working hours, and rank them.
+//
+// Kept free of Google calls so it can be exercised with plain data; the
+// calendar controller feeds it the result of a freebusy query.
+
+const {
+  getZonedParts,
+  zonedTimeToUtc,
+  addDays,
+  getWeekday,
+} = require("./timezone");
+
+const MINUTE_MS = 60 * 1000;
+
+// Candidate slots start on multiples of this many minutes past the start
+// of the working day
+const SLOT_STEP_MINUTES = 15;
+
+// Slots further than this from any busy time get no extra credit for it
+const MAX_BREATHING_ROOM_MINUTES = 60;
+
+// Score lost per day of waiting, so a well placed slot tomorrow can still
+// beat a cramped one today
+const DAY_PENALTY = 4;
+
+const DEFAULT_WORKING_HOURS = {
+  start: "09:00",
+  end: "17:00",
+  days: [1, 2, 3, 4, 5],
+};
+
+// "09:30" -> { hour: 9, minute: 30 }; "24:00" is allowed as an end time
+const parseClockTime = (value) => {
+  const match = /^([01]?\d|2[0-4]):([0-5]\d)$/.exec(String(value));
+  if (!match) return null;
+
+  const hour = Number(match[1]);
+  const minute = Number(match[2]);
+  if (hour === 24 && minute !== 0) return null;
+  return { hour, minute };
+};
+
+// Sort intervals and merge any that overlap or touch
+const mergeIntervals = (intervals) => {
+  const sorted = intervals
+    .filter((interval) => interval.end > interval.start)
+    .sort((a, b) => a.start - b.start);
+
+  return sorted.reduce((merged, interval) => {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      last.end = new Date(Math.max(last.end, interval.end));
+    } else {
+      merged.push({ start: interval.start, end: interval.end });
+    }
+    return merged;
+  }, []);
+};
+
+// Working-hour windows of every working day touching [from, to), as
+// instants. Built from wall-clock times so DST changes are respected
+const workingWindows = (from, to, workingHours, timeZone) => {
+  const startTime = parseClockTime(workingHours.start);
+  const endTime = parseClockTime(workingHours.end);
+  const days = workingHours.days || DEFAULT_WORKING_HOURS.days;
+
+  const windows = [];
+  const first = getZonedParts(from, timeZone);
+  const last = getZonedParts(to, timeZone);
+
+  for (
+    let day = { year: first.year, month: first.month, day: first.day };
+    Date.UTC(day.year, day.month - 1, day.day) <=
+    Date.UTC(last.year, last.month - 1, last.day);
+    day = addDays(day, 1)
+  ) {
+    if (!days.includes(getWeekday(day))) continue;
+
+    const start = zonedTimeToUtc({ ...day, ...startTime }, timeZone);
+    const end =
+      endTime.hour === 24
+        ? zonedTimeToUtc({ ...addDays(day, 1), hour: 0, minute: 0 }, timeZone)
+        : zonedTimeToUtc({ ...day, ...endTime }, timeZone);
+
+    if (end > start) windows.push({ day, start, end });
+  }
+
+  return windows;
+};
+
+// Minutes from `slot` to the nearest busy time (or the edge of the working
+// day) on either side, whichever is smaller
+const breathingRoom = (slot, busy, window) => {
+  const previousEnd = busy
+    .filter((interval) => interval.end <= slot.start)
+    .reduce((latest, interval) => Math.max(latest, interval.end), window.start);
+  const nextStart = busy
+    .filter((interval) => interval.start >= slot.end)
+    .reduce(
+      (earliest, interval) => Math.min(earliest, interval.start),
+      window.end
+    );
+
+  return Math.min(slot.start - previousEnd, nextStart - slot.end) / MINUTE_MS;
+};
+
+// Higher is better: sooner days first, then round start times, then slots
+// that are not squeezed between other meetings
+const scoreSlot = (slot, dayIndex, busy, window, timeZone) => {
+  const { minute } = getZonedParts(slot.start, timeZone);
+  const alignment = minute === 0 ? 5 : minute === 30 ? 3 : 0;
+  const room = Math.min(
+    breathingRoom(slot, busy, window),
+    MAX_BREATHING_ROOM_MINUTES
+  );
+
+  return 100 - dayIndex * DAY_PENALTY + alignment + Math.round(room / 10);
+};
+
+// Find and rank free slots.
+//
+// Options:
+// - busy: busy intervals of all participants, as { start, end } dates or
+//   ISO strings (e.g. freebusy.query results flattened together)
+// - timeMin / timeMax: the window to search
+// - durationMinutes: length of the meeting
+// - bufferMinutes: free time to keep before and after other meetings
+// - workingHours: { start: "09:00", end: "17:00", days: [1, 2, 3, 4, 5] }
+//   read in `timeZone`, with days numbered from Sunday = 0
+// - timeZone: IANA zone for working hours (default UTC)
+// - maxResults: how many slots to return (default 10)
+// - now: slots never start before this (default the current time)
+//
+// Returns non-overlapping slots as { start, end, score }, best first
+const findSlots = (options) => {
+  const {
+    busy = [],
+    durationMinutes,
+    bufferMinutes = 0,
+    workingHours = DEFAULT_WORKING_HOURS,
+    timeZone = "UTC",
+    maxResults = 10,
+    now = new Date(),
+  } = options;
+
+  const timeMin = new Date(Math.max(new Date(options.timeMin), now));
+  const timeMax = new Date(options.timeMax);
+  if (!(timeMax > timeMin)) return [];
+
+  const duration = durationMinutes * MINUTE_MS;
+  const buffer = bufferMinutes * MINUTE_MS;
+  const step = SLOT_STEP_MINUTES * MINUTE_MS;
+
+  const busyIntervals = mergeIntervals(
+    busy.map((interval) => ({
+      start: new Date(interval.start),
+      end: new Date(interval.end),
+    }))
+  );
+  // With the buffer applied, a slot may not touch any of these
+  const blocked = mergeIntervals(
+    busyIntervals.map((interval) => ({
+      start: new Date(interval.start.getTime() - buffer),
+      end: new Date(interval.end.getTime() + buffer),
+    }))
+  );
+
+  const windows = workingWindows(timeMin, timeMax, workingHours, timeZone);
+  const firstDay = windows.length ? windows[0].day : null;
+
+  const candidates = [];
+  windows.forEach((window) => {
+    const from = Math.max(window.start, timeMin);
+    const to = Math.min(window.end, timeMax);
+
+    // Stay on the step grid counted from the start of the working day
+    let start =
+      window.start.getTime() + Math.ceil((from - window.start) / step) * step;
+
+    for (; start + duration <= to; start += step) {
+      const slot = { start: new Date(start), end: new Date(start + duration) };
+      const clashes = blocked.some(
+        (interval) => interval.start < slot.end && slot.start < interval.end
+      );
+      if (clashes) continue;
+
+      const dayIndex = Math.round(
+        (Date.UTC(window.day.year, window.day.month - 1, window.day.day) -
+          Date.UTC(firstDay.year, firstDay.month - 1, firstDay.day)) /
+          (24 * 60 * MINUTE_MS)
+      );
+      candidates.push({
+        ...slot,
+        score: scoreSlot(slot, dayIndex, busyIntervals, window, timeZone),
+      });
+    }
+  });
+
+  // Best first, keeping only slots that don't overlap a better one
+  const chosen = [];
+  candidates
+    .sort((a, b) => b.score - a.score || a.start - b.start)
+    .forEach((slot) => {
+      if (chosen.length >= maxResults) return;
+      const overlaps = chosen.some(
+        (other) => other.start < slot.end && slot.start < other.end
+      );
+      if (!overlaps) chosen.push(slot);
+    });
+
+  return chosen.map((slot) => ({
+    start: slot.start.toISOString(),
+    end: slot.end.toISOString(),
+    score: slot.score,
+  }));
+};
+
+module.exports = {
+  DEFAULT_WORKING_HOURS,
+  parseClockTime,
+  mergeIntervals,
+  findSlots,
+};
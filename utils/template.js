@@ -0,0 +1,90 @@
+const { escapeHtml } = require("./gmailReply");
+
+// Matches {{name}} and {{name|default value}}
+const PLACEHOLDER = /\{\{\s*([\w.-]+)\s*(?:\|([^}]*))?\}\}/g;
+
+// Unique placeholder names used in a template string
+const extractVariables = (text = "") => [
+  ...new Set([...text.matchAll(PLACEHOLDER)].map((match) => match[1])),
+];
+
+// Fill in {{placeholders}} from `variables`. Placeholders with no value use
+// their default (`{{firstName|there}}`) or are reported in `missing`. Pass
+// `html: true` to escape substituted values for an HTML body
+const renderTemplate = (text = "", variables = {}, options = {}) => {
+  const missing = new Set();
+
+  const output = text.replace(PLACEHOLDER, (match, name, fallback) => {
+    const value = variables[name];
+
+    if (value === undefined || value === null || value === "") {
+      if (fallback !== undefined) return fallback.trim();
+      missing.add(name);
+      return "";
+    }
+
+    return options.html ? escapeHtml(String(value)) : String(value);
+  });
+
+  return { output, missing: [...missing] };
+};
+
+// Parse CSV text with a header row into an array of objects. Handles quoted
+// fields, escaped quotes ("") and newlines inside quotes
+const parseCsv = (text = "") => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows.filter((cells) =>
+    cells.some((cell) => cell.trim())
+  );
+  const keys = header.map((key) => key.trim());
+
+  return records.map((cells) =>
+    keys.reduce((record, key, index) => {
+      record[key] = (cells[index] || "").trim();
+      return record;
+    }, {})
+  );
+};
+
+module.exports = {
+  extractVariables,
+  renderTemplate,
+  parseCsv,
+};
@@ -0,0 +1,173 @@
+// Time zone helpers built on Intl, so IANA zones (e.g. "America/New_York")
+// work without a date library
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      })
+    );
+  }
+  return formatters.get(timeZone);
+};
+
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== "string") return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Wall-clock fields of `date` as seen in `timeZone`
+const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  getFormatter(timeZone)
+    .formatToParts(date)
+    .forEach(({ type, value }) => {
+      if (type !== "literal") parts[type] = Number(value);
+    });
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+  };
+};
+
+// Offset of `timeZone` from UTC at `date`, in minutes (e.g. -240 for EDT)
+const getTimeZoneOffset = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  const wholeSeconds = Math.floor(date.getTime() / 1000) * 1000;
+  return Math.round((asUtc - wholeSeconds) / 60000);
+};
+
+// The instant at which the wall clock in `timeZone` reads the given local
+// time. Times skipped by a DST jump resolve to the instant just after the
+// gap; repeated times resolve to their first occurrence
+const zonedTimeToUtc = (
+  { year, month, day, hour = 0, minute = 0, second = 0, millisecond = 0 },
+  timeZone
+) => {
+  const localAsUtc = Date.UTC(
+    year,
+    month - 1,
+    day,
+    hour,
+    minute,
+    second,
+    millisecond
+  );
+
+  // Try the offsets in effect a day either side of the target and keep the
+  // earliest instant that lands on the requested wall-clock time
+  const candidates = [-1, 0, 1]
+    .map((days) =>
+      getTimeZoneOffset(new Date(localAsUtc + days * 864e5), timeZone)
+    )
+    .map((offset) => localAsUtc - offset * 60000)
+    .sort((a, b) => a - b);
+
+  const exact = candidates.find((instant) => {
+    const parts = getZonedParts(new Date(instant), timeZone);
+    return (
+      parts.year === year &&
+      parts.month === month &&
+      parts.day === day &&
+      parts.hour === hour &&
+      parts.minute === minute
+    );
+  });
+
+  if (exact !== undefined) return new Date(exact);
+
+  // Inside a DST gap: use the offset from before the jump
+  const before = getTimeZoneOffset(new Date(localAsUtc - 864e5), timeZone);
+  return new Date(localAsUtc - before * 60000);
+};
+
+// Parse "YYYY-MM-DDTHH:mm[:ss]" (no offset) into local time fields
+const parseLocalDateTime = (value) => {
+  const match = String(value).match(
+    /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/
+  );
+  if (!match) return null;
+
+  const [, year, month, day, hour = 0, minute = 0, second = 0] = match;
+  return {
+    year: Number(year),
+    month: Number(month),
+    day: Number(day),
+    hour: Number(hour),
+    minute: Number(minute),
+    second: Number(second),
+  };
+};
+
+// Resolve a date/time from a request: values with an explicit offset or "Z"
+// are taken as-is, local values ("2024-05-06T09:00") are read in `timeZone`
+const resolveDateTime = (value, timeZone) => {
+  const local = parseLocalDateTime(value);
+
+  if (local && timeZone) {
+    return zonedTimeToUtc(local, timeZone);
+  }
+
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Calendar day arithmetic on { year, month, day } fields, independent of
+// any time zone
+const addDays = ({ year, month, day }, days) => {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+  };
+};
+
+// Day of the week (0 = Sunday) of { year, month, day } fields
+const getWeekday = ({ year, month, day }) =>
+  new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+
+// { year, month, day } fields as "YYYY-MM-DD"
+const formatDay = ({ year, month, day }) =>
+  `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+
+module.exports = {
+  isValidTimeZone,
+  getZonedParts,
+  getTimeZoneOffset,
+  zonedTimeToUtc,
+  parseLocalDateTime,
+  resolveDateTime,
+  addDays,
+  getWeekday,
+  formatDay,
+};